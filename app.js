@@ -1,14 +1,41 @@
 require('dotenv').config();
 const express = require('express');
-const session = require('express-session');
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
-const { google } = require('googleapis');
+const GmailService = require('./services/gmailService');
+const tokenManager = require('./utils/tokenManager');
+const {
+  configureSessions,
+  configurePassportSessions,
+  persistLogin,
+  publicUser
+} = require('./config/session');
+const {
+  IDENTITY_SCOPES,
+  BASE_SCOPES,
+  FEATURES,
+  hasFeature,
+  permissionsFromScopes,
+  scopesForFeature,
+  consentRequired
+} = require('./config/scopes');
+const { sendAttachment, sendEml, streamZip } = require('./utils/attachments');
+const exportService = require('./services/exportService');
+const syncService = require('./services/syncService');
+const searchIndex = require('./utils/searchIndex');
+const mailCache = require('./utils/mailCache');
+const watchService = require('./services/watchService');
+const scheduleService = require('./services/scheduleService');
+const { verifyPushRequest, decodePushMessage } = require('./utils/pubsubPush');
+const { sanitizeEmailHtml } = require('./utils/htmlSanitizer');
 
 
 // Validate environment variables
 function validateEnvironment() {
   const required = ['CLIENT_ID', 'CLIENT_SECRET', 'SESSION_SECRET'];
+  if (process.env.TOKEN_STORE !== 'memory') {
+    required.push('TOKEN_ENCRYPTION_KEY');
+  }
   const missing = required.filter(key => !process.env[key]);
   
   if (missing.length > 0) {
@@ -28,30 +55,20 @@ validateEnvironment();
 const app = express();
 
 // Basic middleware
-app.use(express.json());
+// Large enough for base64 attachments on /api/send-email (Gmail caps messages at 35 MB)
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '35mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
 
-// Session configuration
-app.use(session({
-  secret: process.env.SESSION_SECRET,
-  resave: false,
-  saveUninitialized: false,
-  cookie: { secure: false }
-}));
+// Session configuration (persistent store, hardened cookie)
+configureSessions(app);
 
 // Passport initialization
 app.use(passport.initialize());
 app.use(passport.session());
 
-// Passport serialization
-passport.serializeUser((user, done) => {
-  done(null, user);
-});
-
-passport.deserializeUser((user, done) => {
-  done(null, user);
-});
+// Passport serialization: the session holds only the user id
+configurePassportSessions(passport);
 
 // Debug: Check if environment variables are loaded
 console.log('🔧 Configuration:');
@@ -65,24 +82,22 @@ try {
     clientID: process.env.CLIENT_ID,
     clientSecret: process.env.CLIENT_SECRET,
     callbackURL: process.env.REDIRECT_URI,
-    scope: [
-      'https://www.googleapis.com/auth/gmail.readonly',
-      'https://www.googleapis.com/auth/gmail.send',
-      'https://www.googleapis.com/auth/gmail.modify',
-      'profile',
-      'email'
-    ],
+    // Read-only at sign-in; send/modify are requested via /auth/google/upgrade
+    scope: [...IDENTITY_SCOPES, ...BASE_SCOPES],
     accessType: 'offline',
-    prompt: 'consent'
-  }, async (accessToken, refreshToken, profile, done) => {
+    prompt: 'consent',
+    // Session-bound state nonce plus PKCE (S256) on the authorization request
+    state: true,
+    pkce: true
+  }, async (accessToken, refreshToken, params, profile, done) => {
     try {
-      const user = {
-        id: profile.id,
-        email: profile.emails[0].value,
-        name: profile.displayName,
-        accessToken: accessToken,
-        refreshToken: refreshToken
-      };
+      // Tokens go to the token store; the session only keeps the user id
+      const user = await persistLogin(profile, accessToken, refreshToken, params);
+      if (watchService.isEnabled()) {
+        watchService.watch(user.id).catch(error => {
+          console.error('Error watching mailbox:', error.message);
+        });
+      }
       return done(null, user);
     } catch (error) {
       console.error('Error in Google Strategy:', error);
@@ -95,202 +110,25 @@ try {
   process.exit(1);
 }
 
-// Gmail Service Class
-class GmailService {
-  constructor(accessToken) {
-    this.auth = new google.auth.OAuth2();
-    this.auth.setCredentials({ access_token: accessToken });
-    this.gmail = google.gmail({ version: 'v1', auth: this.auth });
-  }
-
-  // Get user profile
-  async getProfile() {
-    try {
-      const response = await this.gmail.users.getProfile({ userId: 'me' });
-      return response.data;
-    } catch (error) {
-      throw new Error(`Failed to get profile: ${error.message}`);
-    }
-  }
-
-  // List emails with better formatting
-  async listEmails(maxResults = 20, labelIds = ['INBOX']) {
-    try {
-      console.log(`📧 Fetching ${maxResults} emails...`);
-      
-      const response = await this.gmail.users.messages.list({
-        userId: 'me',
-        maxResults: maxResults,
-        labelIds: labelIds
-      });
-
-      const messages = response.data.messages || [];
-      console.log(`✅ Found ${messages.length} messages`);
-
-      const emailDetails = [];
-
-      for (const message of messages) {
-        try {
-          const email = await this.gmail.users.messages.get({
-            userId: 'me',
-            id: message.id,
-            format: 'metadata',
-            metadataHeaders: ['From', 'To', 'Subject', 'Date', 'Message-ID']
-          });
-          
-          const headers = email.data.payload.headers;
-          const from = headers.find(h => h.name === 'From')?.value || 'Unknown Sender';
-          const to = headers.find(h => h.name === 'To')?.value || '';
-          const subject = headers.find(h => h.name === 'Subject')?.value || 'No Subject';
-          const date = headers.find(h => h.name === 'Date')?.value || '';
-          const messageId = headers.find(h => h.name === 'Message-ID')?.value || '';
-          
-          // Clean up the from field (remove email part if present)
-          const fromClean = from.replace(/<[^>]*>/g, '').trim();
-          
-          emailDetails.push({
-            id: message.id,
-            threadId: message.threadId,
-            subject: subject,
-            from: fromClean,
-            to: to,
-            date: new Date(date).toLocaleString(),
-            snippet: email.data.snippet || 'No preview available',
-            internalDate: email.data.internalDate,
-            labelIds: email.data.labelIds || []
-          });
-        } catch (emailError) {
-          console.error(`Error fetching email ${message.id}:`, emailError.message);
-          emailDetails.push({
-            id: message.id,
-            error: emailError.message
-          });
-        }
-      }
-
-      return emailDetails;
-    } catch (error) {
-      console.error('Error listing emails:', error);
-      throw new Error(`Failed to list emails: ${error.message}`);
-    }
-  }
-
-  // Get full email content
-  async getEmail(messageId) {
-    try {
-      const response = await this.gmail.users.messages.get({
-        userId: 'me',
-        id: messageId,
-        format: 'full'
-      });
-
-      const email = response.data;
-      const headers = email.payload.headers || [];
-      
-      const from = headers.find(h => h.name === 'From')?.value || 'Unknown Sender';
-      const to = headers.find(h => h.name === 'To')?.value || '';
-      const subject = headers.find(h => h.name === 'Subject')?.value || 'No Subject';
-      const date = headers.find(h => h.name === 'Date')?.value || '';
-
-      // Extract email body
-      let body = '';
-      if (email.payload.parts) {
-        // Multipart email
-        const textPart = email.payload.parts.find(part => part.mimeType === 'text/plain');
-        const htmlPart = email.payload.parts.find(part => part.mimeType === 'text/html');
-        
-        if (textPart && textPart.body && textPart.body.data) {
-          body = Buffer.from(textPart.body.data, 'base64').toString('utf8');
-        } else if (htmlPart && htmlPart.body && htmlPart.body.data) {
-          body = Buffer.from(htmlPart.body.data, 'base64').toString('utf8');
-          // Strip HTML tags for simple display
-          body = body.replace(/<[^>]*>/g, '');
-        }
-      } else if (email.payload.body && email.payload.body.data) {
-        // Single part email
-        body = Buffer.from(email.payload.body.data, 'base64').toString('utf8');
-      }
-
-      return {
-        id: email.id,
-        threadId: email.threadId,
-        subject: subject,
-        from: from,
-        to: to,
-        date: new Date(date).toLocaleString(),
-        body: body || 'No body content available',
-        snippet: email.snippet,
-        labelIds: email.labelIds || []
-      };
-    } catch (error) {
-      throw new Error(`Failed to get email: ${error.message}`);
-    }
-  }
-
-  // Get conversation/thread
-  async getConversation(threadId) {
-    try {
-      const response = await this.gmail.users.threads.get({
-        userId: 'me',
-        id: threadId
-      });
-
-      const messages = response.data.messages || [];
-      const conversation = [];
-
-      for (const message of messages) {
-        const headers = message.payload.headers;
-        const from = headers.find(h => h.name === 'From')?.value || 'Unknown Sender';
-        const to = headers.find(h => h.name === 'To')?.value || '';
-        const subject = headers.find(h => h.name === 'Subject')?.value || 'No Subject';
-        const date = headers.find(h => h.name === 'Date')?.value || '';
-        
-        conversation.push({
-          id: message.id,
-          from: from.replace(/<[^>]*>/g, '').trim(),
-          to: to,
-          subject: subject,
-          date: new Date(date).toLocaleString(),
-          snippet: message.snippet || 'No preview available'
-        });
-      }
-
-      return conversation;
-    } catch (error) {
-      throw new Error(`Failed to get conversation: ${error.message}`);
-    }
-  }
-
-  // Send email
-  async sendEmail(to, subject, message) {
-    try {
-      const emailLines = [
-        `To: ${to}`,
-        'Content-Type: text/plain; charset="UTF-8"',
-        'MIME-Version: 1.0',
-        `Subject: ${subject}`,
-        '',
-        message
-      ];
-
-      const email = emailLines.join('\r\n').trim();
-      const base64EncodedEmail = Buffer.from(email)
-        .toString('base64')
-        .replace(/\+/g, '-')
-        .replace(/\//g, '_');
-
-      const response = await this.gmail.users.messages.send({
-        userId: 'me',
-        requestBody: {
-          raw: base64EncodedEmail
-        }
-      });
+// Build a GmailService for the logged-in user. Refreshed tokens are written
+// back to the token store, which is where the next request loads them from.
+function createGmailService(req) {
+  return new GmailService({
+    accessToken: req.user.accessToken,
+    refreshToken: req.user.refreshToken,
+    expiryDate: req.user.expiryDate
+  }, {
+    userId: req.user.id
+  });
+}
 
-      return response.data;
-    } catch (error) {
-      throw new Error(`Failed to send email: ${error.message}`);
-    }
-  }
+// labelIds=INBOX,UNREAD (or repeated labelIds=) -> ['INBOX', 'UNREAD']; null when absent
+function parseLabelIds(value) {
+  if (value === undefined) return null;
+  return [].concat(value)
+    .flatMap(labels => String(labels).split(','))
+    .map(label => label.trim())
+    .filter(Boolean);
 }
 
 // Middleware to check authentication
@@ -301,11 +139,26 @@ function ensureAuthenticated(req, res, next) {
   res.redirect('/');
 }
 
+// Middleware to require a Gmail permission granted through incremental consent
+function requireFeature(feature) {
+  return (req, res, next) => {
+    if (hasFeature(req.user.scopes, feature)) {
+      return next();
+    }
+    res.status(403).json(consentRequired(feature, `/auth/google/upgrade?feature=${feature}`));
+  };
+}
+
 // Routes
 app.get('/', (req, res) => {
   if (req.isAuthenticated()) {
     return res.redirect('/dashboard');
   }
+
+  // Passport leaves failed-login reasons (e.g. a state mismatch) in the session
+  const authErrors = (req.session && req.session.messages) || [];
+  if (req.session) delete req.session.messages;
+  const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
   
   res.send(`
     <!DOCTYPE html>
@@ -329,12 +182,14 @@ app.get('/', (req, res) => {
         .btn:hover { background: #3367d6; }
         .container { max-width: 600px; margin: 0 auto; }
         .debug { background: #f0f0f0; padding: 10px; border-radius: 5px; margin: 20px 0; text-align: left; }
+        .error { color: #dc3545; background: #f8d7da; padding: 10px; border-radius: 4px; margin: 10px 0; }
       </style>
     </head>
     <body>
       <div class="container">
         <h1>Gmail OAuth 2.0 Integration</h1>
         <p>Connect your Gmail account to read conversations and send emails.</p>
+        ${authErrors.map(message => `<div class="error">❌ Sign-in failed: ${escapeHtml(message)}</div>`).join('')}
         <a href="/auth/google" class="btn">Sign in with Google</a>
         
         <div class="debug">
@@ -357,6 +212,23 @@ app.get('/auth/google',
   })
 );
 
+// Step-up consent: ask for one more permission on top of those already granted
+app.get('/auth/google/upgrade', ensureAuthenticated, (req, res, next) => {
+  const { feature } = req.query;
+
+  if (!FEATURES[feature] || feature === 'read') {
+    return res.status(400).json({ success: false, error: 'feature must be one of: send, compose, modify' });
+  }
+
+  passport.authenticate('google', {
+    scope: scopesForFeature(feature),
+    includeGrantedScopes: true,
+    accessType: 'offline',
+    prompt: 'consent',
+    loginHint: req.user.email
+  })(req, res, next);
+});
+
 app.get('/auth/google/callback',
   passport.authenticate('google', { 
     failureRedirect: '/',
@@ -374,6 +246,59 @@ app.get('/logout', (req, res) => {
   });
 });
 
+// Disconnect the Gmail account: revoke the grant at Google, purge any stored
+// tokens and end the session, then report what was done
+app.post('/disconnect', ensureAuthenticated, async (req, res) => {
+  const userId = req.user.id;
+  const result = {
+    revoked: false,
+    tokenType: null,
+    tokenStorePurged: false,
+    sessionDestroyed: false
+  };
+
+  // Stop push notifications while the tokens still work
+  try {
+    result.watchStopped = await watchService.stop(userId, { gmailService: createGmailService(req) });
+  } catch (error) {
+    console.error('Watch stop error:', error.message);
+  }
+
+  try {
+    Object.assign(result, await createGmailService(req).revokeAccess());
+  } catch (error) {
+    console.error('Token revocation error:', error);
+    result.revokeError = error.message;
+  }
+
+  try {
+    result.tokenStorePurged = await tokenManager.deleteTokens(userId);
+    result.mailCachePurged = (await syncService.clear(userId)) > 0;
+    // Nothing can be sent for the user once the tokens are gone
+    result.scheduledCancelled = await scheduleService.cancelAll(userId);
+  } catch (error) {
+    console.error('Token purge error:', error);
+    result.purgeError = error.message;
+  }
+
+  req.logout((logoutErr) => {
+    if (logoutErr) console.error('Logout error:', logoutErr);
+
+    req.session.destroy((destroyErr) => {
+      if (destroyErr) console.error('Session destroy error:', destroyErr);
+      result.sessionDestroyed = !destroyErr;
+      res.clearCookie('connect.sid');
+
+      console.log(`🔌 Disconnected user ${userId}`);
+      res.status(result.revokeError ? 502 : 200).json({
+        success: !result.revokeError,
+        message: result.revokeError ? 'Disconnected locally, but revocation at Google failed' : 'Account disconnected',
+        ...result
+      });
+    });
+  });
+});
+
 // Dashboard with enhanced email testing
 app.get('/dashboard', ensureAuthenticated, (req, res) => {
   res.send(`
@@ -433,6 +358,9 @@ app.get('/dashboard', ensureAuthenticated, (req, res) => {
         .email-actions { margin-top: 10px; }
         .stats { display: flex; gap: 20px; margin: 15px 0; }
         .stat-item { background: #f8f9fa; padding: 10px; border-radius: 4px; flex: 1; text-align: center; }
+        .email-html { margin: 15px 0; padding: 15px; border: 1px solid #eee; border-radius: 4px; overflow: auto; position: relative; }
+        .email-html img { max-width: 100%; height: auto; }
+        .images-blocked { background: #fff3cd; padding: 8px 10px; border-radius: 4px; margin: 10px 0; }
       </style>
     </head>
     <body>
@@ -446,6 +374,7 @@ app.get('/dashboard', ensureAuthenticated, (req, res) => {
           <a href="/" class="btn">Home</a>
           <a href="/logout" class="btn btn-danger">Logout</a>
           <a href="/api/profile" class="btn" target="_blank">Profile API</a>
+          <button class="btn btn-danger" onclick="disconnectAccount()">Disconnect Gmail</button>
         </div>
 
         <div class="section">
@@ -461,19 +390,52 @@ app.get('/dashboard', ensureAuthenticated, (req, res) => {
             </div>
           </div>
           
-          <div class="form-group">
-            <label for="emailCount">Number of emails to fetch:</label>
-            <select id="emailCount" onchange="loadEmails()">
-              <option value="10">10 emails</option>
-              <option value="20" selected>20 emails</option>
-              <option value="50">50 emails</option>
-            </select>
-          </div>
+          <form id="searchForm">
+            <div class="form-group">
+              <label for="searchQuery">Search (Gmail syntax, e.g. from:alice has:attachment newer_than:7d):</label>
+              <input type="text" id="searchQuery" placeholder="Leave empty to browse the selected label">
+            </div>
+            <div class="form-group">
+              <label for="labelFilter">Label:</label>
+              <select id="labelFilter" onchange="loadEmails()">
+                <option value="INBOX" selected>Inbox</option>
+                <option value="UNREAD">Unread</option>
+                <option value="STARRED">Starred</option>
+                <option value="IMPORTANT">Important</option>
+                <option value="SENT">Sent</option>
+                <option value="DRAFT">Drafts</option>
+                <option value="SPAM">Spam</option>
+                <option value="TRASH">Trash</option>
+                <option value="">All Mail</option>
+              </select>
+            </div>
+            <div class="form-group">
+              <label><input type="checkbox" id="includeSpamTrash" style="width: auto;" onchange="loadEmails()"> Include spam and trash</label>
+            </div>
+            <div class="form-group">
+              <label for="emailCount">Number of emails to fetch:</label>
+              <select id="emailCount" onchange="loadEmails()">
+                <option value="10">10 emails</option>
+                <option value="20" selected>20 emails</option>
+                <option value="50">50 emails</option>
+              </select>
+            </div>
+            <button type="submit" class="btn">Search</button>
+          </form>
 
           <div id="emailStats"></div>
           <div id="emails" class="email-list">
             <div class="loading">Click "Load Recent Emails" to start testing...</div>
           </div>
+          <div id="emailPager" class="email-actions"></div>
+        </div>
+
+        <div class="section">
+          <h2>📦 Export</h2>
+          <p>Exports the current search (or label) as an mbox file. Large exports run in the background and resume after a restart.</p>
+          <button class="btn" onclick="startExport()">Export current search</button>
+          <button class="btn" onclick="loadExports()">Refresh</button>
+          <div id="exports"></div>
         </div>
 
         <div class="section">
@@ -487,6 +449,14 @@ app.get('/dashboard', ensureAuthenticated, (req, res) => {
               <label for="subject">Subject:</label>
               <input type="text" id="subject" name="subject" required value="Test from Gmail OAuth App">
             </div>
+            <div class="form-group">
+              <label for="cc">Cc:</label>
+              <input type="text" id="cc" name="cc" placeholder="Optional, comma-separated">
+            </div>
+            <div class="form-group">
+              <label for="bcc">Bcc:</label>
+              <input type="text" id="bcc" name="bcc" placeholder="Optional, comma-separated">
+            </div>
             <div class="form-group">
               <label for="message">Message:</label>
               <textarea id="message" name="message" required>This is a test email sent from the Gmail OAuth application to verify that email sending functionality is working correctly.
@@ -495,9 +465,25 @@ Timestamp: ${new Date().toLocaleString()}
 
 If you can read this, the Gmail API integration is working properly! 🎉</textarea>
             </div>
+            <div class="form-group">
+              <label for="attachments">Attachments:</label>
+              <input type="file" id="attachments" name="attachments" multiple>
+            </div>
+            <div class="form-group">
+              <label for="sendAt">Send later (optional, in the time zone below):</label>
+              <input type="datetime-local" id="sendAt" name="sendAt">
+              <input type="text" id="timeZone" name="timeZone" placeholder="Time zone, e.g. America/New_York">
+            </div>
             <button type="submit" class="btn btn-success">Send Email</button>
+            <button type="button" class="btn btn-warning" onclick="scheduleEmail()">Schedule Send</button>
+            <button type="button" class="btn btn-danger" onclick="discardDraft()">Discard Draft</button>
+            <button type="button" class="btn" onclick="loadDrafts()">Show Drafts</button>
+            <button type="button" class="btn" onclick="loadScheduled()">Show Scheduled</button>
+            <span id="draftStatus" class="loading"></span>
           </form>
           <div id="sendResult"></div>
+          <div id="drafts"></div>
+          <div id="scheduled"></div>
         </div>
 
         <div class="section">
@@ -516,23 +502,50 @@ If you can read this, the Gmail API integration is working properly! 🎉</texta
       </div>
 
       <script>
-        async function loadEmails() {
+        // Page tokens of the pages visited so far; pageTokens[i] loads page i
+        let pageTokens = [null];
+        let pageIndex = 0;
+
+        // page: 0 starts a new listing, otherwise the index of the page to load
+        async function loadEmails(page = 0) {
           const emailCount = document.getElementById('emailCount').value;
           const emailsDiv = document.getElementById('emails');
           const statsDiv = document.getElementById('emailStats');
+          const pagerDiv = document.getElementById('emailPager');
           
+          if (page === 0) {
+            pageTokens = [null];
+          }
+          pageIndex = page;
+
           emailsDiv.innerHTML = '<div class="loading">📧 Loading emails...</div>';
           statsDiv.innerHTML = '';
+          pagerDiv.innerHTML = '';
+
+          const params = new URLSearchParams({
+            maxResults: emailCount,
+            q: document.getElementById('searchQuery').value,
+            labelIds: document.getElementById('labelFilter').value,
+            includeSpamTrash: document.getElementById('includeSpamTrash').checked
+          });
+          if (pageTokens[page]) {
+            params.set('pageToken', pageTokens[page]);
+          }
 
           try {
-            const response = await fetch(\`/api/emails?maxResults=\${emailCount}\`);
+            const response = await fetch('/api/emails?' + params.toString());
             const data = await response.json();
             
             emailsDiv.innerHTML = '';
             
             if (data.success && data.emails.length > 0) {
+              pageTokens[page + 1] = data.nextPageToken;
+
               // Show stats
-              statsDiv.innerHTML = \`<div class="success">✅ Loaded \${data.emails.length} emails successfully</div>\`;
+              statsDiv.innerHTML = \`<div class="success">✅ Page \${page + 1}: showing \${data.emails.length} of about \${data.resultSizeEstimate} emails (\${data.source === 'cache' ? 'from local cache' : 'from Gmail'})</div>\`;
+              pagerDiv.innerHTML =
+                (page > 0 ? '<button class="btn" onclick="loadEmails(pageIndex - 1)">← Previous</button>' : '') +
+                (data.nextPageToken ? '<button class="btn" onclick="loadEmails(pageIndex + 1)">Next →</button>' : '');
               
               data.emails.forEach(email => {
                 const emailDiv = document.createElement('div');
@@ -543,10 +556,10 @@ If you can read this, the Gmail API integration is working properly! 🎉</texta
                 
                 emailDiv.innerHTML = \`
                   <div class="email-header">
-                    <div class="email-from">👤 \${email.from}</div>
-                    <div class="email-date">\${email.date}</div>
+                    <div class="email-from">👤 \${escapeText(email.from)}</div>
+                    <div class="email-date">\${escapeText(email.date)}</div>
                   </div>
-                  <div class="email-subject">\${email.subject}</div>
+                  <div class="email-subject">\${escapeText(email.subject)}</div>
                   <div class="email-snippet">\${email.snippet}</div>
                   <div class="email-actions">
                     <button class="btn" onclick="loadConversation('\${email.threadId}')">View Conversation</button>
@@ -556,7 +569,12 @@ If you can read this, the Gmail API integration is working properly! 🎉</texta
                 emailsDiv.appendChild(emailDiv);
               });
             } else {
-              emailsDiv.innerHTML = '<div class="error">❌ No emails found or failed to load emails.</div>';
+              emailsDiv.innerHTML = data.success
+                ? '<div class="loading">No emails match this search.</div>'
+                : '<div class="error">❌ Failed to load emails: ' + escapeText(data.error) + '</div>';
+              if (page > 0) {
+                pagerDiv.innerHTML = '<button class="btn" onclick="loadEmails(pageIndex - 1)">← Previous</button>';
+              }
             }
           } catch (error) {
             console.error('Error loading emails:', error);
@@ -564,6 +582,11 @@ If you can read this, the Gmail API integration is working properly! 🎉</texta
           }
         }
 
+        document.getElementById('searchForm').addEventListener('submit', (event) => {
+          event.preventDefault();
+          loadEmails();
+        });
+
         async function loadConversation(threadId) {
           const conversationDiv = document.getElementById('conversation');
           conversationDiv.innerHTML = '<div class="loading">💬 Loading conversation...</div>';
@@ -574,17 +597,35 @@ If you can read this, the Gmail API integration is working properly! 🎉</texta
             
             conversationDiv.innerHTML = '<h3>Conversation Thread</h3>';
             
-            if (data.success && data.conversation.length > 0) {
-              data.conversation.forEach(message => {
+            if (data.success && data.conversation.messages.length > 0) {
+              const thread = data.conversation;
+              const person = p => p.name ? escapeText(p.name) + ' &lt;' + escapeText(p.address) + '&gt;' : escapeText(p.address);
+              const people = list => list.map(person).join(', ');
+
+              conversationDiv.innerHTML += \`
+                <div class="email-subject">\${escapeText(thread.subject)}</div>
+                <div class="email-snippet">\${thread.messageCount} messages, \${thread.unreadCount} unread &middot; \${people(thread.participants)}</div>
+              \`;
+
+              thread.messages.forEach(message => {
                 const messageDiv = document.createElement('div');
-                messageDiv.className = 'email-item';
+                messageDiv.className = 'email-item' + (message.unread ? ' unread' : '');
                 messageDiv.innerHTML = \`
                   <div class="email-header">
-                    <div class="email-from">\${message.from}</div>
-                    <div class="email-date">\${message.date}</div>
+                    <div class="email-from">\${message.from ? person(message.from) : 'Unknown Sender'}\${message.starred ? ' ⭐' : ''}</div>
+                    <div class="email-date">\${escapeText(message.date)}</div>
+                  </div>
+                  <div class="email-snippet"><strong>To:</strong> \${people(message.to)}\${message.cc.length ? ' &middot; <strong>Cc:</strong> ' + people(message.cc) : ''}</div>
+                  <div style="white-space: pre-wrap; margin: 10px 0;">\${escapeText(message.body.visible || message.snippet)}</div>
+                  \${message.body.quoted
+                    ? '<details><summary>Show quoted text</summary><div style="white-space: pre-wrap; color: #666;">' + escapeText(message.body.quoted) + '</div></details>'
+                    : ''}
+                  \${message.attachments.length
+                    ? '<div class="email-snippet">📎 ' + message.attachments.map(a => '<a href="/api/emails/' + message.id + '/attachments/' + a.partId + '">' + escapeText(a.filename) + '</a>').join(', ') + '</div>'
+                    : ''}
+                  <div class="email-actions">
+                    <button class="btn" onclick="viewEmailDetails('\${message.id}')">View Details</button>
                   </div>
-                  <div class="email-subject">\${message.subject}</div>
-                  <div class="email-snippet">\${message.snippet}</div>
                 \`;
                 conversationDiv.appendChild(messageDiv);
               });
@@ -597,12 +638,18 @@ If you can read this, the Gmail API integration is working properly! 🎉</texta
           }
         }
 
-        async function viewEmailDetails(messageId) {
+        function escapeText(text) {
+          return String(text || '').replace(/[&<>"']/g, c => '&#' + c.charCodeAt(0) + ';');
+        }
+
+        // HTML bodies arrive sanitized from the server; remote images stay
+        // blocked unless the user asks to load them for this message
+        async function viewEmailDetails(messageId, loadImages = false) {
           const detailDiv = document.getElementById('emailDetail');
           detailDiv.innerHTML = '<div class="loading">🔍 Loading email details...</div>';
 
           try {
-            const response = await fetch(\`/api/emails/\${messageId}\`);
+            const response = await fetch(\`/api/emails/\${messageId}\${loadImages ? '?loadImages=true' : ''}\`);
             const data = await response.json();
             
             detailDiv.innerHTML = '<h3>Email Details</h3>';
@@ -613,16 +660,24 @@ If you can read this, the Gmail API integration is working properly! 🎉</texta
               emailDiv.className = 'email-item';
               emailDiv.innerHTML = \`
                 <div class="email-header">
-                  <div class="email-from"><strong>From:</strong> \${email.from}</div>
-                  <div class="email-date"><strong>Date:</strong> \${email.date}</div>
-                </div>
-                <div><strong>To:</strong> \${email.to}</div>
-                <div class="email-subject"><strong>Subject:</strong> \${email.subject}</div>
-                <div style="margin: 15px 0; padding: 15px; background: #f8f9fa; border-radius: 4px; white-space: pre-wrap;">
-                  <strong>Body:</strong><br>\${email.body}
+                  <div class="email-from"><strong>From:</strong> \${escapeText(email.from)}</div>
+                  <div class="email-date"><strong>Date:</strong> \${escapeText(email.date)}</div>
                 </div>
+                <div><strong>To:</strong> \${escapeText(email.to)}</div>
+                <div class="email-subject"><strong>Subject:</strong> \${escapeText(email.subject)}</div>
+                \${email.remoteImagesBlocked
+                  ? '<div class="images-blocked">🖼️ ' + email.remoteImagesBlocked + ' remote image(s) blocked. <button class="btn" onclick="viewEmailDetails(\\'' + email.id + '\\', true)">Load images</button></div>'
+                  : ''}
+                \${email.safeHtml
+                  ? '<div class="email-html">' + email.safeHtml + '</div>'
+                  : '<div style="margin: 15px 0; padding: 15px; background: #f8f9fa; border-radius: 4px; white-space: pre-wrap;"><strong>Body:</strong><br>' + escapeText(email.body) + '</div>'}
                 <div><strong>Snippet:</strong> \${email.snippet}</div>
                 <div><strong>Labels:</strong> \${email.labelIds ? email.labelIds.join(', ') : 'None'}</div>
+                <div><strong>Attachments:</strong> \${email.attachments && email.attachments.length
+                  ? email.attachments.map(a => '<a href="/api/emails/' + email.id + '/attachments/' + a.partId + '">' + escapeText(a.filename) + '</a> (' + a.mimeType + ', ' + a.size + ' bytes)').join(', ')
+                    + ' &middot; <a href="/api/emails/' + email.id + '/attachments.zip">Download all (.zip)</a>'
+                  : 'None'}</div>
+                <div class="email-actions"><a class="btn" href="/api/emails/\${email.id}/raw">Download .eml</a></div>
               \`;
               detailDiv.appendChild(emailDiv);
             } else {
@@ -634,144 +689,1084 @@ If you can read this, the Gmail API integration is working properly! 🎉</texta
           }
         }
 
+        let exportPoll = null;
+
+        async function startExport() {
+          const labelIds = document.getElementById('labelFilter').value;
+          const response = await fetch('/api/exports', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              q: document.getElementById('searchQuery').value,
+              labelIds: labelIds ? [labelIds] : [],
+              includeSpamTrash: document.getElementById('includeSpamTrash').checked
+            })
+          });
+          const data = await response.json();
+          if (!data.success) {
+            document.getElementById('exports').innerHTML = '<div class="error">❌ ' + escapeText(data.error) + '</div>';
+            return;
+          }
+          loadExports();
+        }
+
+        async function exportAction(jobId, action) {
+          await fetch('/api/exports/' + jobId + (action === 'delete' ? '' : '/' + action), {
+            method: action === 'delete' ? 'DELETE' : 'POST'
+          });
+          loadExports();
+        }
+
+        // Lists exports and keeps polling while any of them is still running
+        async function loadExports() {
+          const exportsDiv = document.getElementById('exports');
+          const response = await fetch('/api/exports');
+          const data = await response.json();
+          clearTimeout(exportPoll);
+
+          if (!data.success) {
+            exportsDiv.innerHTML = '<div class="error">❌ ' + escapeText(data.error) + '</div>';
+            return;
+          }
+
+          exportsDiv.innerHTML = data.exports.map(job => {
+            const query = [job.query.q, job.query.labelIds.join(', ')].filter(Boolean).join(' · ');
+            const progress = job.progress !== null ? job.progress + '%' : '…';
+            const actions = {
+              running: ['pause'], pending: ['pause'], paused: ['resume'], failed: ['resume']
+            }[job.status] || [];
+            return '<div class="email-item">' +
+              '<div class="email-subject">' + escapeText(query) + '</div>' +
+              '<div class="email-snippet">' + job.status + ' · ' + progress + ' · ' + job.exported + ' exported, ' + job.failed + ' failed · ' + Math.round(job.bytes / 1024) + ' KB' +
+              (job.error ? ' · ' + escapeText(job.error) : '') + '</div>' +
+              '<div class="email-actions">' +
+              (job.status === 'completed' ? '<a class="btn btn-success" href="/api/exports/' + job.id + '/download">Download .mbox</a>' : '') +
+              actions.map(action => '<button class="btn" onclick="exportAction(\\'' + job.id + '\\', \\'' + action + '\\')">' + action + '</button>').join('') +
+              '<button class="btn btn-danger" onclick="exportAction(\\'' + job.id + '\\', \\'delete\\')">delete</button>' +
+              '</div></div>';
+          }).join('') || '<div class="loading">No exports yet.</div>';
+
+          if (data.exports.some(job => ['pending', 'running'].includes(job.status))) {
+            exportPoll = setTimeout(loadExports, 2000);
+          }
+        }
+
         async function testSendEmail() {
           document.getElementById('to').value = '${req.user.email}';
           document.getElementById('subject').value = 'Test Email - ' + new Date().toLocaleString();
           document.getElementById('message').value = 'This is a test email sent from the Gmail OAuth application at ' + new Date().toLocaleString() + '\\n\\nThis confirms that the email sending functionality is working correctly! 🎉';
         }
 
-        document.getElementById('emailForm').addEventListener('submit', async (e) => {
-          e.preventDefault();
-          
-          const formData = new FormData(e.target);
-          const data = {
+        async function disconnectAccount() {
+          if (!confirm("Revoke this app's access to your Gmail account and delete stored tokens?")) {
+            return;
+          }
+
+          try {
+            const response = await fetch('/disconnect', { method: 'POST' });
+            const result = await response.json();
+            alert(result.message + (result.revoked ? ' (revoked ' + result.tokenType + ')' : ''));
+            window.location.href = '/';
+          } catch (error) {
+            console.error('Error disconnecting:', error);
+            alert('Failed to disconnect: ' + error.message);
+          }
+        }
+
+        // A picked file as { filename, mimeType, content (base64) } for /api/send-email
+        function readAttachment(file) {
+          return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve({
+              filename: file.name,
+              mimeType: file.type || undefined,
+              content: reader.result.slice(reader.result.indexOf(',') + 1)
+            });
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+          });
+        }
+
+        // Compose autosave: edits are saved to a Gmail draft a few seconds
+        // after typing stops. The draft id is kept in localStorage so the
+        // draft is loaded back into the form after a reload.
+        const DRAFT_SAVE_DELAY = 3000;
+        let draftId = localStorage.getItem('composeDraftId');
+        let draftTimer = null;
+        let draftSave = null;
+
+        function setDraftId(id) {
+          draftId = id;
+          if (id) {
+            localStorage.setItem('composeDraftId', id);
+          } else {
+            localStorage.removeItem('composeDraftId');
+          }
+        }
+
+        function composeFields() {
+          const formData = new FormData(document.getElementById('emailForm'));
+          return {
             to: formData.get('to'),
+            cc: formData.get('cc') || undefined,
+            bcc: formData.get('bcc') || undefined,
             subject: formData.get('subject'),
             message: formData.get('message')
           };
+        }
 
-          const resultDiv = document.getElementById('sendResult');
-          resultDiv.innerHTML = '<div class="loading">📤 Sending email...</div>';
+        function showDraftStatus(text) {
+          document.getElementById('draftStatus').textContent = text;
+        }
 
-          try {
-            const response = await fetch('/api/send-email', {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json'
-              },
+        // Save the form to the draft, creating it on first save. Saves run
+        // one at a time so a slow create can't leave two drafts behind.
+        async function saveDraft(extra) {
+          clearTimeout(draftTimer);
+          if (draftSave) await draftSave.catch(() => {});
+
+          draftSave = (async () => {
+            const data = { ...composeFields(), ...extra };
+            let response = await fetch(draftId ? '/api/drafts/' + encodeURIComponent(draftId) : '/api/drafts', {
+              method: draftId ? 'PUT' : 'POST',
+              headers: { 'Content-Type': 'application/json' },
               body: JSON.stringify(data)
             });
 
+            // Sent or deleted elsewhere: start a new draft
+            if (response.status === 404) {
+              setDraftId(null);
+              response = await fetch('/api/drafts', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(data)
+              });
+            }
+
             const result = await response.json();
-            
-            if (result.success) {
-              resultDiv.innerHTML = '<div class="success">✅ Email sent successfully! Message ID: ' + result.messageId + '</div>';
-              e.target.reset();
-              // Reload emails to see the sent one
-              setTimeout(() => loadEmails(), 2000);
-            } else {
-              resultDiv.innerHTML = '<div class="error">❌ Error: ' + result.error + '</div>';
+            if (result.error === 'consent_required') {
+              throw new Error(result.message);
             }
+            if (!result.success) {
+              throw new Error(result.error);
+            }
+            setDraftId(result.draftId);
+            return result;
+          })();
+
+          try {
+            const result = await draftSave;
+            showDraftStatus('💾 Draft saved at ' + new Date().toLocaleTimeString());
+            return result;
           } catch (error) {
-            console.error('Error sending email:', error);
-            resultDiv.innerHTML = '<div class="error">❌ Failed to send email: ' + error.message + '</div>';
+            showDraftStatus('⚠️ Draft not saved: ' + error.message);
+            throw error;
+          } finally {
+            draftSave = null;
           }
-        });
+        }
 
-        // Load emails automatically when page loads
-        setTimeout(() => loadEmails(), 1000);
-      </script>
-    </body>
-    </html>
-  `);
-});
+        function scheduleDraftSave() {
+          clearTimeout(draftTimer);
+          showDraftStatus('✏️ Unsaved changes');
+          draftTimer = setTimeout(() => saveDraft().catch(() => {}), DRAFT_SAVE_DELAY);
+        }
 
-// API Routes for Email Testing
-app.get('/api/emails', ensureAuthenticated, async (req, res) => {
-  try {
-    const maxResults = parseInt(req.query.maxResults) || 20;
-    const gmailService = new GmailService(req.user.accessToken);
-    const emails = await gmailService.listEmails(maxResults);
-    
-    console.log(`✅ Successfully fetched ${emails.length} emails`);
-    res.json({ success: true, emails: emails });
-  } catch (error) {
-    console.error('Error fetching emails:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+        async function openDraft(id) {
+          try {
+            const response = await fetch('/api/drafts/' + encodeURIComponent(id));
+            const result = await response.json();
 
-app.get('/api/emails/:messageId', ensureAuthenticated, async (req, res) => {
-  try {
-    const gmailService = new GmailService(req.user.accessToken);
-    const email = await gmailService.getEmail(req.params.messageId);
-    
-    res.json({ success: true, email: email });
-  } catch (error) {
-    console.error('Error fetching email:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+            if (!result.success) {
+              if (response.status === 404 && id === draftId) setDraftId(null);
+              showDraftStatus(response.status === 404 ? '' : '⚠️ ' + result.error);
+              return;
+            }
 
-app.get('/api/conversations/:threadId', ensureAuthenticated, async (req, res) => {
-  try {
-    const gmailService = new GmailService(req.user.accessToken);
-    const conversation = await gmailService.getConversation(req.params.threadId);
-    
-    res.json({ success: true, conversation: conversation });
-  } catch (error) {
-    console.error('Error fetching conversation:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+            const message = result.draft.message;
+            const list = (people) => people.map(person => person.name ? person.name + ' <' + person.address + '>' : person.address).join(', ');
+            document.getElementById('to').value = list(message.to);
+            document.getElementById('cc').value = list(message.cc);
+            document.getElementById('bcc').value = list(message.bcc);
+            document.getElementById('subject').value = message.subject === 'No Subject' ? '' : message.subject;
+            document.getElementById('message').value = message.textBody || '';
+            setDraftId(result.draft.id);
+            showDraftStatus('📝 Editing draft saved ' + message.date);
+          } catch (error) {
+            console.error('Error loading draft:', error);
+            showDraftStatus('⚠️ Could not load draft: ' + error.message);
+          }
+        }
 
-app.post('/api/send-email', ensureAuthenticated, async (req, res) => {
-  try {
-    const { to, subject, message } = req.body;
-    
-    if (!to || !subject || !message) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Missing required fields: to, subject, message' 
-      });
-    }
+        async function discardDraft() {
+          clearTimeout(draftTimer);
+          if (draftSave) await draftSave.catch(() => {});
 
-    const gmailService = new GmailService(req.user.accessToken);
-    const result = await gmailService.sendEmail(to, subject, message);
-    
-    console.log(`✅ Email sent successfully to ${to}`);
-    res.json({ 
-      success: true, 
-      messageId: result.id,
-      message: 'Email sent successfully'
-    });
-  } catch (error) {
-    console.error('Error sending email:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+          if (draftId) {
+            if (!confirm('Delete this draft?')) return;
+            await fetch('/api/drafts/' + encodeURIComponent(draftId), { method: 'DELETE' });
+            setDraftId(null);
+          }
+          document.getElementById('emailForm').reset();
+          showDraftStatus('🗑️ Draft discarded');
+        }
 
-app.get('/api/profile', ensureAuthenticated, async (req, res) => {
-  try {
-    const gmailService = new GmailService(req.user.accessToken);
-    const profile = await gmailService.getProfile();
-    
-    res.json({
-      success: true,
-      user: req.user,
-      gmailProfile: profile,
-      permissions: {
-        canRead: true,
-        canSend: true,
-        canModify: true
-      }
-    });
+        async function loadDrafts() {
+          const draftsDiv = document.getElementById('drafts');
+          draftsDiv.innerHTML = '<div class="loading">Loading drafts...</div>';
+
+          try {
+            const response = await fetch('/api/drafts');
+            const result = await response.json();
+
+            if (!result.success) {
+              draftsDiv.innerHTML = '<div class="error">❌ Error: ' + escapeText(result.error) + '</div>';
+              return;
+            }
+            if (result.drafts.length === 0) {
+              draftsDiv.innerHTML = '<div class="loading">No drafts</div>';
+              return;
+            }
+
+            draftsDiv.innerHTML = '<div class="email-list">' + result.drafts.map(draft => \`
+              <div class="email-item" onclick="openDraft('\${draft.id}')">
+                <div class="email-subject">\${escapeText(draft.message.subject || '(no subject)')}</div>
+                <div class="email-snippet">To: \${escapeText(draft.message.to || '(no recipients)')} · \${escapeText(draft.message.snippet || '')}</div>
+              </div>
+            \`).join('') + '</div>';
+          } catch (error) {
+            console.error('Error loading drafts:', error);
+            draftsDiv.innerHTML = '<div class="error">❌ Failed to load drafts: ' + escapeText(error.message) + '</div>';
+          }
+        }
+
+        document.getElementById('emailForm').addEventListener('input', (e) => {
+          if (!['attachments', 'sendAt', 'timeZone'].includes(e.target.id)) scheduleDraftSave();
+        });
+
+        if (draftId) openDraft(draftId);
+
+        document.getElementById('timeZone').value = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+        // Queue the form for sending at the chosen time; the scheduled copy
+        // replaces the autosaved draft
+        async function scheduleEmail() {
+          const form = document.getElementById('emailForm');
+          const resultDiv = document.getElementById('sendResult');
+          const data = {
+            ...composeFields(),
+            sendAt: document.getElementById('sendAt').value,
+            timeZone: document.getElementById('timeZone').value.trim() || undefined
+          };
+
+          if (!data.sendAt) {
+            resultDiv.innerHTML = '<div class="error">❌ Pick a time under "Send later" first</div>';
+            return;
+          }
+          if (!form.reportValidity()) return;
+
+          resultDiv.innerHTML = '<div class="loading">⏰ Scheduling email...</div>';
+
+          try {
+            const files = Array.from(document.getElementById('attachments').files);
+            data.attachments = await Promise.all(files.map(readAttachment));
+
+            const response = await fetch('/api/scheduled', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify(data)
+            });
+            const result = await response.json();
+
+            if (result.success) {
+              clearTimeout(draftTimer);
+              if (draftSave) await draftSave.catch(() => {});
+              if (draftId) {
+                await fetch('/api/drafts/' + encodeURIComponent(draftId), { method: 'DELETE' });
+                setDraftId(null);
+              }
+              showDraftStatus('');
+              form.reset();
+              document.getElementById('timeZone').value = Intl.DateTimeFormat().resolvedOptions().timeZone;
+              resultDiv.innerHTML = '<div class="success">⏰ Scheduled for ' + escapeText(new Date(result.scheduled.sendAt).toLocaleString()) + '</div>';
+              loadScheduled();
+            } else if (result.error === 'consent_required') {
+              resultDiv.innerHTML = '<div class="error">🔐 ' + result.message + '. <a href="' + result.upgradeUrl + '">Grant permission</a> and try again.</div>';
+            } else {
+              resultDiv.innerHTML = '<div class="error">❌ Error: ' + escapeText(result.error) + '</div>';
+            }
+          } catch (error) {
+            console.error('Error scheduling email:', error);
+            resultDiv.innerHTML = '<div class="error">❌ Failed to schedule email: ' + escapeText(error.message) + '</div>';
+          }
+        }
+
+        async function loadScheduled() {
+          const scheduledDiv = document.getElementById('scheduled');
+          scheduledDiv.innerHTML = '<div class="loading">Loading scheduled emails...</div>';
+
+          try {
+            const response = await fetch('/api/scheduled');
+            const result = await response.json();
+
+            if (!result.success) {
+              scheduledDiv.innerHTML = '<div class="error">❌ Error: ' + escapeText(result.error) + '</div>';
+              return;
+            }
+            if (result.scheduled.length === 0) {
+              scheduledDiv.innerHTML = '<div class="loading">No scheduled emails</div>';
+              return;
+            }
+
+            scheduledDiv.innerHTML = '<div class="email-list">' + result.scheduled.map(job => \`
+              <div class="email-item">
+                <div class="email-header">
+                  <div class="email-from">\${escapeText(job.status)} · \${escapeText(new Date(job.sentAt || job.sendAt).toLocaleString())}</div>
+                  <div class="email-date">\${escapeText(job.timeZone || '')}</div>
+                </div>
+                <div class="email-subject">\${escapeText(job.subject)}</div>
+                <div class="email-snippet">To: \${escapeText(job.to.join(', '))}\${job.error ? ' · ⚠️ ' + escapeText(job.error) : ''}</div>
+                \${['scheduled', 'failed'].includes(job.status) ? \`
+                  <div class="email-actions">
+                    <button class="btn" onclick="rescheduleEmail('\${job.id}', '\${escapeText(job.timeZone || '')}')">Reschedule</button>
+                    <button class="btn btn-danger" onclick="cancelScheduled('\${job.id}')">Cancel</button>
+                  </div>\` : ''}
+              </div>
+            \`).join('') + '</div>';
+          } catch (error) {
+            console.error('Error loading scheduled emails:', error);
+            scheduledDiv.innerHTML = '<div class="error">❌ Failed to load scheduled emails: ' + escapeText(error.message) + '</div>';
+          }
+        }
+
+        async function rescheduleEmail(jobId, timeZone) {
+          const sendAt = prompt('New send time (YYYY-MM-DDTHH:MM' + (timeZone ? ', ' + timeZone : ' with a UTC offset') + '):');
+          if (!sendAt) return;
+
+          const response = await fetch('/api/scheduled/' + encodeURIComponent(jobId), {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ sendAt: sendAt.trim(), timeZone: timeZone || undefined })
+          });
+          const result = await response.json();
+          if (!result.success) alert('Failed to reschedule: ' + (result.message || result.error));
+          loadScheduled();
+        }
+
+        async function cancelScheduled(jobId) {
+          if (!confirm('Cancel this scheduled email?')) return;
+
+          const response = await fetch('/api/scheduled/' + encodeURIComponent(jobId), { method: 'DELETE' });
+          const result = await response.json();
+          if (!result.success) alert('Failed to cancel: ' + result.error);
+          loadScheduled();
+        }
+
+        document.getElementById('emailForm').addEventListener('submit', async (e) => {
+          e.preventDefault();
+          
+          const data = composeFields();
+
+          const resultDiv = document.getElementById('sendResult');
+          resultDiv.innerHTML = '<div class="loading">📤 Sending email...</div>';
+
+          try {
+            const files = Array.from(document.getElementById('attachments').files);
+            data.attachments = await Promise.all(files.map(readAttachment));
+
+            // An autosaved message is sent as its draft, so Gmail removes
+            // the draft; otherwise it is sent directly
+            let response;
+            clearTimeout(draftTimer);
+            if (draftSave) await draftSave.catch(() => {});
+            if (draftId) {
+              await saveDraft({ attachments: data.attachments });
+              response = await fetch('/api/drafts/' + encodeURIComponent(draftId) + '/send', { method: 'POST' });
+            } else {
+              response = await fetch('/api/send-email', {
+                method: 'POST',
+                headers: {
+                  'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(data)
+              });
+            }
+
+            const result = await response.json();
+            
+            if (result.success) {
+              resultDiv.innerHTML = '<div class="success">✅ Email sent successfully! Message ID: ' + result.messageId + '</div>';
+              setDraftId(null);
+              showDraftStatus('');
+              e.target.reset();
+              // Reload emails to see the sent one
+              setTimeout(() => loadEmails(), 2000);
+            } else if (result.error === 'consent_required') {
+              resultDiv.innerHTML = '<div class="error">🔐 ' + result.message + '. <a href="' + result.upgradeUrl + '">Grant permission</a> and try again.</div>';
+            } else {
+              resultDiv.innerHTML = '<div class="error">❌ Error: ' + result.error + '</div>';
+            }
+          } catch (error) {
+            console.error('Error sending email:', error);
+            resultDiv.innerHTML = '<div class="error">❌ Failed to send email: ' + error.message + '</div>';
+          }
+        });
+
+        // Load emails automatically when page loads
+        setTimeout(() => loadEmails(), 1000);
+      </script>
+    </body>
+    </html>
+  `);
+});
+
+// API Routes for Email Testing
+// Query: q (Gmail search syntax), labelIds (comma-separated), includeSpamTrash,
+// pageToken (from the previous page's nextPageToken), maxResults (1-500)
+app.get('/api/emails', ensureAuthenticated, async (req, res) => {
+  try {
+    const maxResults = Math.min(Math.max(parseInt(req.query.maxResults) || 20, 1), 500);
+    const q = (req.query.q || '').trim() || undefined;
+    const labelIds = parseLabelIds(req.query.labelIds);
+    const includeSpamTrash = req.query.includeSpamTrash === 'true';
+    const pageToken = req.query.pageToken || undefined;
+    // A search without label filters covers all mail, like Gmail's own search box
+    const listLabels = labelIds || (q ? [] : ['INBOX']);
+
+    // A first page the cache can answer is served from it; bring it up to
+    // date first. Later pages keep paging whatever answered the first.
+    if (!pageToken && mailCache.canAnswer({ labelIds: listLabels, q, includeSpamTrash })) {
+      await syncService.refresh(req.user.id);
+    }
+
+    const gmailService = createGmailService(req);
+    const page = await gmailService.listEmailPage({
+      maxResults,
+      labelIds: listLabels,
+      q,
+      includeSpamTrash,
+      pageToken
+    });
+    
+    console.log(`✅ Successfully fetched ${page.emails.length} emails`);
+    res.json({
+      success: true,
+      emails: page.emails,
+      nextPageToken: page.nextPageToken,
+      resultSizeEstimate: page.resultSizeEstimate,
+      source: page.source
+    });
+  } catch (error) {
+    console.error('Error fetching emails:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/emails/:messageId', ensureAuthenticated, async (req, res) => {
+  try {
+    const gmailService = createGmailService(req);
+    const email = await gmailService.getEmail(req.params.messageId);
+    const rendered = sanitizeEmailHtml(email.htmlBody, {
+      inlineParts: email.inlineParts,
+      inlineUrl: part => `/api/emails/${encodeURIComponent(email.id)}/attachments/${part.partId}?disposition=inline`,
+      loadImages: req.query.loadImages === 'true'
+    });
+    
+    res.json({
+      success: true,
+      email: {
+        ...email,
+        safeHtml: rendered.html,
+        remoteImagesBlocked: rendered.remoteImagesBlocked,
+        trackersRemoved: rendered.trackersRemoved
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching email:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List a message's attachments and inline (cid:) parts
+app.get('/api/emails/:messageId/attachments', ensureAuthenticated, async (req, res) => {
+  try {
+    const gmailService = createGmailService(req);
+    const attachments = await gmailService.listAttachments(req.params.messageId);
+
+    res.json({ success: true, attachments: attachments });
+  } catch (error) {
+    console.error('Error listing attachments:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Download all attachments as a zip
+app.get('/api/emails/:messageId/attachments.zip', ensureAuthenticated, async (req, res) => {
+  try {
+    const gmailService = createGmailService(req);
+    const sent = await streamZip(res, gmailService, req.params.messageId);
+
+    if (!sent) {
+      res.status(404).json({ success: false, error: 'Message has no attachments' });
+    }
+  } catch (error) {
+    console.error('Error zipping attachments:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Download one attachment by partId (?disposition=inline shows images in the browser)
+app.get('/api/emails/:messageId/attachments/:partId', ensureAuthenticated, async (req, res) => {
+  try {
+    const gmailService = createGmailService(req);
+    const attachment = await gmailService.getAttachment(req.params.messageId, req.params.partId);
+
+    if (!attachment) {
+      return res.status(404).json({ success: false, error: 'Attachment not found' });
+    }
+
+    sendAttachment(res, attachment, { inline: req.query.disposition === 'inline' });
+  } catch (error) {
+    console.error('Error fetching attachment:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Local mailbox cache: sync state, and a manual (optionally full) resync
+app.get('/api/sync', ensureAuthenticated, async (req, res) => {
+  try {
+    res.json({ success: true, sync: await syncService.status(req.user.id) });
+  } catch (error) {
+    console.error('Error fetching sync status:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/sync', ensureAuthenticated, async (req, res) => {
+  try {
+    const full = req.body?.full === true || req.query.full === 'true';
+    syncService.sync(req.user.id, { full }).catch(error => {
+      console.error('Sync error:', error.message);
+    });
+
+    res.status(202).json({ success: true, sync: await syncService.status(req.user.id) });
+  } catch (error) {
+    console.error('Error starting sync:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Full-text search over the local index of fetched mail. q accepts words,
+// "quoted phrases", -excluded words and from: to: subject: filename: body:
+// label: tag: has:attachment after: before: filters.
+app.get('/api/search', ensureAuthenticated, async (req, res) => {
+  try {
+    const { after, before } = req.query;
+    const invalidDate = [after, before].find(value => value && isNaN(Date.parse(value)));
+    if (invalidDate) {
+      return res.status(400).json({ success: false, error: `Invalid date: ${invalidDate}` });
+    }
+
+    // Index whatever is new before searching
+    await syncService.refresh(req.user.id);
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const found = await searchIndex.search(req.user.id, req.query.q || '', {
+      limit,
+      offset,
+      after,
+      before,
+      labelIds: parseLabelIds(req.query.labelIds) || []
+    });
+
+    res.json({
+      success: true,
+      total: found.total,
+      results: found.results,
+      nextOffset: offset + found.results.length < found.total ? offset + found.results.length : null
+    });
+  } catch (error) {
+    console.error('Error searching emails:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Set the local tags of an indexed message (searchable with tag:)
+app.put('/api/emails/:messageId/tags', ensureAuthenticated, async (req, res) => {
+  try {
+    const tags = req.body?.tags;
+    if (!Array.isArray(tags)) {
+      return res.status(400).json({ success: false, error: 'tags must be an array' });
+    }
+
+    const saved = await searchIndex.setTags(req.user.id, req.params.messageId, tags);
+    if (!saved) {
+      return res.status(404).json({ success: false, error: 'Message is not in the search index' });
+    }
+    res.json({ success: true, tags: saved });
+  } catch (error) {
+    console.error('Error saving tags:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Push notification watch on the user's mailbox
+app.get('/api/watch', ensureAuthenticated, async (req, res) => {
+  try {
+    res.json({ success: true, enabled: watchService.isEnabled(), watch: await watchService.get(req.user.id) });
+  } catch (error) {
+    console.error('Error fetching watch:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/watch', ensureAuthenticated, async (req, res) => {
+  if (!watchService.isEnabled()) {
+    return res.status(501).json({ success: false, error: 'Push notifications are not configured' });
+  }
+
+  try {
+    res.json({ success: true, watch: await watchService.watch(req.user.id, { gmailService: createGmailService(req) }) });
+  } catch (error) {
+    console.error('Error starting watch:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/watch', ensureAuthenticated, async (req, res) => {
+  try {
+    const stopped = await watchService.stop(req.user.id, { gmailService: createGmailService(req) });
+    res.json({ success: true, stopped });
+  } catch (error) {
+    console.error('Error stopping watch:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Download the original message as .eml
+app.get('/api/emails/:messageId/raw', ensureAuthenticated, async (req, res) => {
+  try {
+    const gmailService = createGmailService(req);
+    const message = await gmailService.getRawMessage(req.params.messageId);
+
+    sendEml(res, message);
+  } catch (error) {
+    console.error('Error fetching raw email:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// mbox export jobs. Body: { q, labelIds, includeSpamTrash }
+app.post('/api/exports', ensureAuthenticated, async (req, res) => {
+  try {
+    const { q, labelIds, includeSpamTrash } = req.body || {};
+    const job = await exportService.create(req.user.id, {
+      q,
+      labelIds: parseLabelIds(labelIds) || [],
+      includeSpamTrash: includeSpamTrash === true || includeSpamTrash === 'true'
+    });
+
+    res.status(202).json({ success: true, export: job });
+  } catch (error) {
+    console.error('Error creating export:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/exports', ensureAuthenticated, async (req, res) => {
+  try {
+    const jobs = await exportService.list(req.user.id);
+    res.json({ success: true, exports: jobs });
+  } catch (error) {
+    console.error('Error listing exports:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/exports/:jobId', ensureAuthenticated, async (req, res) => {
+  try {
+    const job = await exportService.get(req.params.jobId, req.user.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Export not found' });
+    }
+    res.json({ success: true, export: job });
+  } catch (error) {
+    console.error('Error fetching export:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/exports/:jobId/:action(pause|resume)', ensureAuthenticated, async (req, res) => {
+  try {
+    const job = await exportService[req.params.action](req.params.jobId, req.user.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Export not found' });
+    }
+    res.json({ success: true, export: job });
+  } catch (error) {
+    console.error(`Error trying to ${req.params.action} export:`, error);
+    res.status(409).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/exports/:jobId', ensureAuthenticated, async (req, res) => {
+  try {
+    const deleted = await exportService.delete(req.params.jobId, req.user.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Export not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting export:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/exports/:jobId/download', ensureAuthenticated, async (req, res) => {
+  try {
+    const file = await exportService.download(req.params.jobId, req.user.id);
+    if (!file) {
+      return res.status(404).json({ success: false, error: 'Export not found' });
+    }
+    // sendFile streams the file and honours Range requests for resumed downloads
+    res.download(file.path, file.filename, { headers: { 'Content-Type': 'application/mbox' } });
+  } catch (error) {
+    console.error('Error downloading export:', error);
+    res.status(409).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/conversations/:threadId', ensureAuthenticated, async (req, res) => {
+  try {
+    const gmailService = createGmailService(req);
+    const conversation = await gmailService.getConversation(req.params.threadId);
+    
+    res.json({ success: true, conversation: conversation });
+  } catch (error) {
+    console.error('Error fetching conversation:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/send-email', ensureAuthenticated, requireFeature('send'), async (req, res) => {
+  try {
+    const { to, subject, message, html, cc, bcc, replyTo, attachments } = req.body;
+    
+    if (!to || !subject || (!message && !html)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Missing required fields: to, subject, message (or html)' 
+      });
+    }
+
+    const gmailService = createGmailService(req);
+    const result = await gmailService.sendEmail(to, subject, message, { html, cc, bcc, replyTo, attachments });
+    
+    console.log(`✅ Email sent successfully to ${to}`);
+    res.json({ 
+      success: true, 
+      messageId: result.id,
+      message: 'Email sent successfully'
+    });
+  } catch (error) {
+    if (error.fields) {
+      return res.status(400).json({ success: false, error: error.message, fields: error.fields });
+    }
+    console.error('Error sending email:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Reply or reply-all to a message, in its thread. Recipients, subject and
+// threading headers come from the original: { message, html, cc, bcc,
+// attachments, quote (default true) }
+app.post('/api/emails/:messageId/:action(reply|reply-all)', ensureAuthenticated, requireFeature('send'), async (req, res) => {
+  try {
+    const { message, html, cc, bcc, attachments, quote } = req.body || {};
+    const gmailService = createGmailService(req);
+    const result = await gmailService.reply(req.params.messageId, {
+      body: message,
+      html,
+      cc,
+      bcc,
+      attachments,
+      quote,
+      replyAll: req.params.action === 'reply-all'
+    });
+
+    console.log(`✅ Sent ${req.params.action} to message ${req.params.messageId}`);
+    res.json({ success: true, messageId: result.id, threadId: result.threadId });
+  } catch (error) {
+    if (error.fields) {
+      return res.status(400).json({ success: false, error: error.message, fields: error.fields });
+    }
+    console.error('Error sending reply:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Forward a message: { to, cc, bcc, message, html, attachments, asAttachment }
+app.post('/api/emails/:messageId/forward', ensureAuthenticated, requireFeature('send'), async (req, res) => {
+  try {
+    const { to, cc, bcc, message, html, attachments, asAttachment } = req.body || {};
+    const gmailService = createGmailService(req);
+    const result = await gmailService.forward(req.params.messageId, {
+      to,
+      cc,
+      bcc,
+      body: message,
+      html,
+      attachments,
+      asAttachment: asAttachment === true
+    });
+
+    console.log(`✅ Forwarded message ${req.params.messageId}`);
+    res.json({ success: true, messageId: result.id, threadId: result.threadId });
+  } catch (error) {
+    if (error.fields) {
+      return res.status(400).json({ success: false, error: error.message, fields: error.fields });
+    }
+    console.error('Error forwarding email:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Drafts. Create and update take the /api/send-email fields plus threadId;
+// recipients may be left empty until the draft is sent.
+app.get('/api/drafts', ensureAuthenticated, async (req, res) => {
+  try {
+    const gmailService = createGmailService(req);
+    const page = await gmailService.listDrafts({
+      maxResults: Math.min(Math.max(parseInt(req.query.maxResults) || 20, 1), 500),
+      pageToken: req.query.pageToken || undefined,
+      q: (req.query.q || '').trim() || undefined
+    });
+
+    res.json({
+      success: true,
+      drafts: page.drafts,
+      nextPageToken: page.nextPageToken,
+      resultSizeEstimate: page.resultSizeEstimate
+    });
+  } catch (error) {
+    console.error('Error listing drafts:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/drafts/:draftId', ensureAuthenticated, async (req, res) => {
+  try {
+    const gmailService = createGmailService(req);
+    const draft = await gmailService.getDraft(req.params.draftId);
+    res.json({ success: true, draft: draft });
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ success: false, error: 'Draft not found' });
+    }
+    console.error('Error fetching draft:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/drafts', ensureAuthenticated, requireFeature('compose'), async (req, res) => {
+  try {
+    const { to, subject, message, html, cc, bcc, replyTo, attachments, threadId } = req.body || {};
+    const gmailService = createGmailService(req);
+    const draft = await gmailService.createDraft(to, subject, message, { html, cc, bcc, replyTo, attachments, threadId });
+
+    res.status(201).json({ success: true, draftId: draft.id, messageId: draft.message?.id });
+  } catch (error) {
+    if (error.fields) {
+      return res.status(400).json({ success: false, error: error.message, fields: error.fields });
+    }
+    console.error('Error creating draft:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/drafts/:draftId', ensureAuthenticated, requireFeature('compose'), async (req, res) => {
+  try {
+    const { to, subject, message, html, cc, bcc, replyTo, attachments, threadId } = req.body || {};
+    const gmailService = createGmailService(req);
+    const draft = await gmailService.updateDraft(req.params.draftId, to, subject, message, { html, cc, bcc, replyTo, attachments, threadId });
+
+    res.json({ success: true, draftId: draft.id, messageId: draft.message?.id });
+  } catch (error) {
+    if (error.fields) {
+      return res.status(400).json({ success: false, error: error.message, fields: error.fields });
+    }
+    if (error.status === 404) {
+      return res.status(404).json({ success: false, error: 'Draft not found' });
+    }
+    console.error('Error updating draft:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/drafts/:draftId', ensureAuthenticated, requireFeature('compose'), async (req, res) => {
+  try {
+    const gmailService = createGmailService(req);
+    await gmailService.deleteDraft(req.params.draftId);
+    res.json({ success: true });
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ success: false, error: 'Draft not found' });
+    }
+    console.error('Error deleting draft:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/drafts/:draftId/send', ensureAuthenticated, requireFeature('compose'), async (req, res) => {
+  try {
+    const gmailService = createGmailService(req);
+    const result = await gmailService.sendDraft(req.params.draftId);
+
+    console.log(`✅ Sent draft ${req.params.draftId}`);
+    res.json({ success: true, messageId: result.id, threadId: result.threadId });
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ success: false, error: 'Draft not found' });
+    }
+    // Gmail rejects drafts without recipients with a 400
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('Error sending draft:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Scheduled sending. Create takes the /api/send-email fields plus threadId,
+// sendAt (ISO date-time) and timeZone (IANA name, for a sendAt without a
+// UTC offset); reschedule takes sendAt and timeZone.
+app.post('/api/scheduled', ensureAuthenticated, requireFeature('send'), async (req, res) => {
+  try {
+    const { to, subject, message, html, cc, bcc, replyTo, attachments, threadId, sendAt, timeZone } = req.body || {};
+    const job = await scheduleService.create(req.user.id, {
+      to,
+      subject,
+      body: message,
+      options: { html, cc, bcc, replyTo, attachments, threadId }
+    }, { sendAt, timeZone });
+
+    res.status(201).json({ success: true, scheduled: job });
+  } catch (error) {
+    if (error.fields) {
+      return res.status(400).json({ success: false, error: error.message, fields: error.fields });
+    }
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('Error scheduling email:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/scheduled', ensureAuthenticated, async (req, res) => {
+  try {
+    const jobs = await scheduleService.list(req.user.id, { status: req.query.status || undefined });
+    res.json({ success: true, scheduled: jobs });
+  } catch (error) {
+    console.error('Error listing scheduled emails:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/scheduled/:jobId', ensureAuthenticated, async (req, res) => {
+  try {
+    const job = await scheduleService.get(req.params.jobId, req.user.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Scheduled email not found' });
+    }
+    res.json({ success: true, scheduled: job });
+  } catch (error) {
+    console.error('Error fetching scheduled email:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.patch('/api/scheduled/:jobId', ensureAuthenticated, requireFeature('send'), async (req, res) => {
+  try {
+    const { sendAt, timeZone } = req.body || {};
+    const job = await scheduleService.reschedule(req.params.jobId, req.user.id, { sendAt, timeZone });
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Scheduled email not found' });
+    }
+    res.json({ success: true, scheduled: job });
+  } catch (error) {
+    if (error.status === 400 || error.status === 409) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('Error rescheduling email:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/scheduled/:jobId', ensureAuthenticated, async (req, res) => {
+  try {
+    const job = await scheduleService.cancel(req.params.jobId, req.user.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Scheduled email not found' });
+    }
+    res.json({ success: true, scheduled: job });
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    console.error('Error cancelling scheduled email:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/profile', ensureAuthenticated, async (req, res) => {
+  try {
+    const gmailService = createGmailService(req);
+    const profile = await gmailService.getProfile();
+    
+    res.json({
+      success: true,
+      user: publicUser(req.user),
+      gmailProfile: profile,
+      permissions: permissionsFromScopes(req.user.scopes)
+    });
   } catch (error) {
     console.error('Error fetching profile:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Gmail push notifications from the Pub/Sub push subscription. A 2xx
+// acknowledges the message; anything else makes Pub/Sub redeliver it, so
+// failed syncs are retried and malformed pushes are acknowledged and dropped.
+app.post('/webhooks/gmail', async (req, res) => {
+  try {
+    await verifyPushRequest(req);
+  } catch (error) {
+    console.warn('Rejected Gmail push:', error.message);
+    return res.status(error.status || 401).json({ success: false, error: error.message });
+  }
+
+  let notification;
+  try {
+    notification = decodePushMessage(req.body);
+  } catch (error) {
+    console.warn('Dropped Gmail push:', error.message);
+    return res.status(204).end();
+  }
+
+  try {
+    const result = await watchService.handleNotification(notification);
+    console.log(`📬 Gmail push for ${notification.emailAddress} (history ${notification.historyId}): ${result.status}`);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error handling Gmail push:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
@@ -790,4 +1785,10 @@ app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
   console.log(`🔧 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`📧 Gmail OAuth app ready`);
+
+  exportService.resumeInterrupted().catch(error => {
+    console.error('Error resuming exports:', error.message);
+  });
+  watchService.start();
+  scheduleService.start();
 });
\ No newline at end of file
@@ -0,0 +1,117 @@
+// config/delegationPolicy.js
+const fs = require('fs');
+
+const ACCESS_LEVELS = ['none', 'read', 'send'];
+
+// Used when DELEGATION_POLICY_FILE is not set: users may read (not send from)
+// mailboxes in their own domain once Gmail confirms they are a delegate.
+const DEFAULT_POLICY = {
+  allowedDomains: [],
+  defaultAccess: 'read',
+  requireGmailDelegate: true,
+  users: {}
+};
+
+function domainOf(email) {
+  return String(email).split('@').pop().toLowerCase();
+}
+
+// 'support@example.com' matches exactly, '*@example.com' matches the domain
+function matchesMailbox(pattern, email) {
+  const normalized = pattern.toLowerCase();
+  if (normalized.startsWith('*@')) {
+    return domainOf(email) === normalized.slice(2);
+  }
+  return normalized === email.toLowerCase();
+}
+
+function allows(granted, requested) {
+  return ACCESS_LEVELS.indexOf(granted) >= ACCESS_LEVELS.indexOf(requested);
+}
+
+// Local rules for which mailboxes a user may reach through the delegated
+// routes, and whether they may only read or also send. A policy file looks like:
+//
+// {
+//   "allowedDomains": ["example.com"],
+//   "defaultAccess": "read",
+//   "requireGmailDelegate": true,
+//   "users": {
+//     "alice@example.com": { "mailboxes": ["support@example.com", "*@sales.example.com"], "access": "send" }
+//   }
+// }
+//
+// allowedDomains empty means "the user's own domain only". Entries in users
+// are keyed by email address or userId and replace the defaults for that user.
+class DelegationPolicy {
+  constructor() {
+    this.policy = null;
+  }
+
+  load() {
+    if (this.policy) return this.policy;
+
+    const file = process.env.DELEGATION_POLICY_FILE;
+    let configured = {};
+    if (file) {
+      try {
+        configured = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        throw new Error(`Failed to load delegation policy from ${file}: ${error.message}`);
+      }
+    }
+
+    this.policy = this.validate({ ...DEFAULT_POLICY, ...configured });
+    return this.policy;
+  }
+
+  validate(policy) {
+    if (!ACCESS_LEVELS.includes(policy.defaultAccess)) {
+      throw new Error(`Invalid defaultAccess in delegation policy: ${policy.defaultAccess}`);
+    }
+    Object.entries(policy.users || {}).forEach(([user, rule]) => {
+      if (!Array.isArray(rule.mailboxes) || !ACCESS_LEVELS.includes(rule.access)) {
+        throw new Error(`Invalid delegation policy entry for ${user}: needs mailboxes[] and access`);
+      }
+    });
+    policy.allowedDomains = (policy.allowedDomains || []).map(domain => domain.toLowerCase());
+    return policy;
+  }
+
+  // Decide whether userEmail/userId may use `access` ('read' or 'send') on targetEmail
+  evaluate({ userId, userEmail, targetEmail, access }) {
+    const policy = this.load();
+
+    if (!userEmail) {
+      return { allowed: false, reason: 'unknown_user_email', message: 'Authenticated user has no email on record; please re-authenticate' };
+    }
+
+    const allowedDomains = policy.allowedDomains.length > 0
+      ? policy.allowedDomains
+      : [domainOf(userEmail)];
+    if (!allowedDomains.includes(domainOf(targetEmail))) {
+      return { allowed: false, reason: 'domain_not_allowed', message: `Mailboxes in ${domainOf(targetEmail)} are not allowed` };
+    }
+
+    const users = policy.users || {};
+    const rule = users[userEmail.toLowerCase()] || users[userEmail] || users[userId];
+    const mailboxes = rule ? rule.mailboxes : ['*@' + domainOf(userEmail)];
+    const grantedAccess = rule ? rule.access : policy.defaultAccess;
+
+    if (!mailboxes.some(pattern => matchesMailbox(pattern, targetEmail))) {
+      return { allowed: false, reason: 'mailbox_not_allowed', message: `${userEmail} may not access ${targetEmail}` };
+    }
+    if (!allows(grantedAccess, access)) {
+      return {
+        allowed: false,
+        reason: 'access_level_not_allowed',
+        message: `${userEmail} has ${grantedAccess} access to ${targetEmail}, ${access} was requested`,
+        grantedAccess
+      };
+    }
+
+    return { allowed: true, grantedAccess, requireGmailDelegate: policy.requireGmailDelegate !== false };
+  }
+}
+
+module.exports = new DelegationPolicy();
@@ -1,15 +1,15 @@
 // config/gmailConfig.js
 const { google } = require('googleapis');
+const { IDENTITY_SCOPES, BASE_SCOPES, scopesForFeature } = require('./scopes');
 
-const SCOPES = [
-  'https://www.googleapis.com/auth/gmail.readonly',
-  'https://www.googleapis.com/auth/gmail.send',
-  'https://www.googleapis.com/auth/gmail.modify'
-];
+// Sign-in only asks for read access; send/modify are requested on first use.
+// openid + email make Google return an id_token identifying the account.
+const SCOPES = [...IDENTITY_SCOPES, ...BASE_SCOPES];
 
 class GmailConfig {
   constructor() {
     this.oAuth2Client = null;
+    this.clientId = null;
     this.isInitialized = false;
   }
 
@@ -18,6 +18,7 @@ class GmailConfig {
       throw new Error('GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET are required');
     }
 
+    this.clientId = clientId;
     this.oAuth2Client = new google.auth.OAuth2(
       clientId,
       clientSecret,
@@ -35,23 +36,71 @@ class GmailConfig {
     return google.gmail({ version: 'v1', auth: this.oAuth2Client });
   }
 
-  generateAuthUrl() {
+  // options.state / options.codeChallenge come from oauthStateStore.create();
+  // options.feature ('send', 'compose' or 'modify') turns the URL into a step-up request
+  generateAuthUrl(options = {}) {
     this.ensureInitialized();
-    return this.oAuth2Client.generateAuthUrl({
+    const params = {
       access_type: 'offline',
       scope: SCOPES,
       prompt: 'consent'
-    });
+    };
+
+    if (options.feature) {
+      params.scope = scopesForFeature(options.feature);
+      params.include_granted_scopes = true;
+    }
+
+    if (options.state) {
+      params.state = options.state;
+    }
+    if (options.codeChallenge) {
+      params.code_challenge = options.codeChallenge;
+      params.code_challenge_method = 'S256';
+    }
+
+    return this.oAuth2Client.generateAuthUrl(params);
   }
 
-  async getTokens(code) {
+  async getTokens(code, codeVerifier) {
     this.ensureInitialized();
-    const { tokens } = await this.oAuth2Client.getToken(code);
+    const { tokens } = await this.oAuth2Client.getToken({ code, codeVerifier });
     this.oAuth2Client.setCredentials(tokens);
     console.log('✅ Tokens received successfully');
     return tokens;
   }
 
+  // Identify the Google account behind a set of tokens. The subject id (sub)
+  // is stable across re-consents, unlike the access/refresh tokens themselves.
+  async resolveAccount(tokens) {
+    this.ensureInitialized();
+
+    if (tokens.id_token) {
+      const ticket = await this.oAuth2Client.verifyIdToken({
+        idToken: tokens.id_token,
+        audience: this.clientId
+      });
+      const payload = ticket.getPayload();
+      return { sub: payload.sub, email: payload.email, source: 'id_token' };
+    }
+
+    const auth = new google.auth.OAuth2();
+    auth.setCredentials({ access_token: tokens.access_token });
+
+    try {
+      const { data } = await google.oauth2({ version: 'v2', auth }).userinfo.get();
+      if (data.id) {
+        return { sub: data.id, email: data.email, source: 'userinfo' };
+      }
+    } catch (error) {
+      console.warn('userinfo lookup failed, falling back to Gmail profile:', error.message);
+    }
+
+    // Gmail only exposes the address, so key the account by it
+    const { data } = await google.gmail({ version: 'v1', auth }).users.getProfile({ userId: 'me' });
+    return { sub: `email:${data.emailAddress.toLowerCase()}`, email: data.emailAddress, source: 'gmail_profile' };
+  }
+
   setCredentials(tokens) {
     this.ensureInitialized();
     this.oAuth2Client.setCredentials(tokens);
@@ -0,0 +1,90 @@
+// config/scopes.js
+
+const GMAIL_SCOPES = {
+  readonly: 'https://www.googleapis.com/auth/gmail.readonly',
+  send: 'https://www.googleapis.com/auth/gmail.send',
+  compose: 'https://www.googleapis.com/auth/gmail.compose',
+  modify: 'https://www.googleapis.com/auth/gmail.modify',
+  settingsBasic: 'https://www.googleapis.com/auth/gmail.settings.basic',
+  full: 'https://mail.google.com/'
+};
+
+// Requested at sign-in: enough to identify the account and read mail
+const IDENTITY_SCOPES = ['openid', 'email', 'profile'];
+const BASE_SCOPES = [GMAIL_SCOPES.readonly];
+
+// Scope requested when a feature is first used, and every granted scope that
+// already covers it (gmail.modify also allows reading and sending, etc.)
+const FEATURES = {
+  read: {
+    request: GMAIL_SCOPES.readonly,
+    satisfiedBy: [GMAIL_SCOPES.readonly, GMAIL_SCOPES.modify, GMAIL_SCOPES.full]
+  },
+  send: {
+    request: GMAIL_SCOPES.send,
+    satisfiedBy: [GMAIL_SCOPES.send, GMAIL_SCOPES.compose, GMAIL_SCOPES.modify, GMAIL_SCOPES.full]
+  },
+  // Drafts; gmail.send alone can't create them
+  compose: {
+    request: GMAIL_SCOPES.compose,
+    satisfiedBy: [GMAIL_SCOPES.compose, GMAIL_SCOPES.modify, GMAIL_SCOPES.full]
+  },
+  modify: {
+    request: GMAIL_SCOPES.modify,
+    satisfiedBy: [GMAIL_SCOPES.modify, GMAIL_SCOPES.full]
+  }
+};
+
+// Token responses carry scopes as a space-separated string; stored records
+// and session users carry an array
+function normalizeScopes(scopes) {
+  if (!scopes) return [];
+  return Array.isArray(scopes) ? scopes : scopes.split(' ').filter(Boolean);
+}
+
+function hasFeature(scopes, feature) {
+  const granted = normalizeScopes(scopes);
+  return FEATURES[feature].satisfiedBy.some(scope => granted.includes(scope));
+}
+
+function permissionsFromScopes(scopes) {
+  return {
+    canRead: hasFeature(scopes, 'read'),
+    canSend: hasFeature(scopes, 'send'),
+    canCompose: hasFeature(scopes, 'compose'),
+    canModify: hasFeature(scopes, 'modify')
+  };
+}
+
+// Scopes to request for a step-up; Google merges them with the ones already
+// granted when include_granted_scopes is set
+function scopesForFeature(feature) {
+  if (!FEATURES[feature]) {
+    throw new Error(`Unknown feature: ${feature}`);
+  }
+  return [...IDENTITY_SCOPES, FEATURES[feature].request];
+}
+
+// The structured body routes return when a feature needs more consent
+function consentRequired(feature, upgradeUrl) {
+  return {
+    success: false,
+    error: 'consent_required',
+    message: `Additional Gmail permission is needed to ${feature} email`,
+    feature: feature,
+    requiredScope: FEATURES[feature].request,
+    upgradeUrl: upgradeUrl
+  };
+}
+
+module.exports = {
+  GMAIL_SCOPES,
+  IDENTITY_SCOPES,
+  BASE_SCOPES,
+  FEATURES,
+  normalizeScopes,
+  hasFeature,
+  permissionsFromScopes,
+  scopesForFeature,
+  consentRequired
+};
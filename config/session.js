@@ -0,0 +1,110 @@
+// config/session.js
+const session = require('express-session');
+const PersistentSessionStore = require('../utils/sessionStore');
+const tokenManager = require('../utils/tokenManager');
+const { normalizeScopes } = require('./scopes');
+
+const SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_MS) || 7 * 24 * 60 * 60 * 1000;
+
+// TRUST_PROXY follows Express's "trust proxy" setting: true, a hop count, or
+// a list of addresses/subnets ("loopback", "10.0.0.0/8", ...)
+function parseTrustProxy(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  return value;
+}
+
+// Persistent session store and hardened cookie. With secure: 'auto' the
+// cookie is only marked Secure on HTTPS requests, which behind a TLS-
+// terminating proxy requires TRUST_PROXY so req.secure reflects X-Forwarded-Proto.
+function configureSessions(app) {
+  if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+  }
+
+  const store = new PersistentSessionStore({
+    type: process.env.SESSION_STORE || 'json',
+    filePath: process.env.SESSION_STORE_PATH,
+    ttlMs: SESSION_TTL_MS
+  });
+
+  app.use(session({
+    secret: process.env.SESSION_SECRET,
+    store: store,
+    resave: false,
+    saveUninitialized: false,
+    cookie: {
+      httpOnly: true,
+      // lax (not strict) so the cookie comes back on the redirect from Google
+      sameSite: 'lax',
+      secure: process.env.COOKIE_SECURE === 'true' ? true : 'auto',
+      maxAge: SESSION_TTL_MS
+    }
+  }));
+
+  return store;
+}
+
+// The session user: identity and granted scopes plus the current tokens,
+// which are always read from the token store rather than the session
+function userFromRecord(id, record) {
+  return {
+    id: id,
+    email: record.email,
+    name: record.name,
+    scopes: normalizeScopes(record.scopes || record.scope),
+    accessToken: record.access_token,
+    refreshToken: record.refresh_token,
+    expiryDate: record.expiry_date
+  };
+}
+
+// Persist the tokens from a Passport login and return the session user.
+// updateTokens keeps the stored refresh token when Google doesn't send one.
+async function persistLogin(profile, accessToken, refreshToken, params = {}) {
+  await tokenManager.updateTokens(profile.id, {
+    access_token: accessToken,
+    refresh_token: refreshToken,
+    expiry_date: params.expires_in ? Date.now() + params.expires_in * 1000 : undefined,
+    scopes: normalizeScopes(params.scope),
+    email: profile.emails[0].value,
+    name: profile.displayName
+  });
+  return userFromRecord(profile.id, await tokenManager.loadTokens(profile.id));
+}
+
+// Sessions carry only the user id. Passport (0.6+) also regenerates the
+// session id on every login, so a pre-login session id is never reused.
+function configurePassportSessions(passport) {
+  passport.serializeUser((user, done) => {
+    done(null, user.id);
+  });
+
+  passport.deserializeUser(async (id, done) => {
+    try {
+      const record = await tokenManager.loadTokens(id);
+      // No stored tokens (e.g. the account was disconnected): treat as logged out
+      done(null, record ? userFromRecord(id, record) : false);
+    } catch (error) {
+      done(error);
+    }
+  });
+}
+
+// What routes may expose about the session user
+function publicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    scopes: user.scopes
+  };
+}
+
+module.exports = {
+  configureSessions,
+  configurePassportSessions,
+  persistLogin,
+  publicUser
+};
@@ -0,0 +1,113 @@
+// config/workspaceDelegation.js
+const fs = require('fs');
+const { google } = require('googleapis');
+const { GMAIL_SCOPES } = require('./scopes');
+
+// Scopes requested per kind of access. Each one must be listed for the service
+// account's client id under Admin console > Security > API controls >
+// Domain-wide delegation, otherwise Google rejects the JWT with unauthorized_client.
+const ACCESS_SCOPES = {
+  read: [GMAIL_SCOPES.readonly],
+  send: [GMAIL_SCOPES.send],
+  modify: [GMAIL_SCOPES.modify],
+  // Only used to read the mailbox's delegate list when verifying delegation
+  settings: [GMAIL_SCOPES.settingsBasic]
+};
+
+const MAX_CACHED_CLIENTS = 100;
+
+// Workspace mode: a service account with domain-wide delegation impersonates
+// the target mailbox (the JWT "sub" claim), so delegated routes act on that
+// mailbox rather than on the authenticated user's own account.
+class WorkspaceDelegation {
+  constructor() {
+    this.credentials = null;
+    this.clients = new Map();
+  }
+
+  // Loads the key from GOOGLE_SERVICE_ACCOUNT_KEY (inline JSON) or
+  // GOOGLE_SERVICE_ACCOUNT_KEY_FILE (path to the downloaded JSON key)
+  loadKey() {
+    if (this.credentials) return this.credentials;
+
+    let raw = process.env.GOOGLE_SERVICE_ACCOUNT_KEY;
+    if (!raw && process.env.GOOGLE_SERVICE_ACCOUNT_KEY_FILE) {
+      try {
+        raw = fs.readFileSync(process.env.GOOGLE_SERVICE_ACCOUNT_KEY_FILE, 'utf8');
+      } catch (error) {
+        throw new Error(`Failed to read service account key file: ${error.message}`);
+      }
+    }
+
+    if (!raw) {
+      throw new Error('Workspace delegation is not configured. Set GOOGLE_SERVICE_ACCOUNT_KEY_FILE or GOOGLE_SERVICE_ACCOUNT_KEY.');
+    }
+
+    let key;
+    try {
+      key = JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`Invalid service account key JSON: ${error.message}`);
+    }
+
+    if (key.type !== 'service_account' || !key.client_email || !key.private_key) {
+      throw new Error('Service account key must contain type "service_account", client_email and private_key');
+    }
+
+    this.credentials = key;
+    console.log(`✅ Service account loaded for Workspace delegation: ${key.client_email}`);
+    return this.credentials;
+  }
+
+  isConfigured() {
+    return !!(this.credentials ||
+      process.env.GOOGLE_SERVICE_ACCOUNT_KEY ||
+      process.env.GOOGLE_SERVICE_ACCOUNT_KEY_FILE);
+  }
+
+  // A JWT client impersonating subject. Clients are cached per subject and
+  // access level so their access tokens are reused until they expire.
+  getClient(subject, access = 'read') {
+    const scopes = ACCESS_SCOPES[access];
+    if (!scopes) {
+      throw new Error(`Unknown access level: ${access}`);
+    }
+
+    const cacheKey = `${subject.toLowerCase()}|${access}`;
+    const cached = this.clients.get(cacheKey);
+    if (cached) {
+      // Re-insert to keep the Map in least-recently-used order
+      this.clients.delete(cacheKey);
+      this.clients.set(cacheKey, cached);
+      return cached;
+    }
+
+    const key = this.loadKey();
+    const client = new google.auth.JWT({
+      email: key.client_email,
+      key: key.private_key,
+      scopes: scopes,
+      subject: subject
+    });
+
+    this.clients.set(cacheKey, client);
+    if (this.clients.size > MAX_CACHED_CLIENTS) {
+      this.clients.delete(this.clients.keys().next().value);
+    }
+    return client;
+  }
+
+  clearCache(subject) {
+    if (!subject) {
+      this.clients.clear();
+      return;
+    }
+    for (const cacheKey of this.clients.keys()) {
+      if (cacheKey.startsWith(`${subject.toLowerCase()}|`)) {
+        this.clients.delete(cacheKey);
+      }
+    }
+  }
+}
+
+module.exports = new WorkspaceDelegation();
@@ -1,17 +1,64 @@
 // routes/authRoutes.js
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
 const gmailConfig = require('../config/gmailConfig');
+const { permissionsFromScopes } = require('../config/scopes');
 const tokenManager = require('../utils/tokenManager');
+const oauthStateStore = require('../utils/oauthStateStore');
+const apiKeyStore = require('../utils/apiKeyStore');
+const { requireApiKey } = require('../utils/restAuth');
+const syncService = require('../services/syncService');
+const watchService = require('../services/watchService');
+const scheduleService = require('../services/scheduleService');
 
-// Generate auth URL
-router.get('/url', (req, res) => {
+const BINDING_COOKIE = 'oauth_binding';
+const BINDING_MAX_AGE_MS = 10 * 60 * 1000;
+
+// Read the cookie that ties an authorization request to the browser that started it
+function readBinding(req) {
+  const header = req.headers.cookie || '';
+  const match = header.split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${BINDING_COOKIE}=`));
+  return match ? decodeURIComponent(match.slice(BINDING_COOKIE.length + 1)) : null;
+}
+
+function issueBinding(req, res) {
+  const binding = readBinding(req) || crypto.randomBytes(32).toString('hex');
+  res.cookie(BINDING_COOKIE, binding, {
+    httpOnly: true,
+    secure: req.secure,
+    sameSite: 'lax',
+    maxAge: BINDING_MAX_AGE_MS,
+    path: req.baseUrl || '/'
+  });
+  return binding;
+}
+
+// Generate auth URL (with a state nonce and PKCE challenge bound to this client).
+// ?feature=send|compose|modify requests that extra permission on top of those already granted.
+// ?apiKeyName=<name> issues an API key with that name once the callback succeeds.
+router.get('/url', async (req, res) => {
   try {
-    const authUrl = gmailConfig.generateAuthUrl();
+    const { feature, apiKeyName } = req.query;
+
+    if (feature && !['send', 'compose', 'modify'].includes(feature)) {
+      return res.status(400).json({ error: 'feature must be one of: send, compose, modify' });
+    }
+
+    const binding = issueBinding(req, res);
+    const { state, codeChallenge } = await oauthStateStore.create(binding, { apiKeyName });
+    const authUrl = gmailConfig.generateAuthUrl({ state, codeChallenge, feature });
+
+    if (req.query.redirect === 'true') {
+      return res.redirect(authUrl);
+    }
+
     res.json({ 
       success: true,
       authUrl: authUrl,
-      message: 'Visit this URL to authenticate with Google' 
+      message: 'Visit this URL from the same browser to authenticate with Google' 
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -21,27 +68,70 @@ router.get('/url', (req, res) => {
 // Handle OAuth callback
 router.get('/callback', async (req, res) => {
   try {
-    const { code } = req.query;
+    const { code, state, error } = req.query;
+
+    if (error) {
+      return res.status(400).json({ error: 'Authorization was not granted', details: error });
+    }
     
     if (!code) {
       return res.status(400).json({ error: 'Authorization code required' });
     }
 
-    // Exchange code for tokens
-    const tokens = await gmailConfig.getTokens(code);
+    if (!state) {
+      return res.status(400).json({ error: 'State parameter required', code: 'missing_state' });
+    }
+
+    let authRequest;
+    try {
+      authRequest = await oauthStateStore.consume(state, readBinding(req));
+    } catch (stateError) {
+      console.warn('Rejected OAuth callback:', stateError.message);
+      return res.status(403).json({ error: stateError.message, code: stateError.code });
+    }
+    res.clearCookie(BINDING_COOKIE, { path: req.baseUrl || '/' });
+
+    // Exchange code for tokens, proving possession of the PKCE verifier
+    const tokens = await gmailConfig.getTokens(code, authRequest.codeVerifier);
     
-    // Generate a user ID (in real app, this would come from your user system)
-    const userId = `user_${Date.now()}`;
+    // Key the user by their Google account so re-authenticating keeps the same userId
+    const account = await gmailConfig.resolveAccount(tokens);
+    const userId = account.sub;
+    const existing = await tokenManager.loadTokens(userId);
+    const credentials = { ...tokens };
+    delete credentials.id_token;
+    const scopes = tokens.scope ? tokens.scope.split(' ') : [];
+    
+    // Upsert: a re-consent without a new refresh token keeps the stored one
+    await tokenManager.updateTokens(userId, {
+      ...credentials,
+      email: account.email,
+      scopes: scopes
+    });
     
-    // Save tokens
-    await tokenManager.saveTokens(userId, tokens);
+    if (watchService.isEnabled()) {
+      watchService.watch(userId).catch(error => {
+        console.error('Watch mailbox error:', error.message);
+      });
+    }
+
+    const apiKey = authRequest.data.apiKeyName
+      ? await apiKeyStore.issue(userId, authRequest.data.apiKeyName)
+      : null;
     
     res.json({ 
       success: true, 
-      message: 'Authentication successful',
+      message: existing ? 'Re-authentication successful' : 'Authentication successful',
       userId: userId,
-      hasRefreshToken: !!tokens.refresh_token,
-      note: 'Save this userId for making API calls'
+      email: account.email,
+      isNewUser: !existing,
+      scopes: scopes,
+      permissions: permissionsFromScopes(scopes),
+      hasRefreshToken: !!(tokens.refresh_token || existing?.refresh_token),
+      apiKey: apiKey,
+      note: apiKey
+        ? 'Store apiKey.key now; it is not shown again. Send it as Authorization: Bearer <key>'
+        : 'Request an API key with /url?apiKeyName=<name> to call the email API'
     });
     
   } catch (error) {
@@ -50,16 +140,19 @@ router.get('/callback', async (req, res) => {
   }
 });
 
-// Check token status
-router.get('/status', async (req, res) => {
-  try {
-    const { userId } = req.query;
-    
-    if (!userId) {
-      return res.status(400).json({ error: 'User ID required' });
-    }
+// The signed-in session's user where there is one, otherwise the API key's
+const requireSessionOrApiKey = (req, res, next) => {
+  if (req.isAuthenticated && req.isAuthenticated()) {
+    req.userId = req.user.id;
+    return next();
+  }
+  requireApiKey(req, res, next);
+};
 
-    const tokens = await tokenManager.loadTokens(userId);
+// Check token status of the authenticated user
+router.get('/status', requireSessionOrApiKey, async (req, res) => {
+  try {
+    const tokens = await tokenManager.loadTokens(req.userId);
     
     if (!tokens) {
       return res.status(404).json({ error: 'No tokens found for user' });
@@ -70,6 +163,9 @@ router.get('/status', async (req, res) => {
     res.json({
       success: true,
       hasTokens: true,
+      email: tokens.email || null,
+      scopes: tokens.scopes || [],
+      permissions: permissionsFromScopes(tokens.scopes || tokens.scope),
       isExpired: isExpired,
       expiryDate: tokens.expiry_date ? new Date(tokens.expiry_date) : null
     });
@@ -80,4 +176,105 @@ router.get('/status', async (req, res) => {
   }
 });
 
+// List the API keys of the key's user
+router.get('/api-keys', requireApiKey, async (req, res) => {
+  try {
+    const keys = await apiKeyStore.list(req.userId);
+    res.json({ success: true, keys: keys });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Issue another API key for the same user
+router.post('/api-keys', requireApiKey, async (req, res) => {
+  try {
+    const { name } = req.body || {};
+
+    if (!name) {
+      return res.status(400).json({ error: 'API key name required' });
+    }
+
+    const apiKey = await apiKeyStore.issue(req.userId, name);
+    res.status(201).json({ 
+      success: true, 
+      apiKey: apiKey,
+      note: 'Store apiKey.key now; it is not shown again'
+    });
+  } catch (error) {
+    console.error('Issue API key error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke one of the user's API keys
+router.delete('/api-keys/:keyId', requireApiKey, async (req, res) => {
+  try {
+    const revoked = await apiKeyStore.revoke(req.params.keyId, req.userId);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({ success: true, apiKey: revoked });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Disconnect: revoke the grant at Google and purge the stored tokens and API keys
+router.post('/disconnect', requireApiKey, async (req, res) => {
+  try {
+    const { userId } = req;
+
+    const result = {
+      revoked: false,
+      tokenType: null,
+      tokenStorePurged: false,
+      sessionDestroyed: false
+    };
+
+    // Stop push notifications while the tokens still work
+    try {
+      result.watchStopped = await watchService.stop(userId, { gmailService: req.gmailService });
+    } catch (error) {
+      console.error('Watch stop error:', error.message);
+    }
+
+    try {
+      Object.assign(result, await req.gmailService.revokeAccess());
+    } catch (error) {
+      console.error('Token revocation error:', error);
+      result.revokeError = error.message;
+    }
+
+    result.tokenStorePurged = await tokenManager.deleteTokens(userId);
+    result.apiKeysRevoked = await apiKeyStore.revokeAllForUser(userId);
+    result.mailCachePurged = (await syncService.clear(userId)) > 0;
+    // Nothing can be sent for the user once the tokens are gone
+    result.scheduledCancelled = await scheduleService.cancelAll(userId);
+
+    if (req.session) {
+      await new Promise(resolve => req.session.destroy(err => {
+        if (err) console.error('Session destroy error:', err);
+        result.sessionDestroyed = !err;
+        resolve();
+      }));
+    }
+
+    res.status(result.revokeError ? 502 : 200).json({
+      success: !result.revokeError,
+      message: result.revokeError ? 'Tokens purged, but revocation at Google failed' : 'Account disconnected',
+      userId: userId,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Disconnect error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -2,66 +2,100 @@
 const express = require('express');
 const router = express.Router();
 const emailService = require('../services/emailService');
-const tokenManager = require('../utils/tokenManager');
+const delegationPolicy = require('../config/delegationPolicy');
+const delegationVerifier = require('../services/delegationVerifier');
+const { requireApiKey, requireFeature } = require('../utils/restAuth');
+const { sendAttachment, streamZip } = require('../utils/attachments');
+const { sanitizeEmailHtml } = require('../utils/htmlSanitizer');
+const { parseAddressListStrict } = require('../utils/addressParser');
 
-// Middleware to load user tokens
-const loadUserTokens = async (req, res, next) => {
+// targetEmail must be exactly one mailbox ("a@x.com" or "Name <a@x.com>");
+// req.targetEmail is its bare, normalized address
+const validateEmailAccess = async (req, res, next) => {
   try {
-    const { userId } = req.query;
+    const targetEmail = req.query.targetEmail || req.body?.targetEmail;
     
-    if (!userId) {
+    if (!targetEmail) {
       return res.status(400).json({ 
-        error: 'User ID required. Use the userId from authentication.' 
+        error: 'targetEmail parameter is required' 
       });
     }
 
-    const tokens = await tokenManager.loadTokens(userId);
-    
-    if (!tokens) {
-      return res.status(404).json({ 
-        error: 'User not found or not authenticated. Please authenticate first.' 
+    const { addresses, errors } = parseAddressListStrict(targetEmail);
+    if (errors.length > 0 || addresses.length !== 1) {
+      return res.status(400).json({ 
+        error: 'Invalid email format',
+        details: { targetEmail: errors.join('; ') || 'must be a single address' }
       });
     }
 
-    req.userTokens = tokens;
-    req.userEmail = tokens.email;
+    req.targetEmail = addresses[0].address;
     next();
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 };
 
-// Basic validation middleware - SIMPLIFIED
-const validateEmailAccess = async (req, res, next) => {
+// Check the local access policy, then confirm with Google that the user is a
+// delegate of the target mailbox. access is 'read' or 'send'.
+const checkDelegation = async (req, access) => {
+  const decision = delegationPolicy.evaluate({
+    userId: req.userId,
+    userEmail: req.userEmail,
+    targetEmail: req.targetEmail,
+    access: access
+  });
+
+  if (!decision.allowed) {
+    return { hasAccess: false, source: 'policy', ...decision };
+  }
+
+  const verification = await delegationVerifier.verify(req.userEmail, req.targetEmail, {
+    access: access,
+    requireDelegate: decision.requireGmailDelegate
+  });
+  return { source: 'gmail', grantedAccess: decision.grantedAccess, ...verification };
+};
+
+// Enforce delegation on a route
+const enforceDelegation = (access) => async (req, res, next) => {
   try {
-    const { targetEmail } = req.query || req.body;
-    
-    if (!targetEmail) {
-      return res.status(400).json({ 
-        error: 'targetEmail parameter is required' 
-      });
-    }
+    const result = await checkDelegation(req, access);
 
-    // Basic email format validation only
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(targetEmail)) {
-      return res.status(400).json({ 
-        error: 'Invalid email format' 
+    if (!result.hasAccess) {
+      console.warn(`Delegated ${access} denied: ${req.userEmail} -> ${req.targetEmail} (${result.reason})`);
+      return res.status(403).json({ 
+        error: 'Delegated access denied',
+        reason: result.reason,
+        details: result.message
       });
     }
 
-    req.targetEmail = targetEmail;
+    req.delegation = result;
     next();
   } catch (error) {
+    console.error('Delegation check error:', error);
     res.status(500).json({ error: error.message });
   }
 };
 
-// Apply token loading middleware to all routes
-router.use(loadUserTokens);
+// Delegated mailbox access needs a service account with domain-wide delegation
+const requireWorkspaceMode = (req, res, next) => {
+  if (!emailService.isWorkspaceMode()) {
+    return res.status(503).json({ 
+      error: 'Workspace delegation is not configured',
+      details: 'Set GOOGLE_SERVICE_ACCOUNT_KEY_FILE or GOOGLE_SERVICE_ACCOUNT_KEY'
+    });
+  }
+  next();
+};
+
+// Authenticate every route with an API key
+router.use(requireApiKey);
+router.use(requireWorkspaceMode);
 
 // Get emails from delegated inbox
-router.get('/inbox', validateEmailAccess, async (req, res) => {
+router.get('/inbox', validateEmailAccess, enforceDelegation('read'), async (req, res) => {
   try {
     const { maxResults = 10, pageToken, labelIds, q } = req.query;
     
@@ -89,19 +123,20 @@ router.get('/inbox', validateEmailAccess, async (req, res) => {
 });
 
 // Send email as delegated user
-router.post('/send', validateEmailAccess, async (req, res) => {
+router.post('/send', validateEmailAccess, requireFeature('send'), enforceDelegation('send'), async (req, res) => {
   try {
-    const { to, subject, body, from, cc, bcc, replyTo, attachments } = req.body;
+    const { to, subject, body, html, from, cc, bcc, replyTo, attachments } = req.body;
     
     // Validate required fields
-    if (!to || !subject || !body || !from) {
+    if (!to || !subject || (!body && !html) || !from) {
       return res.status(400).json({ 
-        error: 'Missing required fields: to, subject, body, from' 
+        error: 'Missing required fields: to, subject, body (or html), from' 
       });
     }
 
     // Validate from email matches targetEmail
-    if (from !== req.targetEmail) {
+    const sender = parseAddressListStrict(from).addresses;
+    if (sender.length !== 1 || sender[0].address.toLowerCase() !== req.targetEmail.toLowerCase()) {
       return res.status(400).json({ 
         error: 'From email must match the delegated mailbox' 
       });
@@ -111,6 +146,7 @@ router.post('/send', validateEmailAccess, async (req, res) => {
       to, 
       subject, 
       body, 
+      html,
       from,
       cc,
       bcc,
@@ -125,6 +161,12 @@ router.post('/send', validateEmailAccess, async (req, res) => {
       messageId: result.id 
     });
   } catch (error) {
+    if (error.fields) {
+      return res.status(400).json({ 
+        error: 'Invalid message',
+        details: error.fields
+      });
+    }
     console.error('Send delegated email error:', error);
     res.status(500).json({ 
       error: 'Failed to send email',
@@ -133,8 +175,80 @@ router.post('/send', validateEmailAccess, async (req, res) => {
   }
 });
 
+// Reply or reply-all from the delegated mailbox, in the original's thread
+router.post('/emails/:messageId/:action(reply|reply-all)', validateEmailAccess, requireFeature('send'), enforceDelegation('read'), enforceDelegation('send'), async (req, res) => {
+  try {
+    const { body, html, cc, bcc, attachments, quote } = req.body || {};
+    const result = await emailService.replyAsDelegate(req.targetEmail, req.params.messageId, {
+      body,
+      html,
+      cc,
+      bcc,
+      attachments,
+      quote,
+      replyAll: req.params.action === 'reply-all'
+    });
+    
+    res.json({ 
+      success: true, 
+      message: 'Reply sent successfully as delegate',
+      sentAs: req.targetEmail,
+      messageId: result.id,
+      threadId: result.threadId
+    });
+  } catch (error) {
+    if (error.fields) {
+      return res.status(400).json({ 
+        error: 'Invalid message',
+        details: error.fields
+      });
+    }
+    console.error('Delegated reply error:', error);
+    res.status(500).json({ 
+      error: 'Failed to send reply',
+      details: error.message
+    });
+  }
+});
+
+// Forward a message from the delegated mailbox
+router.post('/emails/:messageId/forward', validateEmailAccess, requireFeature('send'), enforceDelegation('read'), enforceDelegation('send'), async (req, res) => {
+  try {
+    const { to, cc, bcc, body, html, attachments, asAttachment } = req.body || {};
+    const result = await emailService.forwardAsDelegate(req.targetEmail, req.params.messageId, {
+      to,
+      cc,
+      bcc,
+      body,
+      html,
+      attachments,
+      asAttachment: asAttachment === true
+    });
+    
+    res.json({ 
+      success: true, 
+      message: 'Email forwarded successfully as delegate',
+      sentAs: req.targetEmail,
+      messageId: result.id,
+      threadId: result.threadId
+    });
+  } catch (error) {
+    if (error.fields) {
+      return res.status(400).json({ 
+        error: 'Invalid message',
+        details: error.fields
+      });
+    }
+    console.error('Delegated forward error:', error);
+    res.status(500).json({ 
+      error: 'Failed to forward email',
+      details: error.message
+    });
+  }
+});
+
 // Get specific email from delegated account
-router.get('/emails/:messageId', validateEmailAccess, async (req, res) => {
+router.get('/emails/:messageId', validateEmailAccess, enforceDelegation('read'), async (req, res) => {
   try {
     const { messageId } = req.params;
     
@@ -149,12 +263,23 @@ router.get('/emails/:messageId', validateEmailAccess, async (req, res) => {
       req.targetEmail, 
       messageId
     );
+    const rendered = sanitizeEmailHtml(email.htmlBody, {
+      inlineParts: email.inlineParts,
+      inlineUrl: part => `${req.baseUrl}/emails/${encodeURIComponent(messageId)}/attachments/${part.partId}` +
+        `?targetEmail=${encodeURIComponent(req.targetEmail)}&disposition=inline`,
+      loadImages: req.query.loadImages === 'true'
+    });
     
     res.json({ 
       success: true, 
       authenticatedAs: req.userEmail,
       accessing: req.targetEmail,
-      data: email 
+      data: {
+        ...email,
+        safeHtml: rendered.html,
+        remoteImagesBlocked: rendered.remoteImagesBlocked,
+        trackersRemoved: rendered.trackersRemoved
+      }
     });
   } catch (error) {
     console.error('Get delegated email error:', error);
@@ -162,8 +287,64 @@ router.get('/emails/:messageId', validateEmailAccess, async (req, res) => {
   }
 });
 
+// List attachments of an email in the delegated account
+router.get('/emails/:messageId/attachments', validateEmailAccess, enforceDelegation('read'), async (req, res) => {
+  try {
+    const attachments = await emailService.getDelegatedAttachments(
+      req.targetEmail,
+      req.params.messageId
+    );
+    
+    res.json({ 
+      success: true, 
+      authenticatedAs: req.userEmail,
+      accessing: req.targetEmail,
+      data: attachments 
+    });
+  } catch (error) {
+    console.error('List delegated attachments error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download all attachments of a delegated email as a zip
+router.get('/emails/:messageId/attachments.zip', validateEmailAccess, enforceDelegation('read'), async (req, res) => {
+  try {
+    const gmailService = emailService.forMailbox(req.targetEmail);
+    const sent = await streamZip(res, gmailService, req.params.messageId);
+    
+    if (!sent) {
+      res.status(404).json({ error: 'Message has no attachments' });
+    }
+  } catch (error) {
+    console.error('Zip delegated attachments error:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download one attachment of a delegated email by partId
+router.get('/emails/:messageId/attachments/:partId', validateEmailAccess, enforceDelegation('read'), async (req, res) => {
+  try {
+    const attachment = await emailService.getDelegatedAttachment(
+      req.targetEmail,
+      req.params.messageId,
+      req.params.partId
+    );
+    
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    sendAttachment(res, attachment, { inline: req.query.disposition === 'inline' });
+  } catch (error) {
+    console.error('Get delegated attachment error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get threads from delegated account
-router.get('/threads', validateEmailAccess, async (req, res) => {
+router.get('/threads', validateEmailAccess, enforceDelegation('read'), async (req, res) => {
   try {
     const { maxResults = 10, pageToken, labelIds } = req.query;
     
@@ -186,25 +367,25 @@ router.get('/threads', validateEmailAccess, async (req, res) => {
   }
 });
 
-// Simple delegation status check (basic version)
-router.get('/delegation-status', async (req, res) => {
+// Report whether the user may read from / send as the target mailbox
+router.get('/delegation-status', validateEmailAccess, async (req, res) => {
   try {
-    const { targetEmail } = req.query;
-    
-    if (!targetEmail) {
-      return res.status(400).json({ 
-        error: 'targetEmail parameter is required' 
-      });
-    }
+    const read = await checkDelegation(req, 'read');
+    const send = read.hasAccess ? await checkDelegation(req, 'send') : read;
 
-    // Basic status response without actual delegation checking
     res.json({ 
       success: true, 
       authenticatedAs: req.userEmail,
       delegationStatus: {
-        hasAccess: true,
-        message: 'Delegation check skipped for testing',
-        targetEmail: targetEmail
+        targetEmail: req.targetEmail,
+        hasAccess: read.hasAccess,
+        canRead: read.hasAccess,
+        canSend: send.hasAccess,
+        reason: read.reason,
+        message: read.message,
+        source: read.source,
+        checks: read.checks,
+        checkedAt: read.checkedAt
       }
     });
   } catch (error) {
@@ -1,43 +1,41 @@
 // routes/emailRoutes.js
 const express = require('express');
 const router = express.Router();
-const emailService = require('../services/emailService');
+const { requireApiKey, requireFeature } = require('../utils/restAuth');
+const { sendAttachment, sendEml, streamZip } = require('../utils/attachments');
+const exportService = require('../services/exportService');
+const syncService = require('../services/syncService');
+const searchIndex = require('../utils/searchIndex');
+const mailCache = require('../utils/mailCache');
+const watchService = require('../services/watchService');
+const scheduleService = require('../services/scheduleService');
+const { sanitizeEmailHtml } = require('../utils/htmlSanitizer');
 
-// Middleware to check if user is authenticated
-const requireAuth = (req, res, next) => {
-  // In a real app, you'd check for a valid session/token
-  // For now, we'll use a simple check for tokens in query or body
-  const { userId, tokens } = req.query;
-  
-  if (!userId || !tokens) {
-    return res.status(401).json({ 
-      error: 'Authentication required. Please authenticate first via /auth and provide userId and tokens.' 
-    });
-  }
-  
-  next();
-};
+// labelIds=INBOX,UNREAD (or repeated labelIds=) -> ['INBOX', 'UNREAD']; null when absent
+function parseLabelIds(value) {
+  if (value === undefined) return null;
+  return [].concat(value)
+    .flatMap(labels => String(labels).split(','))
+    .map(label => label.trim())
+    .filter(Boolean);
+}
 
-// Apply auth middleware to all routes
-router.use(requireAuth);
+// Apply auth middleware to all routes: requests carry an API key in the
+// Authorization header and run against that key's user's mailbox
+router.use(requireApiKey);
 
 // Send email
-router.post('/send', async (req, res) => {
+router.post('/send', requireFeature('send'), async (req, res) => {
   try {
-    const { to, subject, body, from } = req.body;
+    const { to, subject, body, html, from, cc, bcc, replyTo, attachments } = req.body;
     
-    if (!to || !subject || !body) {
+    if (!to || !subject || (!body && !html)) {
       return res.status(400).json({ 
-        error: 'Missing required fields: to, subject, body' 
+        error: 'Missing required fields: to, subject, body (or html)' 
       });
     }
 
-    const result = await emailService.sendEmail({
-      to, 
-      subject, 
-      body, 
-      from: from || 'me'
-    });
+    const result = await req.gmailService.sendEmail(to, subject, body, { from, cc, bcc, replyTo, html, attachments });
     
     res.json({ 
       success: true, 
@@ -45,20 +43,278 @@ router.post('/send', async (req, res) => {
       messageId: result.id 
     });
   } catch (error) {
+    if (error.fields) {
+      return res.status(400).json({ error: 'Invalid message', details: error.fields });
+    }
     console.error('Send email error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get emails from inbox
+// Reply or reply-all in the original's thread: { body, html, cc, bcc, attachments, quote }
+router.post('/emails/:messageId/:action(reply|reply-all)', requireFeature('send'), async (req, res) => {
+  try {
+    const { body, html, cc, bcc, attachments, quote } = req.body || {};
+    const result = await req.gmailService.reply(req.params.messageId, {
+      body,
+      html,
+      cc,
+      bcc,
+      attachments,
+      quote,
+      replyAll: req.params.action === 'reply-all'
+    });
+    
+    res.json({ 
+      success: true, 
+      data: { messageId: result.id, threadId: result.threadId } 
+    });
+  } catch (error) {
+    if (error.fields) {
+      return res.status(400).json({ error: 'Invalid message', details: error.fields });
+    }
+    console.error('Reply error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Forward a message: { to, cc, bcc, body, html, attachments, asAttachment }
+router.post('/emails/:messageId/forward', requireFeature('send'), async (req, res) => {
+  try {
+    const { to, cc, bcc, body, html, attachments, asAttachment } = req.body || {};
+    const result = await req.gmailService.forward(req.params.messageId, {
+      to,
+      cc,
+      bcc,
+      body,
+      html,
+      attachments,
+      asAttachment: asAttachment === true
+    });
+    
+    res.json({ 
+      success: true, 
+      data: { messageId: result.id, threadId: result.threadId } 
+    });
+  } catch (error) {
+    if (error.fields) {
+      return res.status(400).json({ error: 'Invalid message', details: error.fields });
+    }
+    console.error('Forward error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Drafts. Create and update take the /send fields plus threadId; recipients
+// may be left empty until the draft is sent.
+router.get('/drafts', async (req, res) => {
+  try {
+    const page = await req.gmailService.listDrafts({
+      maxResults: Math.min(Math.max(parseInt(req.query.maxResults) || 20, 1), 500),
+      pageToken: req.query.pageToken || undefined,
+      q: (req.query.q || '').trim() || undefined
+    });
+    
+    res.json({ 
+      success: true, 
+      data: page.drafts,
+      nextPageToken: page.nextPageToken,
+      resultSizeEstimate: page.resultSizeEstimate
+    });
+  } catch (error) {
+    console.error('List drafts error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/drafts/:draftId', async (req, res) => {
+  try {
+    const draft = await req.gmailService.getDraft(req.params.draftId);
+    res.json({ success: true, data: draft });
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+    console.error('Get draft error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/drafts', requireFeature('compose'), async (req, res) => {
+  try {
+    const { to, subject, body, html, from, cc, bcc, replyTo, attachments, threadId } = req.body || {};
+    const draft = await req.gmailService.createDraft(to, subject, body, {
+      html, from, cc, bcc, replyTo, attachments, threadId
+    });
+    
+    res.status(201).json({ 
+      success: true, 
+      data: { draftId: draft.id, messageId: draft.message?.id } 
+    });
+  } catch (error) {
+    if (error.fields) {
+      return res.status(400).json({ error: 'Invalid message', details: error.fields });
+    }
+    console.error('Create draft error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.put('/drafts/:draftId', requireFeature('compose'), async (req, res) => {
+  try {
+    const { to, subject, body, html, from, cc, bcc, replyTo, attachments, threadId } = req.body || {};
+    const draft = await req.gmailService.updateDraft(req.params.draftId, to, subject, body, {
+      html, from, cc, bcc, replyTo, attachments, threadId
+    });
+    
+    res.json({ 
+      success: true, 
+      data: { draftId: draft.id, messageId: draft.message?.id } 
+    });
+  } catch (error) {
+    if (error.fields) {
+      return res.status(400).json({ error: 'Invalid message', details: error.fields });
+    }
+    if (error.status === 404) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+    console.error('Update draft error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/drafts/:draftId', requireFeature('compose'), async (req, res) => {
+  try {
+    await req.gmailService.deleteDraft(req.params.draftId);
+    res.json({ success: true });
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+    console.error('Delete draft error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/drafts/:draftId/send', requireFeature('compose'), async (req, res) => {
+  try {
+    const result = await req.gmailService.sendDraft(req.params.draftId);
+    res.json({ 
+      success: true, 
+      data: { messageId: result.id, threadId: result.threadId } 
+    });
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+    if (error.status === 400) {
+      return res.status(400).json({ error: 'Draft cannot be sent', details: error.message });
+    }
+    console.error('Send draft error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Scheduled sending. Create takes the /send fields plus threadId, sendAt
+// (ISO date-time) and timeZone (IANA name, for a sendAt without a UTC
+// offset); reschedule takes sendAt and timeZone.
+router.post('/scheduled', requireFeature('send'), async (req, res) => {
+  try {
+    const { to, subject, body, html, from, cc, bcc, replyTo, attachments, threadId, sendAt, timeZone } = req.body || {};
+    const job = await scheduleService.create(req.userId, {
+      to,
+      subject,
+      body,
+      options: { html, from, cc, bcc, replyTo, attachments, threadId }
+    }, { sendAt, timeZone });
+    
+    res.status(201).json({ success: true, data: job });
+  } catch (error) {
+    if (error.fields) {
+      return res.status(400).json({ error: 'Invalid message', details: error.fields });
+    }
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Schedule email error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/scheduled', async (req, res) => {
+  try {
+    const jobs = await scheduleService.list(req.userId, { status: req.query.status || undefined });
+    res.json({ success: true, data: jobs });
+  } catch (error) {
+    console.error('List scheduled emails error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/scheduled/:jobId', async (req, res) => {
+  try {
+    const job = await scheduleService.get(req.params.jobId, req.userId);
+    if (!job) {
+      return res.status(404).json({ error: 'Scheduled email not found' });
+    }
+    res.json({ success: true, data: job });
+  } catch (error) {
+    console.error('Get scheduled email error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.patch('/scheduled/:jobId', requireFeature('send'), async (req, res) => {
+  try {
+    const { sendAt, timeZone } = req.body || {};
+    const job = await scheduleService.reschedule(req.params.jobId, req.userId, { sendAt, timeZone });
+    if (!job) {
+      return res.status(404).json({ error: 'Scheduled email not found' });
+    }
+    res.json({ success: true, data: job });
+  } catch (error) {
+    if (error.status === 400 || error.status === 409) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Reschedule email error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/scheduled/:jobId', async (req, res) => {
+  try {
+    const job = await scheduleService.cancel(req.params.jobId, req.userId);
+    if (!job) {
+      return res.status(404).json({ error: 'Scheduled email not found' });
+    }
+    res.json({ success: true, data: job });
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Cancel scheduled email error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get emails from inbox (q, labelIds and includeSpamTrash narrow or widen the listing)
 router.get('/inbox', async (req, res) => {
   try {
-    const { maxResults = 10, pageToken } = req.query;
+    const { maxResults = 10, pageToken, q } = req.query;
+    const labelIds = parseLabelIds(req.query.labelIds) || (q ? [] : ['INBOX']);
+    const includeSpamTrash = req.query.includeSpamTrash === 'true';
     
-    const emails = await emailService.getEmails(
-      parseInt(maxResults), 
-      pageToken
-    );
+    if (!pageToken && mailCache.canAnswer({ labelIds, q, includeSpamTrash })) {
+      await syncService.refresh(req.userId);
+    }
+
+    const emails = await req.gmailService.listEmailPage({
+      maxResults: Math.min(Math.max(parseInt(maxResults) || 10, 1), 500), 
+      pageToken,
+      q,
+      labelIds,
+      includeSpamTrash
+    });
     
     res.json({ 
       success: true, 
@@ -75,11 +331,21 @@ router.get('/emails/:messageId', async (req, res) => {
   try {
     const { messageId } = req.params;
     
-    const email = await emailService.getEmail(messageId);
+    const email = await req.gmailService.getEmail(messageId);
+    const rendered = sanitizeEmailHtml(email.htmlBody, {
+      inlineParts: email.inlineParts,
+      inlineUrl: part => `${req.baseUrl}/emails/${encodeURIComponent(messageId)}/attachments/${part.partId}?disposition=inline`,
+      loadImages: req.query.loadImages === 'true'
+    });
     
     res.json({ 
       success: true, 
-      data: email 
+      data: {
+        ...email,
+        safeHtml: rendered.html,
+        remoteImagesBlocked: rendered.remoteImagesBlocked,
+        trackersRemoved: rendered.trackersRemoved
+      }
     });
   } catch (error) {
     console.error('Get email error:', error);
@@ -87,12 +353,296 @@ router.get('/emails/:messageId', async (req, res) => {
   }
 });
 
+// List a message's attachments and inline parts
+router.get('/emails/:messageId/attachments', async (req, res) => {
+  try {
+    const attachments = await req.gmailService.listAttachments(req.params.messageId);
+    
+    res.json({ 
+      success: true, 
+      data: attachments 
+    });
+  } catch (error) {
+    console.error('List attachments error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download all attachments as a zip
+router.get('/emails/:messageId/attachments.zip', async (req, res) => {
+  try {
+    const sent = await streamZip(res, req.gmailService, req.params.messageId);
+    
+    if (!sent) {
+      res.status(404).json({ error: 'Message has no attachments' });
+    }
+  } catch (error) {
+    console.error('Zip attachments error:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download one attachment by partId
+router.get('/emails/:messageId/attachments/:partId', async (req, res) => {
+  try {
+    const { messageId, partId } = req.params;
+    
+    const attachment = await req.gmailService.getAttachment(messageId, partId);
+    
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    sendAttachment(res, attachment, { inline: req.query.disposition === 'inline' });
+  } catch (error) {
+    console.error('Get attachment error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sync state of the user's local mailbox cache
+router.get('/sync', async (req, res) => {
+  try {
+    res.json({ 
+      success: true, 
+      data: await syncService.status(req.userId) 
+    });
+  } catch (error) {
+    console.error('Sync status error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start a sync ({ full: true } rebuilds the cache from scratch)
+router.post('/sync', async (req, res) => {
+  try {
+    syncService.sync(req.userId, { full: req.body?.full === true }).catch(error => {
+      console.error('Sync error:', error.message);
+    });
+
+    res.status(202).json({ 
+      success: true, 
+      data: await syncService.status(req.userId) 
+    });
+  } catch (error) {
+    console.error('Start sync error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Push notification watch on the user's mailbox
+router.get('/watch', async (req, res) => {
+  try {
+    res.json({ 
+      success: true, 
+      data: { enabled: watchService.isEnabled(), watch: await watchService.get(req.userId) } 
+    });
+  } catch (error) {
+    console.error('Get watch error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/watch', async (req, res) => {
+  if (!watchService.isEnabled()) {
+    return res.status(501).json({ error: 'Push notifications are not configured' });
+  }
+
+  try {
+    res.json({ 
+      success: true, 
+      data: await watchService.watch(req.userId, { gmailService: req.gmailService }) 
+    });
+  } catch (error) {
+    console.error('Start watch error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/watch', async (req, res) => {
+  try {
+    const stopped = await watchService.stop(req.userId, { gmailService: req.gmailService });
+    res.json({ success: true, data: { stopped } });
+  } catch (error) {
+    console.error('Stop watch error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Full-text search over the local index (query syntax as in /api/search)
+router.get('/search', async (req, res) => {
+  try {
+    const { q, after, before, labelIds } = req.query;
+    const invalidDate = [after, before].find(value => value && isNaN(Date.parse(value)));
+    if (invalidDate) {
+      return res.status(400).json({ error: 'Invalid date', details: invalidDate });
+    }
+
+    await syncService.refresh(req.userId);
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const found = await searchIndex.search(req.userId, q || '', {
+      limit,
+      offset,
+      after,
+      before,
+      labelIds: parseLabelIds(labelIds) || []
+    });
+
+    res.json({
+      success: true,
+      data: found
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set the local tags of an indexed message: { tags: [] }
+router.put('/emails/:messageId/tags', async (req, res) => {
+  try {
+    if (!Array.isArray(req.body?.tags)) {
+      return res.status(400).json({ error: 'Invalid tags', details: 'tags must be an array' });
+    }
+
+    const tags = await searchIndex.setTags(req.userId, req.params.messageId, req.body.tags);
+    if (!tags) {
+      return res.status(404).json({ error: 'Message is not in the search index' });
+    }
+    res.json({ success: true, data: { tags } });
+  } catch (error) {
+    console.error('Set tags error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download the original message as .eml
+router.get('/emails/:messageId/raw', async (req, res) => {
+  try {
+    const message = await req.gmailService.getRawMessage(req.params.messageId);
+    
+    sendEml(res, message);
+  } catch (error) {
+    console.error('Get raw email error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start an mbox export of a query or label: { q, labelIds: [], includeSpamTrash }
+router.post('/exports', async (req, res) => {
+  try {
+    const { q, labelIds, includeSpamTrash } = req.body || {};
+    
+    const job = await exportService.create(req.userId, {
+      q,
+      labelIds: [].concat(labelIds || []),
+      includeSpamTrash: includeSpamTrash === true
+    });
+    
+    res.status(202).json({ 
+      success: true, 
+      data: job 
+    });
+  } catch (error) {
+    console.error('Create export error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// List the user's exports with their progress
+router.get('/exports', async (req, res) => {
+  try {
+    const jobs = await exportService.list(req.userId);
+    
+    res.json({ 
+      success: true, 
+      data: jobs 
+    });
+  } catch (error) {
+    console.error('List exports error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get one export's progress
+router.get('/exports/:jobId', async (req, res) => {
+  try {
+    const job = await exportService.get(req.params.jobId, req.userId);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    res.json({ 
+      success: true, 
+      data: job 
+    });
+  } catch (error) {
+    console.error('Get export error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pause or resume an export
+router.post('/exports/:jobId/:action(pause|resume)', async (req, res) => {
+  try {
+    const job = await exportService[req.params.action](req.params.jobId, req.userId);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    res.json({ 
+      success: true, 
+      data: job 
+    });
+  } catch (error) {
+    console.error('Update export error:', error);
+    res.status(409).json({ error: error.message });
+  }
+});
+
+// Cancel an export and delete its file
+router.delete('/exports/:jobId', async (req, res) => {
+  try {
+    const deleted = await exportService.delete(req.params.jobId, req.userId);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete export error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download a completed export (supports Range requests)
+router.get('/exports/:jobId/download', async (req, res) => {
+  try {
+    const file = await exportService.download(req.params.jobId, req.userId);
+    
+    if (!file) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    res.download(file.path, file.filename, { headers: { 'Content-Type': 'application/mbox' } });
+  } catch (error) {
+    console.error('Download export error:', error);
+    res.status(409).json({ error: error.message });
+  }
+});
+
 // Get email threads
 router.get('/threads', async (req, res) => {
   try {
     const { maxResults = 10 } = req.query;
     
-    const threads = await emailService.getThreads(parseInt(maxResults));
+    const threads = await req.gmailService.listThreads({ maxResults: parseInt(maxResults) });
     
     res.json({ 
       success: true, 
@@ -109,7 +659,7 @@ router.get('/threads/:threadId', async (req, res) => {
   try {
     const { threadId } = req.params;
     
-    const thread = await emailService.getThread(threadId);
+    const thread = await req.gmailService.getConversation(threadId);
     
     res.json({ 
       success: true, 
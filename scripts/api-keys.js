@@ -0,0 +1,45 @@
+// scripts/api-keys.js
+// Usage:
+//   npm run api-keys -- issue <userId> <name>
+//   npm run api-keys -- list [userId]
+//   npm run api-keys -- revoke <keyId>
+require('dotenv').config();
+const apiKeyStore = require('../utils/apiKeyStore');
+const tokenManager = require('../utils/tokenManager');
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case 'issue': {
+      const [userId, ...nameParts] = args;
+      if (!userId || nameParts.length === 0) throw new Error('Usage: issue <userId> <name>');
+      if (!await tokenManager.loadTokens(userId)) {
+        throw new Error(`No stored Google credentials for user ${userId}`);
+      }
+      const apiKey = await apiKeyStore.issue(userId, nameParts.join(' '));
+      console.log(`✅ Issued "${apiKey.name}" (${apiKey.id}) for ${userId}`);
+      console.log('📝 Store this key now, it is not shown again:');
+      console.log(`   ${apiKey.key}`);
+      break;
+    }
+    case 'list': {
+      console.table(await apiKeyStore.list(args[0]));
+      break;
+    }
+    case 'revoke': {
+      if (!args[0]) throw new Error('Usage: revoke <keyId>');
+      const revoked = await apiKeyStore.revoke(args[0]);
+      console.log(revoked ? `✅ Revoked ${args[0]}` : `No API key found with id ${args[0]}`);
+      break;
+    }
+    default:
+      console.log('Commands: issue <userId> <name> | list [userId] | revoke <keyId>');
+      process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,36 @@
+// scripts/fake-pubsub-push.js
+// Send a Gmail notification to the webhook the way a Pub/Sub push
+// subscription would, for testing without Google Cloud.
+// Usage:
+//   npm run fake-push -- <emailAddress> <historyId> [webhookUrl]
+// The URL defaults to http://localhost:$PORT/webhooks/gmail and is sent with
+// ?token=$PUBSUB_VERIFICATION_TOKEN.
+require('dotenv').config();
+const { encodePushMessage } = require('../utils/pubsubPush');
+
+async function main() {
+  const [emailAddress, historyId, webhookUrl] = process.argv.slice(2);
+  if (!emailAddress || !historyId) {
+    throw new Error('Usage: <emailAddress> <historyId> [webhookUrl]');
+  }
+
+  const url = new URL(webhookUrl || `http://localhost:${process.env.PORT || 3000}/webhooks/gmail`);
+  if (process.env.PUBSUB_VERIFICATION_TOKEN && !url.searchParams.has('token')) {
+    url.searchParams.set('token', process.env.PUBSUB_VERIFICATION_TOKEN);
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(encodePushMessage({ emailAddress, historyId }))
+  });
+
+  const text = await response.text();
+  console.log(`${response.ok ? '✅' : '❌'} ${response.status} ${text}`);
+  if (!response.ok) process.exitCode = 1;
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,43 @@
+// scripts/token-store.js
+// Usage:
+//   npm run tokens -- list
+//   npm run tokens -- delete <userId>
+//   npm run tokens -- rotate-key [newKey]
+require('dotenv').config();
+const tokenManager = require('../utils/tokenManager');
+const { generateKey } = require('../utils/encryption');
+
+async function main() {
+  const [command, arg] = process.argv.slice(2);
+
+  switch (command) {
+    case 'list': {
+      const users = await tokenManager.listUsers();
+      console.table(users);
+      break;
+    }
+    case 'delete': {
+      if (!arg) throw new Error('Usage: delete <userId>');
+      const deleted = await tokenManager.deleteTokens(arg);
+      console.log(deleted ? `✅ Deleted tokens for ${arg}` : `No tokens found for ${arg}`);
+      break;
+    }
+    case 'rotate-key': {
+      const newKey = arg || generateKey();
+      const count = await tokenManager.rotateKey(newKey);
+      console.log(`✅ Re-encrypted ${count} records`);
+      console.log('📝 Update your .env before restarting:');
+      console.log(`   TOKEN_ENCRYPTION_KEY=${newKey}`);
+      console.log(`   TOKEN_ENCRYPTION_PREVIOUS_KEYS=${process.env.TOKEN_ENCRYPTION_KEY}`);
+      break;
+    }
+    default:
+      console.log('Commands: list | delete <userId> | rotate-key [newKey]');
+      process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,126 @@
+// services/delegationVerifier.js
+const { google } = require('googleapis');
+const workspaceDelegation = require('../config/workspaceDelegation');
+
+const CACHE_TTL_MS = parseInt(process.env.DELEGATION_CACHE_TTL_MS) || 5 * 60 * 1000;
+
+// Turn a Google API / token endpoint error into a stable reason code
+function classifyError(error) {
+  const status = error.response?.status || error.code;
+  const data = error.response?.data || {};
+  const oauthError = typeof data.error === 'string' ? data.error : null;
+  const reason = error.errors?.[0]?.reason || data.error?.errors?.[0]?.reason;
+
+  if (oauthError === 'unauthorized_client') {
+    return { reason: 'scope_not_delegated', message: 'The service account is not authorized for this scope in the Admin console' };
+  }
+  if (oauthError === 'invalid_grant') {
+    return { reason: 'mailbox_not_found', message: 'Google does not recognize the target mailbox' };
+  }
+  if (status === 400 && reason === 'failedPrecondition') {
+    return { reason: 'mail_service_disabled', message: 'Gmail is not enabled for the target mailbox' };
+  }
+  if (status === 403) {
+    return { reason: 'access_forbidden', message: error.message };
+  }
+  if (status === 404) {
+    return { reason: 'not_found', message: error.message };
+  }
+  return { reason: 'verification_error', message: error.message, retryable: true };
+}
+
+// Checks with Google whether a user really is a delegate of a Workspace
+// mailbox, and that the service account can reach that mailbox at all.
+class DelegationVerifier {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  // Is userEmail listed (and accepted) in targetEmail's Gmail delegates?
+  async checkDelegate(userEmail, targetEmail) {
+    if (userEmail.toLowerCase() === targetEmail.toLowerCase()) {
+      return { verified: true, status: 'own_mailbox' };
+    }
+
+    const gmail = google.gmail({ version: 'v1', auth: workspaceDelegation.getClient(targetEmail, 'settings') });
+    try {
+      const response = await gmail.users.settings.delegates.get({
+        userId: 'me',
+        delegateEmail: userEmail
+      });
+      const status = response.data.verificationStatus;
+      return { verified: status === 'accepted', status: status };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return { verified: false, status: 'not_a_delegate' };
+      }
+      return { verified: false, status: 'unavailable', ...classifyError(error) };
+    }
+  }
+
+  // Can the service account open targetEmail's mailbox? getProfile needs a
+  // read scope, so send access (gmail.send only) is probed by getting a token
+  // instead, which fails the same way for an undelegated scope or unknown mailbox.
+  async probeMailbox(targetEmail, access) {
+    const auth = workspaceDelegation.getClient(targetEmail, access);
+    try {
+      if (access === 'send') {
+        await auth.getAccessToken();
+        return { reachable: true, emailAddress: targetEmail };
+      }
+
+      const gmail = google.gmail({ version: 'v1', auth });
+      const response = await gmail.users.getProfile({ userId: 'me' });
+      return { reachable: true, emailAddress: response.data.emailAddress };
+    } catch (error) {
+      return { reachable: false, ...classifyError(error) };
+    }
+  }
+
+  // Combined verdict; requireDelegate=false accepts a reachable mailbox when
+  // the delegate list can't be read (e.g. settings scope not granted)
+  async verify(userEmail, targetEmail, { access = 'read', requireDelegate = true } = {}) {
+    const cacheKey = [userEmail, targetEmail, access, requireDelegate].join('|').toLowerCase();
+    const cached = this.cache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return { ...cached.result, cached: true };
+    }
+
+    const probe = await this.probeMailbox(targetEmail, access);
+    const delegate = probe.reachable
+      ? await this.checkDelegate(userEmail, targetEmail)
+      : { verified: false, status: 'skipped' };
+
+    let result;
+    if (!probe.reachable) {
+      result = { hasAccess: false, reason: probe.reason, message: probe.message };
+    } else if (delegate.verified) {
+      result = { hasAccess: true, reason: delegate.status === 'own_mailbox' ? 'own_mailbox' : 'gmail_delegate' };
+    } else if (delegate.status === 'unavailable' && !requireDelegate) {
+      result = { hasAccess: true, reason: 'mailbox_reachable', message: `Delegate list unavailable: ${delegate.message}` };
+    } else if (delegate.status === 'unavailable') {
+      result = { hasAccess: false, reason: 'delegate_check_unavailable', message: delegate.message };
+    } else {
+      result = {
+        hasAccess: false,
+        reason: 'not_a_delegate',
+        message: `${userEmail} is not an accepted delegate of ${targetEmail} (${delegate.status})`
+      };
+    }
+    result.checks = { probe, delegate };
+    result.checkedAt = new Date().toISOString();
+
+    // Transient failures are retried on the next request instead of cached
+    if (!probe.retryable && !delegate.retryable) {
+      this.cache.set(cacheKey, { result, expiresAt: Date.now() + CACHE_TTL_MS });
+    }
+    return result;
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+module.exports = new DelegationVerifier();
+module.exports.DelegationVerifier = DelegationVerifier;
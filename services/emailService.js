@@ -0,0 +1,76 @@
+// services/emailService.js
+const GmailService = require('./gmailService');
+const workspaceDelegation = require('../config/workspaceDelegation');
+const { parseAddressList } = require('../utils/addressParser');
+
+// Mailbox access for the delegated routes. In Workspace mode every call runs
+// as the target mailbox through the service account's domain-wide delegation.
+class EmailService {
+  isWorkspaceMode() {
+    return workspaceDelegation.isConfigured();
+  }
+
+  // A GmailService whose 'me' is targetEmail
+  forMailbox(targetEmail, access = 'read') {
+    return new GmailService(null, {
+      auth: workspaceDelegation.getClient(targetEmail, access)
+    });
+  }
+
+  async getDelegatedEmails(targetEmail, maxResults = 10, pageToken, labelIds, q) {
+    return this.forMailbox(targetEmail).listEmailPage({
+      maxResults,
+      pageToken,
+      labelIds,
+      q
+    });
+  }
+
+  async getDelegatedEmail(targetEmail, messageId) {
+    return this.forMailbox(targetEmail).getEmail(messageId);
+  }
+
+  async getDelegatedAttachments(targetEmail, messageId) {
+    return this.forMailbox(targetEmail).listAttachments(messageId);
+  }
+
+  async getDelegatedAttachment(targetEmail, messageId, partId) {
+    return this.forMailbox(targetEmail).getAttachment(messageId, partId);
+  }
+
+  async getDelegatedThreads(targetEmail, maxResults = 10, pageToken, labelIds) {
+    return this.forMailbox(targetEmail).listThreads({
+      maxResults,
+      pageToken,
+      labelIds
+    });
+  }
+
+  // Reply (or reply-all) from the delegated mailbox. The original is read
+  // with read access and the reply sent with send access.
+  async replyAsDelegate(targetEmail, messageId, options) {
+    const draft = await this.forMailbox(targetEmail).prepareReply(messageId, { ...options, from: targetEmail });
+    return this.forMailbox(targetEmail, 'send').sendEmail(draft.to, draft.subject, draft.body, draft.options);
+  }
+
+  async forwardAsDelegate(targetEmail, messageId, options) {
+    const draft = await this.forMailbox(targetEmail).prepareForward(messageId, { ...options, from: targetEmail });
+    return this.forMailbox(targetEmail, 'send').sendEmail(draft.to, draft.subject, draft.body, draft.options);
+  }
+
+  // Sends from the delegated mailbox; from ("a@x.com" or "Name <a@x.com>")
+  // names the impersonated address
+  async sendEmailAsDelegate({ to, subject, body, html, from, cc, bcc, replyTo, attachments }) {
+    const mailbox = parseAddressList(from)[0]?.address || from;
+    return this.forMailbox(mailbox, 'send').sendEmail(to, subject, body, {
+      from,
+      cc,
+      bcc,
+      replyTo,
+      html,
+      attachments
+    });
+  }
+}
+
+module.exports = new EmailService();
@@ -0,0 +1,275 @@
+// services/exportService.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const GmailService = require('./gmailService');
+const { createBackend } = require('../utils/storage');
+const { decodeBase64Url } = require('../utils/mimeParser');
+const { formatMboxEntry } = require('../utils/mbox');
+
+const EXPORT_DIR = process.env.EXPORT_DIR || path.join(__dirname, '../data/exports');
+const PAGE_SIZE = 100;
+// Raw messages can be up to 25 MB each, so only a few are held at once
+const CHUNK_SIZE = 5;
+const MAX_FAILED_IDS = 100;
+
+// Public view of a job record
+function describe(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    query: job.query,
+    exported: job.exported,
+    failed: job.failed,
+    failedIds: job.failedIds,
+    total: job.total,
+    progress: job.total > 0 ? Math.min(100, Math.round((job.exported + job.failed) / job.total * 100)) : null,
+    bytes: job.bytes,
+    error: job.error || null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    completedAt: job.completedAt || null
+  };
+}
+
+// mbox export jobs for a Gmail query or label. Each job appends messages to
+// data/exports/<id>.mbox and records a cursor (page token + offset into the
+// page) and the file length after every chunk, so an interrupted job resumes
+// where it stopped: the file is cut back to the recorded length and the
+// listing continues from the cursor.
+class ExportService {
+  constructor(options = {}) {
+    this.backend = options.backend ||
+      createBackend(process.env.EXPORT_STORE || 'json', 'exports', {
+        filePath: process.env.EXPORT_STORE_PATH
+      });
+    this.running = new Map();
+  }
+
+  filePath(job) {
+    return path.join(EXPORT_DIR, `${job.id}.mbox`);
+  }
+
+  // query: { q, labelIds, includeSpamTrash }; at least q or one label is required
+  async create(userId, { q, labelIds, includeSpamTrash = false } = {}) {
+    const query = {
+      q: (q || '').trim() || null,
+      labelIds: (labelIds || []).filter(Boolean),
+      includeSpamTrash: !!includeSpamTrash
+    };
+    if (!query.q && query.labelIds.length === 0) {
+      throw new Error('An export needs a search query or a label');
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomBytes(8).toString('hex'),
+      userId,
+      query,
+      status: 'pending',
+      cursor: { pageToken: null, offset: 0 },
+      exported: 0,
+      failed: 0,
+      failedIds: [],
+      total: null,
+      bytes: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.backend.set(job.id, job);
+    console.log(`📦 Export ${job.id} created for user ${userId}`);
+    this.start(job.id);
+    return describe(job);
+  }
+
+  async get(jobId, userId) {
+    const job = await this.backend.get(jobId);
+    return job && job.userId === userId ? describe(job) : null;
+  }
+
+  async list(userId) {
+    const jobs = await this.backend.entries();
+    return jobs
+      .map(([, job]) => job)
+      .filter(job => job.userId === userId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(describe);
+  }
+
+  // Resume a paused or failed job
+  async resume(jobId, userId) {
+    const job = await this.backend.get(jobId);
+    if (!job || job.userId !== userId) return null;
+    if (!['paused', 'failed'].includes(job.status)) {
+      throw new Error(`Export is ${job.status} and cannot be resumed`);
+    }
+    this.start(job.id);
+    return describe(job);
+  }
+
+  // Stop a running job after its current chunk; it can be resumed later
+  async pause(jobId, userId) {
+    const job = await this.backend.get(jobId);
+    if (!job || job.userId !== userId) return null;
+
+    const run = this.running.get(jobId);
+    if (run) {
+      run.stopAs = 'paused';
+      await run.done;
+    } else if (['pending', 'running'].includes(job.status)) {
+      await this.setStatus(jobId, 'paused');
+    }
+    return describe(await this.backend.get(jobId));
+  }
+
+  // Stop the job and delete it along with its file
+  async delete(jobId, userId) {
+    const job = await this.backend.get(jobId);
+    if (!job || job.userId !== userId) return false;
+
+    const run = this.running.get(jobId);
+    if (run) {
+      run.stopAs = 'cancelled';
+      await run.done;
+    }
+    await fs.promises.rm(this.filePath(job), { force: true });
+    await this.backend.delete(jobId);
+    console.log(`🧹 Export ${jobId} deleted`);
+    return true;
+  }
+
+  // Path of a completed export's file, for download
+  async download(jobId, userId) {
+    const job = await this.backend.get(jobId);
+    if (!job || job.userId !== userId) return null;
+    if (job.status !== 'completed') {
+      throw new Error(`Export is ${job.status}; download it once it has completed`);
+    }
+    return { path: this.filePath(job), filename: `export-${job.id}.mbox`, bytes: job.bytes };
+  }
+
+  // Pick up jobs that were running when the process stopped
+  async resumeInterrupted() {
+    const jobs = await this.backend.entries();
+    for (const [, job] of jobs) {
+      if (['pending', 'running'].includes(job.status)) {
+        console.log(`🔄 Resuming export ${job.id}`);
+        this.start(job.id);
+      }
+    }
+  }
+
+  start(jobId) {
+    if (this.running.has(jobId)) return;
+
+    const run = { stopAs: null };
+    run.done = this.run(jobId, run)
+      .catch(async error => {
+        console.error(`❌ Export ${jobId} failed:`, error.message);
+        await this.backend.update(jobId, job => (job ? {
+          ...job,
+          status: 'failed',
+          error: error.message,
+          updatedAt: new Date().toISOString()
+        } : undefined));
+      })
+      .finally(() => this.running.delete(jobId));
+    this.running.set(jobId, run);
+  }
+
+  async run(jobId, run) {
+    let job = await this.backend.get(jobId);
+    if (!job) return;
+
+    job = await this.save(jobId, { status: 'running', error: null });
+    const gmailService = await GmailService.forUser(job.userId);
+    const file = this.filePath(job);
+
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true, mode: 0o700 });
+    // Drop anything written after the last recorded checkpoint
+    const handle = await fs.promises.open(file, fs.existsSync(file) ? 'r+' : 'w+', 0o600);
+
+    try {
+      await handle.truncate(job.bytes);
+      let { pageToken, offset } = job.cursor;
+
+      for (;;) {
+        const page = await gmailService.listMessageIds({
+          maxResults: PAGE_SIZE,
+          pageToken: pageToken || undefined,
+          q: job.query.q || undefined,
+          labelIds: job.query.labelIds,
+          includeSpamTrash: job.query.includeSpamTrash
+        });
+
+        // The first page's estimate is the best total Gmail offers
+        if (job.total === null) {
+          job = await this.save(jobId, { total: page.resultSizeEstimate });
+        }
+
+        while (offset < page.ids.length) {
+          if (run.stopAs) {
+            await this.save(jobId, { status: run.stopAs });
+            console.log(`⏸️ Export ${jobId} ${run.stopAs}`);
+            return;
+          }
+
+          const ids = page.ids.slice(offset, offset + CHUNK_SIZE);
+          const results = await gmailService.fetcher.getMessages(ids, { format: 'raw' });
+
+          let exported = 0;
+          const failedIds = [];
+          for (const result of results) {
+            if (result.error) {
+              failedIds.push(result.id);
+              continue;
+            }
+            const entry = formatMboxEntry(decodeBase64Url(result.data.raw), new Date(parseInt(result.data.internalDate, 10)));
+            await handle.write(entry, 0, entry.length, job.bytes);
+            job.bytes += entry.length;
+            exported++;
+          }
+          await handle.datasync();
+
+          offset += ids.length;
+          job = await this.save(jobId, {
+            cursor: { pageToken, offset },
+            bytes: job.bytes,
+            exported: job.exported + exported,
+            failed: job.failed + failedIds.length,
+            failedIds: [...job.failedIds, ...failedIds].slice(0, MAX_FAILED_IDS)
+          });
+        }
+
+        if (!page.nextPageToken) break;
+        pageToken = page.nextPageToken;
+        offset = 0;
+        job = await this.save(jobId, { cursor: { pageToken, offset } });
+      }
+
+      await this.save(jobId, {
+        status: 'completed',
+        total: job.exported + job.failed,
+        completedAt: new Date().toISOString()
+      });
+      console.log(`✅ Export ${jobId} completed: ${job.exported} messages, ${job.bytes} bytes`);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async save(jobId, changes) {
+    return this.backend.update(jobId, job => {
+      if (!job) throw new Error('Export job no longer exists');
+      return { ...job, ...changes, updatedAt: new Date().toISOString() };
+    });
+  }
+
+  async setStatus(jobId, status) {
+    return this.save(jobId, { status });
+  }
+}
+
+module.exports = new ExportService();
+module.exports.ExportService = ExportService;
@@ -0,0 +1,825 @@
+// services/gmailService.js
+const { Readable } = require('stream');
+const { google } = require('googleapis');
+const tokenManager = require('../utils/tokenManager');
+const {
+  parseMessagePayload,
+  htmlToText,
+  findPart,
+  describePart,
+  getHeader,
+  decodeBase64Url
+} = require('../utils/mimeParser');
+const MessageFetcher = require('../utils/messageFetcher');
+const mailCache = require('../utils/mailCache');
+const searchIndex = require('../utils/searchIndex');
+const { parseAddressList } = require('../utils/addressParser');
+const { splitQuotedText } = require('../utils/quotedText');
+const { composeMessage } = require('../utils/mimeComposer');
+const { assertValidMessage } = require('../utils/messageValidator');
+const { buildReply, buildForward } = require('../utils/replyBuilder');
+
+const SUMMARY_HEADERS = ['From', 'To', 'Cc', 'Subject', 'Date', 'Message-ID'];
+const MAX_RAW_SEND_BYTES = 5 * 1024 * 1024;
+
+class GmailService {
+  // credentials: an access token string, or { accessToken, refreshToken, expiryDate }
+  // options.userId: persist refreshed tokens to TokenManager under this id (REST flow)
+  // options.onTokens: called with the merged credentials whenever Google refreshes them
+  // options.auth: a ready-made auth client (e.g. a service-account JWT) to use instead
+  constructor(credentials, options = {}) {
+    const { accessToken, refreshToken, expiryDate } = typeof credentials === 'string'
+      ? { accessToken: credentials }
+      : (credentials || {});
+
+    this.userId = options.userId || null;
+    this.onTokens = options.onTokens || null;
+
+    if (options.auth) {
+      this.auth = options.auth;
+      this.gmail = google.gmail({ version: 'v1', auth: this.auth });
+      this.fetcher = new MessageFetcher(this.gmail, this.auth, {
+        quotaKey: this.userId || this.auth.subject || 'default'
+      });
+      return;
+    }
+
+    // With client credentials and a refresh token the client refreshes expired
+    // access tokens on its own, and forceRefreshOnFailure makes it refresh and
+    // retry a request once when Google answers 401 despite a future expiry_date.
+    this.auth = new google.auth.OAuth2({
+      clientId: options.clientId || process.env.CLIENT_ID || process.env.GOOGLE_CLIENT_ID,
+      clientSecret: options.clientSecret || process.env.CLIENT_SECRET || process.env.GOOGLE_CLIENT_SECRET,
+      redirectUri: options.redirectUri || process.env.REDIRECT_URI || process.env.GOOGLE_REDIRECT_URI,
+      forceRefreshOnFailure: true
+    });
+    this.auth.setCredentials({
+      access_token: accessToken,
+      refresh_token: refreshToken,
+      expiry_date: expiryDate
+    });
+    this.auth.on('tokens', (tokens) => {
+      this.handleRefreshedTokens(tokens).catch(error => {
+        console.error('Error storing refreshed tokens:', error.message);
+      });
+    });
+
+    this.gmail = google.gmail({ version: 'v1', auth: this.auth });
+    // Per-message fetches share the user's quota across all their requests
+    this.fetcher = new MessageFetcher(this.gmail, this.auth, {
+      quotaKey: this.userId || 'default'
+    });
+  }
+
+  // Build a service from the tokens stored for a REST-flow user
+  static async forUser(userId, options = {}) {
+    const tokens = await tokenManager.loadTokens(userId);
+    if (!tokens) {
+      throw new Error(`No tokens found for user: ${userId}`);
+    }
+
+    return new GmailService({
+      accessToken: tokens.access_token,
+      refreshToken: tokens.refresh_token,
+      expiryDate: tokens.expiry_date
+    }, { ...options, userId });
+  }
+
+  // Write refreshed tokens back to wherever the caller keeps them
+  async handleRefreshedTokens(tokens) {
+    const credentials = {
+      accessToken: tokens.access_token,
+      refreshToken: tokens.refresh_token || this.auth.credentials.refresh_token,
+      expiryDate: tokens.expiry_date
+    };
+    console.log('🔄 Access token refreshed');
+
+    if (this.onTokens) {
+      this.onTokens(credentials);
+    }
+
+    if (this.userId) {
+      await tokenManager.updateTokens(this.userId, tokens);
+    }
+  }
+
+  // Revoke the grant at Google. Revoking the refresh token also invalidates
+  // every access token issued from it, so it is preferred when we have one.
+  async revokeAccess() {
+    const { access_token: accessToken, refresh_token: refreshToken } = this.auth.credentials;
+    const tokenType = refreshToken ? 'refresh_token' : (accessToken ? 'access_token' : null);
+
+    if (!tokenType) {
+      return { revoked: false, tokenType: null, reason: 'No token to revoke' };
+    }
+
+    try {
+      await this.auth.revokeToken(refreshToken || accessToken);
+      this.auth.setCredentials({});
+      console.log(`🔒 Revoked ${tokenType} at Google`);
+      return { revoked: true, tokenType };
+    } catch (error) {
+      // Google answers 400 invalid_token for tokens that are already revoked or expired
+      const status = error.response?.status;
+      if (status === 400) {
+        return { revoked: false, tokenType, reason: 'Token already invalid or revoked' };
+      }
+      throw new Error(`Failed to revoke token: ${error.message}`);
+    }
+  }
+
+  // Get user profile
+  async getProfile() {
+    try {
+      const response = await this.gmail.users.getProfile({ userId: 'me' });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to get profile: ${error.message}`);
+    }
+  }
+
+  // Ask Gmail to publish mailbox changes to a Pub/Sub topic. Returns the
+  // historyId the watch starts from and its expiration (ms), at most 7 days out.
+  async watch({ topicName, labelIds } = {}) {
+    try {
+      const response = await this.gmail.users.watch({
+        userId: 'me',
+        requestBody: {
+          topicName: topicName,
+          labelIds: labelIds && labelIds.length > 0 ? labelIds : undefined
+        }
+      });
+
+      return {
+        historyId: response.data.historyId,
+        expiration: parseInt(response.data.expiration, 10) || null
+      };
+    } catch (error) {
+      throw new Error(`Failed to watch mailbox: ${error.message}`);
+    }
+  }
+
+  // Stop push notifications for the mailbox
+  async stopWatch() {
+    try {
+      await this.gmail.users.stop({ userId: 'me' });
+    } catch (error) {
+      throw new Error(`Failed to stop watching mailbox: ${error.message}`);
+    }
+  }
+
+  // List emails with better formatting
+  async listEmails(maxResults = 20, labelIds = ['INBOX']) {
+    const page = await this.listEmailPage({ maxResults, labelIds });
+    return page.emails;
+  }
+
+  // List one page of emails, with paging and search. q takes Gmail search
+  // syntax; pass labelIds: [] to search across all labels.
+  //
+  // For a synced user (see SyncService) plain label listings are answered
+  // from the local cache while it is fresh; searches always go to Gmail.
+  // The result's source says which one answered.
+  async listEmailPage({ maxResults = 20, labelIds = ['INBOX'], pageToken, q, includeSpamTrash = false, useCache = true } = {}) {
+    try {
+      const cacheable = useCache && this.userId && mailCache.canAnswer({ labelIds, q, includeSpamTrash });
+      // A Gmail page token continues a listing Gmail started
+      if (cacheable && (mailCache.isCacheToken(pageToken) || (!pageToken && await mailCache.isFresh(this.userId)))) {
+        const page = await mailCache.listPage(this.userId, { maxResults, labelIds, pageToken });
+        return { ...page, source: 'cache' };
+      }
+
+      console.log(`📧 Fetching ${maxResults} emails...`);
+      
+      const response = await this.gmail.users.messages.list({
+        userId: 'me',
+        maxResults: maxResults,
+        labelIds: labelIds && labelIds.length > 0 ? labelIds : undefined,
+        pageToken: pageToken,
+        q: q,
+        includeSpamTrash: includeSpamTrash
+      });
+
+      const messages = response.data.messages || [];
+      console.log(`✅ Found ${messages.length} messages`);
+
+      const emailDetails = await this.getMessageSummaries(messages.map(message => message.id));
+
+      return {
+        emails: emailDetails,
+        nextPageToken: response.data.nextPageToken || null,
+        resultSizeEstimate: response.data.resultSizeEstimate || 0,
+        source: 'gmail'
+      };
+    } catch (error) {
+      console.error('Error listing emails:', error);
+      throw new Error(`Failed to list emails: ${error.message}`);
+    }
+  }
+
+  // List-view summaries of messages, in the order of ids. Failed fetches
+  // stay in place as { id, error } entries.
+  async getMessageSummaries(ids) {
+    const results = await this.fetcher.getMessages(ids, {
+      format: 'metadata',
+      metadataHeaders: SUMMARY_HEADERS
+    });
+
+    this.indexMessages(results.filter(result => !result.error).map(result => searchDocument(result.data)));
+
+    return results.map(result => result.error
+      ? { id: result.id, error: result.error }
+      : summarizeMessage(result.data));
+  }
+
+  // Add fetched messages to the user's local search index. Indexing happens
+  // in the background and never fails the fetch that triggered it.
+  indexMessages(docs) {
+    if (!this.userId || docs.length === 0) return;
+    searchIndex.upsert(this.userId, docs).catch(error => {
+      console.error(`Search indexing failed for user ${this.userId}:`, error.message);
+    });
+  }
+
+  // One page of mailbox changes since startHistoryId. Gmail answers 404 once
+  // the history id is too old; the error's status carries that on.
+  async listHistory({ startHistoryId, pageToken }) {
+    try {
+      const response = await this.gmail.users.history.list({
+        userId: 'me',
+        startHistoryId: startHistoryId,
+        pageToken: pageToken,
+        maxResults: 500,
+        historyTypes: ['messageAdded', 'messageDeleted', 'labelAdded', 'labelRemoved']
+      });
+
+      return {
+        history: response.data.history || [],
+        historyId: response.data.historyId,
+        nextPageToken: response.data.nextPageToken || null
+      };
+    } catch (error) {
+      const wrapped = new Error(`Failed to list history: ${error.message}`);
+      wrapped.status = error.response?.status || error.code;
+      throw wrapped;
+    }
+  }
+
+  // List one page of message ids only, for bulk jobs that fetch messages themselves
+  async listMessageIds({ maxResults = 100, labelIds, pageToken, q, includeSpamTrash = false } = {}) {
+    try {
+      const response = await this.gmail.users.messages.list({
+        userId: 'me',
+        maxResults: maxResults,
+        labelIds: labelIds && labelIds.length > 0 ? labelIds : undefined,
+        pageToken: pageToken,
+        q: q,
+        includeSpamTrash: includeSpamTrash
+      });
+
+      return {
+        ids: (response.data.messages || []).map(message => message.id),
+        nextPageToken: response.data.nextPageToken || null,
+        resultSizeEstimate: response.data.resultSizeEstimate || 0
+      };
+    } catch (error) {
+      throw new Error(`Failed to list messages: ${error.message}`);
+    }
+  }
+
+  // Get full email content
+  async getEmail(messageId) {
+    try {
+      const response = await this.gmail.users.messages.get({
+        userId: 'me',
+        id: messageId,
+        format: 'full'
+      });
+
+      const email = response.data;
+      const headers = email.payload.headers || [];
+      
+      const from = headers.find(h => h.name === 'From')?.value || 'Unknown Sender';
+      const to = headers.find(h => h.name === 'To')?.value || '';
+      const subject = headers.find(h => h.name === 'Subject')?.value || 'No Subject';
+      const date = headers.find(h => h.name === 'Date')?.value || '';
+
+      // Walk the whole MIME tree for bodies, attachments and inline parts
+      const parsed = parseMessagePayload(email.payload);
+      const body = parsed.text || htmlToText(parsed.html);
+      this.indexMessages([searchDocument(email, parsed)]);
+
+      return {
+        id: email.id,
+        threadId: email.threadId,
+        subject: subject,
+        from: from,
+        to: to,
+        date: new Date(date).toLocaleString(),
+        body: body || 'No body content available',
+        textBody: parsed.text,
+        htmlBody: parsed.html,
+        attachments: parsed.attachments,
+        inlineParts: parsed.inline,
+        snippet: email.snippet,
+        labelIds: email.labelIds || []
+      };
+    } catch (error) {
+      throw new Error(`Failed to get email: ${error.message}`);
+    }
+  }
+
+  // One message in the conversation-view shape (see parseThreadMessage)
+  async getMessage(messageId) {
+    try {
+      return parseThreadMessage(await this.getFullMessage(messageId));
+    } catch (error) {
+      throw new Error(`Failed to get message: ${error.message}`);
+    }
+  }
+
+  // The Gmail API message resource, payload included
+  async getFullMessage(messageId) {
+    const response = await this.gmail.users.messages.get({
+      userId: 'me',
+      id: messageId,
+      format: 'full'
+    });
+    return response.data;
+  }
+
+  // sendEmail arguments { to, subject, body, options } for a reply to
+  // messageId, threaded under it. options: body, html, replyAll, cc, bcc,
+  // attachments, quote, from (see replyBuilder.buildReply).
+  async prepareReply(messageId, options = {}) {
+    const [original, profile] = await Promise.all([this.getMessage(messageId), this.getProfile()]);
+    const self = [profile.emailAddress, ...parseAddressList(options.from).map(person => person.address)];
+    return buildReply(original, { ...options, self });
+  }
+
+  // sendEmail arguments for forwarding messageId. options: to, cc, bcc, body,
+  // html, attachments, from, asAttachment (send the original as an .eml
+  // attachment instead of inline with its attachments).
+  async prepareForward(messageId, options = {}) {
+    let message;
+    try {
+      message = await this.getFullMessage(messageId);
+    } catch (error) {
+      throw new Error(`Failed to get message: ${error.message}`);
+    }
+    const original = parseThreadMessage(message);
+
+    if (options.asAttachment) {
+      const raw = await this.getRawMessage(messageId);
+      return buildForward(original, { ...options, original: raw.raw });
+    }
+
+    // Parts are read from the message fetched above; bodies Gmail keeps out
+    // of line are fetched one at a time
+    const parts = [];
+    const inlineIds = new Set(original.inlineParts.map(part => part.partId));
+    for (const part of [...original.attachments, ...original.inlineParts]) {
+      let attachment;
+      try {
+        attachment = await this.readPart(messageId, message.payload, part.partId);
+      } catch (error) {
+        throw new Error(`Failed to get attachment: ${error.message}`);
+      }
+      if (!attachment) continue;
+      parts.push({
+        filename: attachment.filename || `part-${attachment.partId}`,
+        mimeType: attachment.mimeType,
+        content: attachment.content,
+        contentId: inlineIds.has(part.partId) ? attachment.contentId : undefined
+      });
+    }
+    return buildForward(original, options, parts);
+  }
+
+  async reply(messageId, options = {}) {
+    const draft = await this.prepareReply(messageId, options);
+    return this.sendEmail(draft.to, draft.subject, draft.body, draft.options);
+  }
+
+  async forward(messageId, options = {}) {
+    const draft = await this.prepareForward(messageId, options);
+    return this.sendEmail(draft.to, draft.subject, draft.body, draft.options);
+  }
+
+  // Get the original RFC 822 message (for .eml downloads and mbox export)
+  async getRawMessage(messageId) {
+    try {
+      const response = await this.gmail.users.messages.get({
+        userId: 'me',
+        id: messageId,
+        format: 'raw'
+      });
+
+      return {
+        id: response.data.id,
+        threadId: response.data.threadId,
+        labelIds: response.data.labelIds || [],
+        internalDate: parseInt(response.data.internalDate, 10) || 0,
+        raw: decodeBase64Url(response.data.raw)
+      };
+    } catch (error) {
+      throw new Error(`Failed to get raw message: ${error.message}`);
+    }
+  }
+
+  // List a message's attachments and inline parts
+  async listAttachments(messageId) {
+    try {
+      const response = await this.gmail.users.messages.get({
+        userId: 'me',
+        id: messageId,
+        format: 'full'
+      });
+
+      const parsed = parseMessagePayload(response.data.payload);
+      return [...parsed.attachments, ...parsed.inline];
+    } catch (error) {
+      throw new Error(`Failed to list attachments: ${error.message}`);
+    }
+  }
+
+  // Get one attachment's metadata and content by partId. Gmail's attachmentIds
+  // change between reads of a message, so callers address parts by partId.
+  async getAttachment(messageId, partId) {
+    try {
+      const message = await this.getFullMessage(messageId);
+      return await this.readPart(messageId, message.payload, partId);
+    } catch (error) {
+      throw new Error(`Failed to get attachment: ${error.message}`);
+    }
+  }
+
+  // Metadata and content of partId in a fetched message's payload, or null
+  // when the part has no body. Only a body Gmail stores out of line (by
+  // attachmentId) costs another request.
+  async readPart(messageId, payload, partId) {
+    const part = findPart(payload, partId);
+    if (!part || (!part.body?.attachmentId && !part.body?.data)) {
+      return null;
+    }
+
+    const disposition = getHeader(part.headers, 'Content-Disposition').toLowerCase().startsWith('inline')
+      ? 'inline'
+      : 'attachment';
+    const metadata = describePart(part, disposition);
+
+    let data = part.body.data;
+    if (!data) {
+      const attachment = await this.gmail.users.messages.attachments.get({
+        userId: 'me',
+        messageId: messageId,
+        id: part.body.attachmentId
+      });
+      data = attachment.data.data;
+    }
+
+    const content = decodeBase64Url(data);
+    return { ...metadata, size: content.length, content: content };
+  }
+
+  // Get a conversation/thread: every message with parsed bodies (the text
+  // split into new and quoted parts), participants, attachments and read
+  // state, oldest first
+  async getConversation(threadId) {
+    try {
+      const response = await this.gmail.users.threads.get({
+        userId: 'me',
+        id: threadId,
+        format: 'full'
+      });
+
+      const rawMessages = response.data.messages || [];
+      this.indexMessages(rawMessages.map(message => searchDocument(message, parseMessagePayload(message.payload))));
+
+      const messages = rawMessages
+        .map(message => parseThreadMessage(message))
+        .sort((a, b) => a.internalDate - b.internalDate);
+
+      // Everyone who sent or received a message in the thread, in order of appearance
+      const participants = new Map();
+      for (const message of messages) {
+        for (const person of [message.from, ...message.to, ...message.cc].filter(Boolean)) {
+          const key = person.address.toLowerCase();
+          if (!participants.has(key) || (!participants.get(key).name && person.name)) {
+            participants.set(key, person);
+          }
+        }
+      }
+
+      return {
+        id: response.data.id,
+        historyId: response.data.historyId,
+        subject: messages.length > 0 ? messages[0].subject : 'No Subject',
+        messageCount: messages.length,
+        unreadCount: messages.filter(message => message.unread).length,
+        participants: [...participants.values()],
+        labelIds: [...new Set(messages.flatMap(message => message.labelIds))],
+        messages: messages
+      };
+    } catch (error) {
+      throw new Error(`Failed to get conversation: ${error.message}`);
+    }
+  }
+
+  // List threads
+  async listThreads({ maxResults = 10, labelIds, pageToken, q } = {}) {
+    try {
+      const response = await this.gmail.users.threads.list({
+        userId: 'me',
+        maxResults: maxResults,
+        labelIds: labelIds,
+        pageToken: pageToken,
+        q: q
+      });
+
+      const threads = response.data.threads || [];
+      const results = await this.fetcher.getThreads(threads.map(thread => thread.id), {
+        format: 'metadata',
+        metadataHeaders: ['From', 'Subject', 'Date']
+      });
+
+      return {
+        threads: threads.map((thread, index) => {
+          const summary = {
+            id: thread.id,
+            snippet: thread.snippet || '',
+            historyId: thread.historyId
+          };
+          const result = results[index];
+          if (result.error) {
+            return { ...summary, error: result.error };
+          }
+
+          const messages = result.data.messages || [];
+          const first = summarizeMessage(messages[0] || {}, thread.id);
+          const last = summarizeMessage(messages[messages.length - 1] || {}, thread.id);
+          return {
+            ...summary,
+            subject: first.subject,
+            from: first.from,
+            lastFrom: last.from,
+            date: last.date,
+            messageCount: messages.length,
+            labelIds: [...new Set(messages.flatMap(message => message.labelIds || []))]
+          };
+        }),
+        nextPageToken: response.data.nextPageToken || null,
+        resultSizeEstimate: response.data.resultSizeEstimate || 0
+      };
+    } catch (error) {
+      throw new Error(`Failed to list threads: ${error.message}`);
+    }
+  }
+
+  // Send email. message is the plain-text body; options: from, cc, bcc,
+  // replyTo, html, attachments (see mimeComposer), headers, threadId.
+  // Invalid fields are rejected with an error carrying status 400 and
+  // per-field messages in error.fields (see messageValidator).
+  async sendEmail(to, subject, message, options = {}) {
+    const raw = composeOutgoing(to, subject, message, options);
+
+    try {
+      const { message: requestBody, media } = rawUpload(raw, options.threadId);
+      const response = await this.gmail.users.messages.send({
+        userId: 'me',
+        requestBody: requestBody,
+        media: media
+      });
+      return response.data;
+    } catch (error) {
+      throw gmailError('send email', error);
+    }
+  }
+
+  // One page of drafts, each { id, message } with the message summarized
+  // like a listing entry. q uses Gmail search syntax.
+  async listDrafts({ maxResults = 20, pageToken, q } = {}) {
+    try {
+      const response = await this.gmail.users.drafts.list({
+        userId: 'me',
+        maxResults: maxResults,
+        pageToken: pageToken,
+        q: q
+      });
+
+      const drafts = response.data.drafts || [];
+      const summaries = await this.getMessageSummaries(drafts.map(draft => draft.message.id));
+
+      return {
+        drafts: drafts.map((draft, index) => ({ id: draft.id, message: summaries[index] })),
+        nextPageToken: response.data.nextPageToken || null,
+        resultSizeEstimate: response.data.resultSizeEstimate || 0
+      };
+    } catch (error) {
+      throw gmailError('list drafts', error);
+    }
+  }
+
+  // A draft with its message parsed like a conversation message, so its
+  // recipients, subject and body can be loaded back into a compose form
+  async getDraft(draftId) {
+    try {
+      const response = await this.gmail.users.drafts.get({
+        userId: 'me',
+        id: draftId,
+        format: 'full'
+      });
+      return { id: response.data.id, message: parseThreadMessage(response.data.message) };
+    } catch (error) {
+      throw gmailError('get draft', error);
+    }
+  }
+
+  // Save a draft. Takes the same arguments as sendEmail, but recipients may
+  // still be missing.
+  async createDraft(to, subject, message, options = {}) {
+    const raw = composeOutgoing(to, subject, message, options, { requireRecipients: false });
+
+    try {
+      const { message: draftMessage, media } = rawUpload(raw, options.threadId);
+      const response = await this.gmail.users.drafts.create({
+        userId: 'me',
+        requestBody: { message: draftMessage },
+        media: media
+      });
+      return response.data;
+    } catch (error) {
+      throw gmailError('create draft', error);
+    }
+  }
+
+  // Replace a draft's content; Gmail keeps the draft id
+  async updateDraft(draftId, to, subject, message, options = {}) {
+    const raw = composeOutgoing(to, subject, message, options, { requireRecipients: false });
+
+    try {
+      const { message: draftMessage, media } = rawUpload(raw, options.threadId);
+      const response = await this.gmail.users.drafts.update({
+        userId: 'me',
+        id: draftId,
+        requestBody: { id: draftId, message: draftMessage },
+        media: media
+      });
+      return response.data;
+    } catch (error) {
+      throw gmailError('update draft', error);
+    }
+  }
+
+  async deleteDraft(draftId) {
+    try {
+      await this.gmail.users.drafts.delete({ userId: 'me', id: draftId });
+      return true;
+    } catch (error) {
+      throw gmailError('delete draft', error);
+    }
+  }
+
+  // Send a saved draft as it is. Gmail removes the draft and returns the
+  // sent message.
+  async sendDraft(draftId) {
+    try {
+      const response = await this.gmail.users.drafts.send({
+        userId: 'me',
+        requestBody: { id: draftId }
+      });
+      return response.data;
+    } catch (error) {
+      throw gmailError('send draft', error);
+    }
+  }
+
+}
+
+// Validate and compose an outgoing message from sendEmail's arguments.
+// Validation errors carry status 400 and per-field messages in error.fields.
+function composeOutgoing(to, subject, message, options, { requireRecipients = true } = {}) {
+  const addresses = assertValidMessage({
+    from: options.from,
+    to: to,
+    cc: options.cc,
+    bcc: options.bcc,
+    replyTo: options.replyTo,
+    subject: subject,
+    headers: options.headers,
+    attachments: options.attachments,
+    requireRecipients: requireRecipients
+  });
+
+  return composeMessage({
+    ...addresses,
+    subject: subject,
+    text: message,
+    html: options.html,
+    attachments: options.attachments,
+    headers: options.headers
+  });
+}
+
+// The message part of a send or draft request for a composed message. Large
+// messages go up as a media upload; the JSON raw field is capped well below
+// Gmail's 35 MB message limit.
+function rawUpload(raw, threadId) {
+  if (raw.length > MAX_RAW_SEND_BYTES) {
+    return {
+      message: { threadId: threadId },
+      media: { mimeType: 'message/rfc822', body: Readable.from([raw]) }
+    };
+  }
+  return { message: { raw: raw.toString('base64url'), threadId: threadId } };
+}
+
+// Errors that keep Gmail's HTTP status, so callers can tell a draft that was
+// sent or deleted elsewhere (404), or a send Gmail rejected from one that
+// may have gone through
+function gmailError(action, error) {
+  const wrapped = new Error(`Failed to ${action}: ${error.message}`);
+  wrapped.status = error.response?.status || error.code;
+  return wrapped;
+}
+
+// Conversation-view fields of a message fetched with format=full
+function parseThreadMessage(message) {
+  const headers = message.payload?.headers || [];
+  const parsed = parseMessagePayload(message.payload);
+  const text = parsed.text || htmlToText(parsed.html);
+  const date = getHeader(headers, 'Date');
+  const labelIds = message.labelIds || [];
+  const from = parseAddressList(getHeader(headers, 'From'))[0] || null;
+
+  return {
+    id: message.id,
+    threadId: message.threadId,
+    messageId: getHeader(headers, 'Message-ID'),
+    inReplyTo: getHeader(headers, 'In-Reply-To'),
+    references: getHeader(headers, 'References'),
+    subject: getHeader(headers, 'Subject') || 'No Subject',
+    from: from,
+    to: parseAddressList(getHeader(headers, 'To')),
+    cc: parseAddressList(getHeader(headers, 'Cc')),
+    bcc: parseAddressList(getHeader(headers, 'Bcc')),
+    replyTo: parseAddressList(getHeader(headers, 'Reply-To')),
+    date: new Date(date).toLocaleString(),
+    internalDate: parseInt(message.internalDate, 10) || 0,
+    snippet: message.snippet || '',
+    body: splitQuotedText(text),
+    textBody: parsed.text,
+    htmlBody: parsed.html,
+    attachments: parsed.attachments.map(({ partId, filename, mimeType, size }) => ({ partId, filename, mimeType, size })),
+    inlineParts: parsed.inline,
+    labelIds: labelIds,
+    unread: labelIds.includes('UNREAD'),
+    starred: labelIds.includes('STARRED'),
+    important: labelIds.includes('IMPORTANT'),
+    sent: labelIds.includes('SENT'),
+    draft: labelIds.includes('DRAFT')
+  };
+}
+
+// Search index document for a fetched message. Without a parsed payload
+// (format=metadata) body and attachments are left out, so whatever the
+// index already holds for them is kept.
+function searchDocument(message, parsed) {
+  const headers = message.payload?.headers || [];
+
+  return {
+    id: message.id,
+    threadId: message.threadId,
+    subject: getHeader(headers, 'Subject') || '',
+    from: getHeader(headers, 'From'),
+    // Cc recipients are searched along with To
+    to: [getHeader(headers, 'To'), getHeader(headers, 'Cc')].filter(Boolean).join(', '),
+    snippet: message.snippet || '',
+    body: parsed ? parsed.text || htmlToText(parsed.html) : undefined,
+    attachments: parsed ? parsed.attachments.map(part => part.filename).filter(Boolean) : undefined,
+    labelIds: message.labelIds || [],
+    date: parseInt(message.internalDate, 10) || Date.parse(getHeader(headers, 'Date')) || null
+  };
+}
+
+// List-view fields of a message fetched with format=metadata
+function summarizeMessage(message, threadId) {
+  const headers = message.payload?.headers || [];
+  const from = getHeader(headers, 'From') || 'Unknown Sender';
+  const date = getHeader(headers, 'Date');
+
+  return {
+    id: message.id,
+    threadId: message.threadId || threadId,
+    subject: getHeader(headers, 'Subject') || 'No Subject',
+    // Clean up the from field (remove email part if present)
+    from: from.replace(/<[^>]*>/g, '').trim(),
+    to: getHeader(headers, 'To'),
+    date: new Date(date).toLocaleString(),
+    snippet: message.snippet || 'No preview available',
+    internalDate: message.internalDate,
+    labelIds: message.labelIds || []
+  };
+}
+
+module.exports = GmailService;
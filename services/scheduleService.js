@@ -0,0 +1,474 @@
+// services/scheduleService.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const GmailService = require('./gmailService');
+const tokenManager = require('../utils/tokenManager');
+const { Cipher } = require('../utils/encryption');
+const { createBackend } = require('../utils/storage');
+const { getHeader } = require('../utils/mimeParser');
+const { assertValidMessage } = require('../utils/messageValidator');
+
+const SCHEDULE_DIR = process.env.SCHEDULE_DIR || path.join(__dirname, '../data/scheduled');
+const POLL_INTERVAL_MS = parseInt(process.env.SCHEDULE_POLL_INTERVAL_MS) || 15 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.SCHEDULE_MAX_ATTEMPTS) || 5;
+const MAX_DAYS_AHEAD = parseInt(process.env.SCHEDULE_MAX_DAYS) || 365;
+// Sent, cancelled and failed jobs stay listed (and a failed one can be
+// rescheduled) this long after they finished, then they are removed
+const RETENTION_MS = (parseInt(process.env.SCHEDULE_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const FINISHED_STATUSES = ['sent', 'cancelled', 'failed'];
+// A send still marked in progress after this long was cut off by a crash or
+// restart. Waiting also gives Gmail's search time to list it if it went out.
+const STALE_SENDING_MS = parseInt(process.env.SCHEDULE_STALE_SENDING_MS) || 5 * 60 * 1000;
+// Stamped on every scheduled message next to a Message-ID of its own, which
+// is what finds the send in Sent later
+const SCHEDULE_HEADER = 'X-Scheduled-Send-Id';
+const MESSAGE_ID_HOST = 'scheduled.gmail-oauth-app';
+
+// Public view of a job record
+function describe(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    sendAt: job.sendAt,
+    timeZone: job.timeZone || null,
+    to: job.summary.to,
+    cc: job.summary.cc,
+    bcc: job.summary.bcc,
+    subject: job.summary.subject,
+    attachments: job.summary.attachments,
+    attempts: job.attempts,
+    retryAt: job.retryAt || null,
+    error: job.error || null,
+    messageId: job.messageId || null,
+    threadId: job.threadId || null,
+    sentAt: job.sentAt || null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+function requestError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Milliseconds timeZone is ahead of UTC at the instant ms
+function zoneOffset(ms, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(ms)).map(part => [part.type, part.value]));
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+// When to send, as epoch ms. sendAt is an ISO date-time; with a UTC offset
+// it is taken as is, without one it is wall-clock time in timeZone (an IANA
+// name such as America/New_York), so "9:00 for the recipient" stays 9:00
+// across daylight saving changes.
+function parseSendAt(sendAt, timeZone) {
+  if (typeof sendAt !== 'string' || !sendAt.trim()) {
+    throw requestError('sendAt is required');
+  }
+  if (timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch (error) {
+      throw requestError(`Unknown time zone: ${timeZone}`);
+    }
+  }
+
+  const value = sendAt.trim();
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(value)) {
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) throw requestError('sendAt is not a valid date-time');
+    return time;
+  }
+  if (!timeZone) {
+    throw requestError('sendAt needs a UTC offset (e.g. 2026-03-02T09:00:00-05:00) or a timeZone');
+  }
+
+  const match = value.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/);
+  if (!match) throw requestError('sendAt is not a valid date-time');
+
+  const [year, month, day, hour, minute, second] = match.slice(1).map(part => Number(part || 0));
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  // The offset at the guess may differ from the one at the answer around a
+  // daylight saving change; the second pass settles it
+  let time = wallClock - zoneOffset(wallClock, timeZone);
+  time = wallClock - zoneOffset(time, timeZone);
+  return time;
+}
+
+function checkSendTime(time) {
+  // A little slack so "now" from a client with a slow clock is accepted
+  if (time < Date.now() - 60 * 1000) {
+    throw requestError('sendAt is in the past');
+  }
+  if (time > Date.now() + MAX_DAYS_AHEAD * 24 * 60 * 60 * 1000) {
+    throw requestError(`sendAt must be within ${MAX_DAYS_AHEAD} days`);
+  }
+}
+
+// Next attempt after a failure: 1, 2, 4, 8... minutes, at most an hour
+function retryDelay(attempts) {
+  return Math.min(60 * 1000 * 2 ** (attempts - 1), 60 * 60 * 1000);
+}
+
+// A failure Gmail answered with a 4xx (other than 429) means the message was
+// rejected and will be rejected again; anything else is worth retrying
+function isPermanent(error) {
+  return !!error.fields || (error.status >= 400 && error.status < 500 && error.status !== 429);
+}
+
+const dueAt = (job) => Date.parse(job.retryAt || job.sendAt);
+const isExpired = (job, now) => FINISHED_STATUSES.includes(job.status) && Date.parse(job.updatedAt) < now - RETENTION_MS;
+
+// Scheduled sending. A job record (status, send time, recipients for
+// listing) lives in the job store; the message itself (GmailService.sendEmail
+// arguments, attachments included) is kept in data/scheduled/<id>.json until
+// it has been sent or cancelled, encrypted with the token store's cipher
+// (TOKEN_ENCRYPTION_KEY, with TOKEN_ENCRYPTION_PREVIOUS_KEYS still read).
+// Finished jobs are pruned SCHEDULE_RETENTION_DAYS after they finished; a
+// failed job keeps its content until then so it can be rescheduled.
+//
+// A worker loop sends due jobs with the user's stored tokens. Sends are
+// claimed in the store first (scheduled -> sending), so two loops, in this
+// process or another, never pick up the same job. A job still "sending"
+// after a restart may or may not have gone out: before trying again, Sent is
+// searched for the Message-ID the job assigned its message, and a match is
+// recorded as the send instead of sending a second copy.
+class ScheduleService {
+  constructor(options = {}) {
+    this.backend = options.backend ||
+      createBackend(process.env.SCHEDULE_STORE || 'json', 'scheduled_sends', {
+        filePath: process.env.SCHEDULE_STORE_PATH
+      });
+    this.dir = options.dir || SCHEDULE_DIR;
+    this.contentCipher = options.cipher || null;
+    this.pollTimer = null;
+    this.ticking = null;
+  }
+
+  // Looked up on first use, like the token store itself
+  get cipher() {
+    return this.contentCipher || tokenManager.store.cipher;
+  }
+
+  contentPath(jobId) {
+    return path.join(this.dir, `${jobId}.json`);
+  }
+
+  async writeContent(jobId, content) {
+    await fs.promises.mkdir(this.dir, { recursive: true, mode: 0o700 });
+    const file = this.contentPath(jobId);
+    const tempPath = `${file}.${process.pid}.tmp`;
+    const handle = await fs.promises.open(tempPath, 'w', 0o600);
+    try {
+      await handle.writeFile(JSON.stringify(this.cipher.encrypt(content)));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.promises.rename(tempPath, file);
+  }
+
+  async readContent(jobId) {
+    try {
+      const stored = JSON.parse(await fs.promises.readFile(this.contentPath(jobId), 'utf8'));
+      return Cipher.isEnvelope(stored) ? this.cipher.decrypt(stored) : stored;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async removeContent(jobId) {
+    await fs.promises.rm(this.contentPath(jobId), { force: true });
+  }
+
+  // Schedule a message. message: { to, subject, body, options } as for
+  // GmailService.sendEmail; it is validated now so mistakes show up here
+  // rather than at send time.
+  async create(userId, message, { sendAt, timeZone } = {}) {
+    const time = parseSendAt(sendAt, timeZone);
+    checkSendTime(time);
+
+    const { to, subject, body, options = {} } = message;
+    if (!to || !subject || (!body && !options.html)) {
+      throw requestError('Missing required fields: to, subject, body (or html)');
+    }
+    const addresses = assertValidMessage({
+      from: options.from,
+      to: to,
+      cc: options.cc,
+      bcc: options.bcc,
+      replyTo: options.replyTo,
+      subject: subject,
+      headers: options.headers,
+      attachments: options.attachments
+    });
+
+    const list = (people) => people.map(person => person.address);
+    const now = new Date().toISOString();
+    const id = crypto.randomBytes(8).toString('hex');
+    const job = {
+      id,
+      userId,
+      rfc822MessageId: `<${id}.${crypto.randomBytes(8).toString('hex')}@${MESSAGE_ID_HOST}>`,
+      status: 'scheduled',
+      sendAt: new Date(time).toISOString(),
+      timeZone: timeZone || null,
+      summary: {
+        to: list(addresses.to),
+        cc: list(addresses.cc),
+        bcc: list(addresses.bcc),
+        subject: subject,
+        attachments: (options.attachments || []).length
+      },
+      attempts: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    // Content first: a record without its content would fail when due
+    await this.writeContent(job.id, { to, subject, body, options });
+    await this.backend.set(job.id, job);
+    console.log(`⏰ Scheduled send ${job.id} for user ${userId} at ${job.sendAt}`);
+    return describe(job);
+  }
+
+  async get(jobId, userId) {
+    const job = await this.backend.get(jobId);
+    return job && job.userId === userId ? describe(job) : null;
+  }
+
+  // A user's jobs, next to send first; status narrows the list
+  async list(userId, { status } = {}) {
+    const jobs = await this.backend.entries();
+    return jobs
+      .map(([, job]) => job)
+      .filter(job => job.userId === userId && (!status || job.status === status))
+      .sort((a, b) => a.sendAt.localeCompare(b.sendAt))
+      .map(describe);
+  }
+
+  // Move a scheduled job, or retry a failed one, at a new time
+  async reschedule(jobId, userId, { sendAt, timeZone } = {}) {
+    const time = parseSendAt(sendAt, timeZone);
+    checkSendTime(time);
+
+    const job = await this.backend.update(jobId, current => {
+      if (!current || current.userId !== userId) return current || undefined;
+      if (!['scheduled', 'failed'].includes(current.status)) {
+        throw requestError(`Scheduled send is ${current.status} and cannot be rescheduled`, 409);
+      }
+      return {
+        ...current,
+        status: 'scheduled',
+        sendAt: new Date(time).toISOString(),
+        timeZone: timeZone || null,
+        attempts: 0,
+        retryAt: null,
+        error: null,
+        updatedAt: new Date().toISOString()
+      };
+    });
+    if (!job || job.userId !== userId) return null;
+
+    console.log(`⏰ Rescheduled send ${jobId} to ${job.sendAt}`);
+    return describe(job);
+  }
+
+  // Cancel a job that hasn't been sent; its content is deleted and the
+  // record kept as cancelled
+  async cancel(jobId, userId) {
+    const job = await this.backend.update(jobId, current => {
+      if (!current || current.userId !== userId) return current || undefined;
+      if (!['scheduled', 'failed'].includes(current.status)) {
+        throw requestError(`Scheduled send is ${current.status} and cannot be cancelled`, 409);
+      }
+      return { ...current, status: 'cancelled', retryAt: null, updatedAt: new Date().toISOString() };
+    });
+    if (!job || job.userId !== userId) return null;
+
+    await this.removeContent(jobId);
+    console.log(`🚫 Scheduled send ${jobId} cancelled`);
+    return describe(job);
+  }
+
+  // Cancel everything a user still has pending, e.g. when they disconnect
+  async cancelAll(userId) {
+    const pending = await this.list(userId);
+    let cancelled = 0;
+    for (const job of pending.filter(job => ['scheduled', 'failed'].includes(job.status))) {
+      if (await this.cancel(job.id, userId)) cancelled++;
+    }
+    return cancelled;
+  }
+
+  // Send whatever is due now, oldest first. A tick already running is joined.
+  tick() {
+    if (!this.ticking) {
+      this.ticking = this.sendDue().finally(() => {
+        this.ticking = null;
+      });
+    }
+    return this.ticking;
+  }
+
+  async sendDue() {
+    const now = Date.now();
+    const jobs = (await this.backend.entries()).map(([, job]) => job);
+    const due = jobs
+      .filter(job => (job.status === 'scheduled' && dueAt(job) <= now) ||
+        (job.status === 'sending' && Date.parse(job.lastAttemptAt) < now - STALE_SENDING_MS))
+      .sort((a, b) => dueAt(a) - dueAt(b));
+
+    let sent = 0;
+    for (const job of due) {
+      if (await this.process(job.id)) sent++;
+    }
+
+    if (jobs.some(job => isExpired(job, now))) {
+      await this.prune();
+    }
+    return sent;
+  }
+
+  // Remove finished jobs past the retention window, with any content a failed
+  // one still had. Returns how many were removed.
+  async prune() {
+    const now = Date.now();
+    const removed = await this.backend.transaction(view => view.keys().filter(jobId => {
+      if (!isExpired(view.get(jobId), now)) return false;
+      view.delete(jobId);
+      return true;
+    }));
+
+    for (const jobId of removed) {
+      await this.removeContent(jobId);
+    }
+    if (removed.length > 0) console.log(`🧹 Removed ${removed.length} finished scheduled sends`);
+    return removed.length;
+  }
+
+  // Claim a due job and send it. Returns whether it was sent.
+  async process(jobId) {
+    const claimedAt = new Date().toISOString();
+    const claimId = crypto.randomBytes(8).toString('hex');
+    const job = await this.backend.update(jobId, current => {
+      if (!current) return undefined;
+      const now = Date.now();
+      const ready = (current.status === 'scheduled' && dueAt(current) <= now) ||
+        (current.status === 'sending' && Date.parse(current.lastAttemptAt) < now - STALE_SENDING_MS);
+      if (!ready) return current;
+
+      return {
+        ...current,
+        status: 'sending',
+        attempts: current.attempts + 1,
+        firstAttemptAt: current.firstAttemptAt || claimedAt,
+        lastAttemptAt: claimedAt,
+        claimId: claimId,
+        updatedAt: claimedAt
+      };
+    });
+    // Someone else claimed, cancelled or rescheduled it first
+    if (!job || job.status !== 'sending' || job.claimId !== claimId) return false;
+
+    try {
+      const content = await this.readContent(jobId);
+      if (!content) {
+        throw requestError('The scheduled message content is missing');
+      }
+
+      const gmailService = await GmailService.forUser(job.userId);
+      // An earlier attempt may have gone out before it could be recorded
+      const previous = job.firstAttemptAt !== claimedAt ? await this.findSent(gmailService, job) : null;
+      const headers = Object.fromEntries(Object.entries(content.options.headers || {})
+        .filter(([name]) => name.toLowerCase() !== 'message-id'));
+      const result = previous || await gmailService.sendEmail(content.to, content.subject, content.body, {
+        ...content.options,
+        headers: { ...headers, 'Message-ID': job.rfc822MessageId, [SCHEDULE_HEADER]: job.id }
+      });
+
+      await this.save(jobId, {
+        status: 'sent',
+        messageId: result.id,
+        threadId: result.threadId,
+        sentAt: new Date().toISOString(),
+        retryAt: null,
+        error: null
+      });
+      await this.removeContent(jobId);
+      console.log(`📤 Scheduled send ${jobId} ${previous ? 'was already sent' : 'sent'} as message ${result.id}`);
+      return true;
+    } catch (error) {
+      const retry = !isPermanent(error) && job.attempts < MAX_ATTEMPTS;
+      console.error(`❌ Scheduled send ${jobId} failed (attempt ${job.attempts}${retry ? ', will retry' : ''}):`, error.message);
+
+      await this.save(jobId, retry
+        ? { status: 'scheduled', retryAt: new Date(Date.now() + retryDelay(job.attempts)).toISOString(), error: error.message }
+        : { status: 'failed', retryAt: null, error: error.message });
+      return false;
+    }
+  }
+
+  // The message a job's earlier attempt sent, looked up in Sent by the
+  // Message-ID the job assigned it; null when it isn't there
+  async findSent(gmailService, job) {
+    const page = await gmailService.listMessageIds({
+      maxResults: 10,
+      labelIds: ['SENT'],
+      q: `rfc822msgid:${job.rfc822MessageId.slice(1, -1)}`,
+      includeSpamTrash: true
+    });
+    if (page.ids.length === 0) return null;
+
+    const results = await gmailService.fetcher.getMessages(page.ids, {
+      format: 'metadata',
+      metadataHeaders: [SCHEDULE_HEADER]
+    });
+    const match = results.find(result => !result.error &&
+      getHeader(result.data.payload?.headers, SCHEDULE_HEADER) === job.id);
+    return match ? { id: match.data.id, threadId: match.data.threadId } : null;
+  }
+
+  // Send due jobs now and then every POLL_INTERVAL_MS
+  start() {
+    if (this.pollTimer) return;
+
+    const poll = () => this.tick().catch(error => {
+      console.error('Scheduled send error:', error.message);
+    });
+    poll();
+    this.pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+    this.pollTimer.unref();
+  }
+
+  stop() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  async save(jobId, changes) {
+    return this.backend.update(jobId, job => {
+      if (!job) throw new Error('Scheduled send no longer exists');
+      return { ...job, ...changes, updatedAt: new Date().toISOString() };
+    });
+  }
+}
+
+module.exports = new ScheduleService();
+module.exports.ScheduleService = ScheduleService;
+module.exports.parseSendAt = parseSendAt;
@@ -0,0 +1,192 @@
+// services/syncService.js
+const GmailService = require('./gmailService');
+const mailCache = require('../utils/mailCache');
+const searchIndex = require('../utils/searchIndex');
+
+// A full sync caches at most this many of the newest messages. A larger
+// mailbox is cached as far as it goes but never marked complete, so listings
+// keep going to Gmail.
+const MAX_MESSAGES = parseInt(process.env.SYNC_MAX_MESSAGES) || 5000;
+const CHUNK_SIZE = 100;
+
+// Keeps each user's MailCache in step with their mailbox: a full sync the
+// first time, then users.history.list deltas from the stored historyId. When
+// Gmail no longer has history that old (404), it starts over with a full sync.
+// Fetched summaries reach the search index through GmailService; deletions
+// and label changes are passed on to it here.
+class SyncService {
+  constructor() {
+    this.inFlight = new Map();
+  }
+
+  // Bring the cache up to date. Concurrent calls for a user share one run.
+  async sync(userId, options = {}) {
+    if (this.inFlight.has(userId)) {
+      return this.inFlight.get(userId);
+    }
+
+    const run = this.runSync(userId, options)
+      .finally(() => this.inFlight.delete(userId));
+    this.inFlight.set(userId, run);
+    return run;
+  }
+
+  // Called before serving from the cache. Waits for an incremental sync
+  // (usually one history call) only when the cache can answer: one that
+  // doesn't hold the whole mailbox is never listed from, so it and a first
+  // full sync are brought up to date in the background instead.
+  async refresh(userId) {
+    const state = await mailCache.getState(userId);
+    if (state && await mailCache.isFresh(userId)) {
+      return state;
+    }
+
+    if (state && state.historyId && state.complete) {
+      try {
+        return await this.sync(userId);
+      } catch (error) {
+        console.error(`Sync failed for user ${userId}:`, error.message);
+        return state;
+      }
+    }
+
+    this.sync(userId).catch(error => {
+      console.error(`Background sync failed for user ${userId}:`, error.message);
+    });
+    return state;
+  }
+
+  async status(userId) {
+    const state = await mailCache.getState(userId);
+    return {
+      synced: !!state,
+      syncing: this.inFlight.has(userId),
+      fresh: await mailCache.isFresh(userId),
+      ...(state || {})
+    };
+  }
+
+  // Drop a user's cache and search index, e.g. when they disconnect
+  async clear(userId) {
+    await searchIndex.clear(userId);
+    return mailCache.clear(userId);
+  }
+
+  async runSync(userId, { full = false, gmailService } = {}) {
+    const service = gmailService || await GmailService.forUser(userId);
+    const state = await mailCache.getState(userId);
+
+    if (full || !state || !state.historyId) {
+      return this.fullSync(userId, service);
+    }
+
+    try {
+      return await this.incrementalSync(userId, service, state);
+    } catch (error) {
+      if (error.status === 404) {
+        console.log(`🔄 History ${state.historyId} expired for user ${userId}, running a full sync`);
+        return this.fullSync(userId, service);
+      }
+      throw error;
+    }
+  }
+
+  async fullSync(userId, service) {
+    const startedAt = Date.now();
+    // Taken before listing, so changes made while we list are replayed next time
+    const profile = await service.getProfile();
+
+    const ids = [];
+    let pageToken;
+    do {
+      const page = await service.listMessageIds({ maxResults: 500, pageToken });
+      ids.push(...page.ids);
+      pageToken = page.nextPageToken;
+    } while (pageToken && ids.length < MAX_MESSAGES);
+
+    const messages = [];
+    for (let start = 0; start < Math.min(ids.length, MAX_MESSAGES); start += CHUNK_SIZE) {
+      const summaries = await service.getMessageSummaries(ids.slice(start, start + CHUNK_SIZE));
+      messages.push(...summaries.filter(summary => !summary.error));
+    }
+
+    const state = {
+      historyId: profile.historyId,
+      syncedAt: new Date().toISOString(),
+      lastFullSyncAt: new Date().toISOString(),
+      complete: !pageToken && ids.length <= MAX_MESSAGES
+    };
+    await mailCache.replaceAll(userId, messages, state);
+    if (state.complete) {
+      await searchIndex.prune(userId, ids);
+    }
+
+    console.log(`✅ Full sync for user ${userId}: ${messages.length} messages in ${Date.now() - startedAt}ms`);
+    return mailCache.getState(userId);
+  }
+
+  async incrementalSync(userId, service, state) {
+    // Latest known state per message: deleted, or its current labelIds
+    const changes = new Map();
+    let historyId = state.historyId;
+    let pageToken;
+
+    do {
+      const page = await service.listHistory({ startHistoryId: state.historyId, pageToken });
+      for (const record of page.history) {
+        for (const { message } of record.messagesAdded || []) {
+          changes.set(message.id, { deleted: false, labelIds: message.labelIds || [] });
+        }
+        for (const { message } of record.messagesDeleted || []) {
+          changes.set(message.id, { deleted: true });
+        }
+        for (const { message } of [...(record.labelsAdded || []), ...(record.labelsRemoved || [])]) {
+          if (changes.get(message.id)?.deleted) continue;
+          changes.set(message.id, { deleted: false, labelIds: message.labelIds || [] });
+        }
+      }
+      historyId = page.historyId || historyId;
+      pageToken = page.nextPageToken;
+    } while (pageToken);
+
+    const deletes = [];
+    const labelChanges = new Map();
+    const toFetch = [];
+    const cached = await mailCache.getMessages(userId, [...changes.keys()]);
+
+    [...changes.entries()].forEach(([id, change], index) => {
+      if (change.deleted) {
+        deletes.push(id);
+      } else if (cached[index]) {
+        labelChanges.set(id, change.labelIds);
+      } else {
+        toFetch.push(id);
+      }
+    });
+
+    // New to us (added, or moved out of spam/trash): fetch their summaries.
+    // A message deleted since the history was written just fails to fetch.
+    const upserts = [];
+    for (let start = 0; start < toFetch.length; start += CHUNK_SIZE) {
+      const summaries = await service.getMessageSummaries(toFetch.slice(start, start + CHUNK_SIZE));
+      upserts.push(...summaries.filter(summary => !summary.error));
+    }
+
+    const nextState = {
+      ...state,
+      historyId: historyId,
+      syncedAt: new Date().toISOString()
+    };
+    await mailCache.applyChanges(userId, { upserts, deletes, labelChanges, state: nextState });
+    await searchIndex.remove(userId, deletes);
+    await searchIndex.updateLabels(userId, labelChanges);
+
+    if (changes.size > 0) {
+      console.log(`🔄 Synced user ${userId}: ${upserts.length} added, ${deletes.length} deleted, ${labelChanges.size} relabelled`);
+    }
+    return mailCache.getState(userId);
+  }
+}
+
+module.exports = new SyncService();
+module.exports.SyncService = SyncService;
@@ -0,0 +1,218 @@
+// services/watchService.js
+const GmailService = require('./gmailService');
+const syncService = require('./syncService');
+const mailCache = require('../utils/mailCache');
+const tokenManager = require('../utils/tokenManager');
+const { createBackend } = require('../utils/storage');
+
+const TOPIC = process.env.GMAIL_PUBSUB_TOPIC || null;
+// Watches last 7 days; renew any that expire within a day
+const RENEW_BEFORE_MS = parseInt(process.env.WATCH_RENEW_BEFORE_MS) || 24 * 60 * 60 * 1000;
+const RENEW_INTERVAL_MS = parseInt(process.env.WATCH_RENEW_INTERVAL_MS) || 60 * 60 * 1000;
+// Syncs a notification may run when they keep ending short of its historyId
+const SYNC_ATTEMPTS = 2;
+
+// Watch records are keyed by userId, next to an "email:<address>" record
+// holding the userId for each watched address
+function emailKey(emailAddress) {
+  return `email:${emailAddress.toLowerCase()}`;
+}
+
+// Public view of a watch record
+function describe(watch) {
+  return {
+    emailAddress: watch.emailAddress,
+    topicName: watch.topicName,
+    historyId: watch.historyId,
+    expiration: watch.expiration ? new Date(watch.expiration).toISOString() : null,
+    renewedAt: watch.renewedAt,
+    lastNotification: watch.lastNotification || null
+  };
+}
+
+// Gmail push notifications. Each connected user's mailbox is watched
+// (users.watch) on GMAIL_PUBSUB_TOPIC and the watch is renewed before its
+// 7-day expiry. Gmail then publishes { emailAddress, historyId } whenever the
+// mailbox changes; handleNotification maps the address back to the user and
+// starts an incremental sync in the background, which fetches the changed
+// messages into the mail cache and search index.
+class WatchService {
+  constructor(options = {}) {
+    this.backend = options.backend ||
+      createBackend(process.env.WATCH_STORE || 'json', 'watches', {
+        filePath: process.env.WATCH_STORE_PATH
+      });
+    this.topicName = options.topicName !== undefined ? options.topicName : TOPIC;
+    this.renewTimer = null;
+    // userId -> { historyId, done } for the background sync under way
+    this.syncs = new Map();
+  }
+
+  isEnabled() {
+    return !!this.topicName;
+  }
+
+  async get(userId) {
+    const watch = await this.backend.get(userId);
+    return watch ? describe(watch) : null;
+  }
+
+  // Register (or renew) the watch on a user's mailbox
+  async watch(userId, { gmailService } = {}) {
+    if (!this.isEnabled()) {
+      throw new Error('Push notifications are not configured (set GMAIL_PUBSUB_TOPIC)');
+    }
+
+    const service = gmailService || await GmailService.forUser(userId);
+    const profile = await service.getProfile();
+    const result = await service.watch({ topicName: this.topicName });
+
+    const watch = await this.backend.transaction(view => {
+      const existing = view.get(userId);
+      const updated = {
+        ...(existing || {}),
+        userId,
+        emailAddress: profile.emailAddress.toLowerCase(),
+        topicName: this.topicName,
+        historyId: result.historyId,
+        expiration: result.expiration,
+        renewedAt: new Date().toISOString()
+      };
+      if (existing && existing.emailAddress !== updated.emailAddress) {
+        view.delete(emailKey(existing.emailAddress));
+      }
+      view.set(userId, updated);
+      view.set(emailKey(updated.emailAddress), userId);
+      return updated;
+    });
+
+    console.log(`👀 Watching mailbox of user ${userId} until ${new Date(watch.expiration).toISOString()}`);
+    return describe(watch);
+  }
+
+  // Stop the watch and forget it, e.g. when the user disconnects. Returns
+  // whether there was a watch to stop.
+  async stop(userId, { gmailService } = {}) {
+    const watch = await this.backend.get(userId);
+    if (!watch) return false;
+
+    try {
+      const service = gmailService || await GmailService.forUser(userId);
+      await service.stopWatch();
+    } finally {
+      await this.backend.transaction(view => {
+        view.delete(userId);
+        if (view.get(emailKey(watch.emailAddress)) === userId) view.delete(emailKey(watch.emailAddress));
+      });
+    }
+    console.log(`🔕 Stopped watching mailbox of user ${userId}`);
+    return true;
+  }
+
+  // Watch every connected user whose watch is missing or about to expire
+  async renewDue() {
+    const watches = new Map(await this.backend.entries());
+    const users = await tokenManager.listUsers();
+    let renewed = 0;
+
+    for (const { userId, hasRefreshToken } of users) {
+      const watch = watches.get(userId);
+      if (watch && watch.expiration - Date.now() > RENEW_BEFORE_MS) continue;
+      // Without a refresh token we can't act for the user in the background
+      if (!hasRefreshToken) continue;
+
+      try {
+        await this.watch(userId);
+        renewed++;
+      } catch (error) {
+        console.error(`❌ Failed to watch mailbox of user ${userId}:`, error.message);
+      }
+    }
+    return renewed;
+  }
+
+  // Renew watches now and then periodically
+  start() {
+    if (!this.isEnabled()) {
+      console.log('🔕 Push notifications disabled (GMAIL_PUBSUB_TOPIC not set)');
+      return;
+    }
+    if (this.renewTimer) return;
+
+    const renew = () => this.renewDue().catch(error => {
+      console.error('Watch renewal error:', error.message);
+    });
+    renew();
+    this.renewTimer = setInterval(renew, RENEW_INTERVAL_MS);
+    this.renewTimer.unref();
+  }
+
+  stopRenewal() {
+    clearInterval(this.renewTimer);
+    this.renewTimer = null;
+  }
+
+  // Handle a decoded push ({ emailAddress, historyId }). Resolves as soon as
+  // the notification is recorded, to what was done, for logging: 'unknown' for
+  // mailboxes we don't watch, 'stale' when the cache is already at or past
+  // historyId, otherwise 'queued' with the sync left running in the background.
+  async handleNotification({ emailAddress, historyId }) {
+    const userId = await this.backend.get(emailKey(emailAddress));
+    if (!userId) {
+      return { status: 'unknown', emailAddress };
+    }
+
+    await this.backend.update(userId, watch => (watch ? {
+      ...watch,
+      lastNotification: { historyId, receivedAt: new Date().toISOString() }
+    } : undefined));
+
+    // Pub/Sub delivers at least once and not necessarily in order
+    const state = await mailCache.getState(userId);
+    if (state && state.historyId && BigInt(state.historyId) >= BigInt(historyId)) {
+      return { status: 'stale', userId, historyId };
+    }
+
+    this.queueSync(userId, historyId);
+    return { status: 'queued', userId, historyId };
+  }
+
+  // Sync a user's mailbox up to historyId in the background. Pushes that
+  // arrive while a sync is under way only raise its target, so a burst of
+  // changes costs one or two syncs rather than one per push.
+  queueSync(userId, historyId) {
+    const running = this.syncs.get(userId);
+    if (running) {
+      if (BigInt(historyId) > BigInt(running.historyId)) running.historyId = historyId;
+      return running.done;
+    }
+
+    const job = { historyId };
+    this.syncs.set(userId, job);
+    job.done = this.runSync(userId, job).finally(() => this.syncs.delete(userId));
+    return job.done;
+  }
+
+  async runSync(userId, job) {
+    let target = null;
+    let attempts = 0;
+    let synced = null;
+    try {
+      // A sync already under way may have read history before this change;
+      // joining it isn't enough, so sync again while it ends short of the target
+      do {
+        if (job.historyId !== target) {
+          target = job.historyId;
+          attempts = 0;
+        }
+        synced = await syncService.sync(userId);
+      } while (synced && BigInt(synced.historyId) < BigInt(job.historyId) && ++attempts < SYNC_ATTEMPTS);
+    } catch (error) {
+      console.error(`❌ Push sync failed for user ${userId}:`, error.message);
+    }
+    return synced;
+  }
+}
+
+module.exports = new WatchService();
+module.exports.WatchService = WatchService;
@@ -6,6 +6,10 @@ console.log('GOOGLE_CLIENT_ID:', process.env.GOOGLE_CLIENT_ID ? '✅ Set' : '❌
 console.log('GOOGLE_CLIENT_SECRET:', process.env.GOOGLE_CLIENT_SECRET ? '✅ Set' : '❌ Missing');
 console.log('GOOGLE_REDIRECT_URI:', process.env.GOOGLE_REDIRECT_URI || 'http://localhost:3000/api/auth/callback');
 console.log('PORT:', process.env.PORT || 3000);
+console.log('TOKEN_ENCRYPTION_KEY:', process.env.TOKEN_ENCRYPTION_KEY ? '✅ Set' : '❌ Missing');
+console.log('TOKEN_STORE:', process.env.TOKEN_STORE || 'json');
+console.log('Workspace delegation:', process.env.GOOGLE_SERVICE_ACCOUNT_KEY_FILE || process.env.GOOGLE_SERVICE_ACCOUNT_KEY ? '✅ Service account set' : '➖ Not configured');
+console.log('GMAIL_FETCH_MODE:', process.env.GMAIL_FETCH_MODE || 'concurrent', `(concurrency ${process.env.GMAIL_FETCH_CONCURRENCY || 10})`);
 
 // Check if credentials are valid (not empty)
 if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
@@ -0,0 +1,93 @@
+// test/attachments.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { PassThrough, Writable } = require('stream');
+const GmailService = require('../services/gmailService');
+const { streamZip } = require('../utils/attachments');
+
+const b64 = (text) => Buffer.from(text).toString('base64url');
+
+const message = {
+  id: 'm1',
+  payload: {
+    mimeType: 'multipart/mixed',
+    headers: [],
+    parts: [
+      { partId: '0', mimeType: 'text/plain', headers: [], body: { data: b64('Hello') } },
+      {
+        partId: '1',
+        mimeType: 'application/pdf',
+        filename: 'report.pdf',
+        headers: [{ name: 'Content-Disposition', value: 'attachment; filename="report.pdf"' }],
+        body: { attachmentId: 'A1', size: 3 }
+      },
+      {
+        partId: '2',
+        mimeType: 'text/csv',
+        filename: 'data.csv',
+        headers: [{ name: 'Content-Disposition', value: 'attachment; filename="data.csv"' }],
+        body: { data: b64('1,2'), size: 3 }
+      }
+    ]
+  }
+};
+
+// A GmailService whose API calls are answered locally and counted
+function fakeGmailService() {
+  const calls = { messages: 0, attachments: 0 };
+  const service = Object.create(GmailService.prototype);
+  service.gmail = {
+    users: {
+      messages: {
+        get: async () => {
+          calls.messages++;
+          return { data: message };
+        },
+        attachments: {
+          get: async () => {
+            calls.attachments++;
+            return { data: { data: b64('pdf') } };
+          }
+        }
+      }
+    }
+  };
+  return { service, calls };
+}
+
+function fakeResponse() {
+  const res = new PassThrough();
+  res.set = () => res;
+  return res;
+}
+
+test('zips every attachment from a single fetch of the message', async () => {
+  const { service, calls } = fakeGmailService();
+  const res = fakeResponse();
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  const ended = new Promise(resolve => res.on('end', resolve));
+
+  assert.strictEqual(await streamZip(res, service, 'm1'), true);
+  await ended;
+
+  const zip = Buffer.concat(chunks).toString('latin1');
+  assert.ok(zip.includes('report.pdf') && zip.includes('data.csv'));
+  assert.deepStrictEqual(calls, { messages: 1, attachments: 1 });
+});
+
+test('gives up when the client disconnects mid-download', { timeout: 10000 }, async () => {
+  const { service } = fakeGmailService();
+  const res = new Writable({ highWaterMark: 1024, write() {} });
+  res.set = () => res;
+
+  // The client goes away while an attachment is being fetched
+  const fetchAttachment = service.gmail.users.messages.attachments.get;
+  service.gmail.users.messages.attachments.get = async (params) => {
+    res.destroy();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    return fetchAttachment(params);
+  };
+
+  await assert.rejects(streamZip(res, service, 'm1'), /Client closed the connection/);
+});
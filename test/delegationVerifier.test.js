@@ -0,0 +1,85 @@
+// test/delegationVerifier.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { google } = require('googleapis');
+const workspaceDelegation = require('../config/workspaceDelegation');
+const { DelegationVerifier } = require('../services/delegationVerifier');
+
+// Fake Workspace: getClient hands out an auth object per access level, and
+// google.gmail answers getProfile and the delegate lookup
+function fakeWorkspace(t, { tokenError, profileError, delegateStatus = 'accepted' } = {}) {
+  const calls = { tokens: [], profiles: [], delegates: [] };
+
+  t.mock.method(workspaceDelegation, 'getClient', (subject, access) => ({
+    access,
+    getAccessToken: async () => {
+      calls.tokens.push(access);
+      if (tokenError) throw tokenError;
+      return { token: 'token' };
+    }
+  }));
+  t.mock.method(google, 'gmail', ({ auth }) => ({
+    users: {
+      getProfile: async () => {
+        calls.profiles.push(auth.access);
+        if (profileError) throw profileError;
+        return { data: { emailAddress: 'shared@example.com' } };
+      },
+      settings: {
+        delegates: {
+          get: async ({ delegateEmail }) => {
+            calls.delegates.push(delegateEmail);
+            return { data: { verificationStatus: delegateStatus } };
+          }
+        }
+      }
+    }
+  }));
+  return calls;
+}
+
+test('probes send access with a token instead of getProfile', async (t) => {
+  const calls = fakeWorkspace(t, { profileError: Object.assign(new Error('Insufficient Permission'), { code: 403 }) });
+  const probe = await new DelegationVerifier().probeMailbox('shared@example.com', 'send');
+
+  assert.deepStrictEqual(probe, { reachable: true, emailAddress: 'shared@example.com' });
+  assert.deepStrictEqual(calls.tokens, ['send']);
+  assert.deepStrictEqual(calls.profiles, []);
+});
+
+test('grants send access to an accepted delegate', async (t) => {
+  const calls = fakeWorkspace(t);
+  const result = await new DelegationVerifier().verify('me@example.com', 'shared@example.com', { access: 'send' });
+
+  assert.strictEqual(result.hasAccess, true);
+  assert.strictEqual(result.reason, 'gmail_delegate');
+  assert.deepStrictEqual(calls.delegates, ['me@example.com']);
+});
+
+test('reports an undelegated send scope', async (t) => {
+  const tokenError = Object.assign(new Error('unauthorized_client'), {
+    response: { status: 401, data: { error: 'unauthorized_client' } }
+  });
+  fakeWorkspace(t, { tokenError });
+  const result = await new DelegationVerifier().verify('me@example.com', 'shared@example.com', { access: 'send' });
+
+  assert.strictEqual(result.hasAccess, false);
+  assert.strictEqual(result.reason, 'scope_not_delegated');
+});
+
+test('probes read access with getProfile', async (t) => {
+  const calls = fakeWorkspace(t);
+  const probe = await new DelegationVerifier().probeMailbox('shared@example.com', 'read');
+
+  assert.strictEqual(probe.reachable, true);
+  assert.deepStrictEqual(calls.profiles, ['read']);
+  assert.deepStrictEqual(calls.tokens, []);
+});
+
+test('denies a user who is not an accepted delegate', async (t) => {
+  fakeWorkspace(t, { delegateStatus: 'pending' });
+  const result = await new DelegationVerifier().verify('me@example.com', 'shared@example.com', { access: 'read' });
+
+  assert.strictEqual(result.hasAccess, false);
+  assert.strictEqual(result.reason, 'not_a_delegate');
+});
@@ -0,0 +1,65 @@
+// test/htmlSanitizer.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { sanitizeEmailHtml } = require('../utils/htmlSanitizer');
+
+const styleOf = (css) => {
+  const { html } = sanitizeEmailHtml(`<html><head><style>${css}</style></head><body><p>Hi</p></body></html>`);
+  const match = html.match(/<style>([\s\S]*)<\/style>/);
+  return match ? match[1] : '';
+};
+
+test('prefixes selectors with the scope and maps html/body to it', () => {
+  const css = styleOf('p { color: red } body { margin: 0 } html > body .x { color: blue }');
+  assert.match(css, /\.email-html p\s*\{/);
+  assert.match(css, /\.email-html\s*\{\s*margin: 0/);
+  assert.match(css, /\.email-html \.email-html__x\s*\{/);
+});
+
+test('drops selectors that start with a combinator', () => {
+  const css = styleOf('~ * { display: none } + div { color: red } > p { color: blue }');
+  assert.doesNotMatch(css, /display: none/);
+  assert.doesNotMatch(css, /color: red/);
+  assert.doesNotMatch(css, /color: blue/);
+});
+
+test('drops sibling combinators on the scope itself', () => {
+  const css = styleOf('body ~ * { display: none } html + div { color: red } body.x ~ div, body[x="a b"] + p { color: green }');
+  assert.doesNotMatch(css, /\.email-html[^\s{,]*\s*[~+]/);
+  assert.doesNotMatch(css, /display: none|color: red|color: green/);
+});
+
+test('keeps sibling combinators between elements inside the email', () => {
+  const css = styleOf('p + p { margin-top: 0 } h1 ~ div { color: gray }');
+  assert.match(css, /\.email-html p \+ p/);
+  assert.match(css, /\.email-html h1 ~ div/);
+});
+
+test('keeps the safe selectors of a mixed selector list', () => {
+  const css = styleOf('~ *, .note { font-weight: bold }');
+  assert.match(css, /\.email-html \.email-html__note\s*\{\s*font-weight: bold/);
+  assert.doesNotMatch(css, /\.email-html ~/);
+});
+
+test('drops remote URLs given to image-set() as strings', () => {
+  const css = styleOf('p { background-image: image-set("https://t.example/p.gif" 1x) } ' +
+    'div { background-image: -webkit-image-set(\'//t.example/p.gif\' 1x, "https://t.example/p2.gif" 2x) } ' +
+    'span { color: red }');
+  assert.doesNotMatch(css, /t\.example/);
+  assert.match(css, /span\s*\{\s*color: red/);
+
+  const { html, remoteImagesBlocked } = sanitizeEmailHtml('<p style="background: image-set(&quot;https://t.example/p.gif&quot; 1x); color: red">Hi</p>');
+  assert.doesNotMatch(html, /t\.example/);
+  assert.match(html, /style="color: ?red"/);
+  assert.strictEqual(remoteImagesBlocked, 1);
+});
+
+test('prefixes class names in the markup and the stylesheet alike', () => {
+  const { html } = sanitizeEmailHtml('<style>.unread, p.note:not(.x), a[href$=".pdf"] { color: red }</style>' +
+    '<p class="unread  note">Hi</p>');
+  assert.match(html, /<p class="email-html__unread email-html__note">/);
+  assert.match(html, /\.email-html \.email-html__unread/);
+  assert.match(html, /\.email-html p\.email-html__note:not\(\.email-html__x\)/);
+  assert.match(html, /a\[href\$="\.pdf"\]/);
+  assert.doesNotMatch(html, /class="unread/);
+});
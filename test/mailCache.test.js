@@ -0,0 +1,79 @@
+// test/mailCache.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GmailService = require('../services/gmailService');
+const mailCache = require('../utils/mailCache');
+const { MailCache } = mailCache;
+const { MemoryBackend, createUserBackends } = require('../utils/storage');
+
+const summary = (id, labelIds, internalDate) => ({ id, threadId: id, labelIds, internalDate: String(internalDate) });
+
+async function filledCache(cache, userId = 'u1') {
+  await cache.replaceAll(userId, [
+    summary('a', ['INBOX', 'UNREAD'], 3),
+    summary('b', ['INBOX'], 2),
+    summary('c', ['SENT'], 1),
+    summary('d', ['INBOX', 'TRASH'], 4)
+  ], { historyId: '10', syncedAt: new Date().toISOString(), complete: true });
+  return cache;
+}
+
+test('lists a label newest first, in pages', async () => {
+  const cache = await filledCache(new MailCache({ backend: new MemoryBackend() }));
+
+  const first = await cache.listPage('u1', { labelIds: ['INBOX'], maxResults: 1 });
+  assert.deepStrictEqual(first.emails.map(email => email.id), ['a']);
+  assert.strictEqual(first.resultSizeEstimate, 2);
+  assert.ok(cache.isCacheToken(first.nextPageToken));
+
+  const second = await cache.listPage('u1', { labelIds: ['INBOX'], maxResults: 1, pageToken: first.nextPageToken });
+  assert.deepStrictEqual(second.emails.map(email => email.id), ['b']);
+  assert.strictEqual(second.nextPageToken, null);
+});
+
+test('only answers listings the full sync covers', () => {
+  assert.strictEqual(mailCache.canAnswer({ labelIds: ['INBOX'] }), true);
+  assert.strictEqual(mailCache.canAnswer({ labelIds: [] }), true);
+  assert.strictEqual(mailCache.canAnswer({ labelIds: ['SPAM'] }), false);
+  assert.strictEqual(mailCache.canAnswer({ labelIds: ['INBOX', 'TRASH'] }), false);
+  assert.strictEqual(mailCache.canAnswer({ labelIds: ['INBOX'], q: 'from:me' }), false);
+  assert.strictEqual(mailCache.canAnswer({ labelIds: ['INBOX'], includeSpamTrash: true }), false);
+});
+
+test('lists Spam and Trash from Gmail even when the cache is complete', async (t) => {
+  t.mock.method(mailCache, 'isFresh', async () => true);
+  const listPage = t.mock.method(mailCache, 'listPage', async () => ({ emails: [] }));
+
+  const service = Object.create(GmailService.prototype);
+  service.userId = 'u1';
+  const list = t.mock.fn(async () => ({ data: { messages: [], resultSizeEstimate: 0 } }));
+  service.gmail = { users: { messages: { list } } };
+  service.getMessageSummaries = async () => [];
+
+  const inbox = await service.listEmailPage({ labelIds: ['INBOX'] });
+  const trash = await service.listEmailPage({ labelIds: ['TRASH'] });
+
+  assert.strictEqual(inbox.source, 'cache');
+  assert.strictEqual(trash.source, 'gmail');
+  assert.strictEqual(listPage.mock.callCount(), 1);
+  assert.deepStrictEqual(list.mock.calls[0].arguments[0].labelIds, ['TRASH']);
+});
+
+test('keeps each user in a file of their own with the JSON store', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-cache-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const backends = createUserBackends('json', 'mail_cache', { dir });
+  const cache = new MailCache();
+  cache.backendFor = backends;
+  await filledCache(cache, 'u1');
+  await filledCache(cache, 'u10');
+
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['u1.json', 'u10.json']);
+  assert.strictEqual(await cache.clear('u1'), 5);
+  assert.deepStrictEqual(await cache.messageIds('u1'), []);
+  assert.strictEqual((await cache.messageIds('u10')).length, 4);
+});
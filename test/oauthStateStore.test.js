@@ -0,0 +1,65 @@
+// test/oauthStateStore.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { MemoryBackend } = require('../utils/storage');
+const { OAuthStateStore } = require('../utils/oauthStateStore');
+
+function newStore(options = {}) {
+  return new OAuthStateStore({ backend: new MemoryBackend(), ...options });
+}
+
+test('hands back the PKCE verifier and data for the client that started the request', async () => {
+  const store = newStore();
+  const request = await store.create('browser-a', { apiKeyName: 'cli' });
+  const result = await store.consume(request.state, 'browser-a');
+
+  const challenge = crypto.createHash('sha256').update(result.codeVerifier).digest('base64url');
+  assert.strictEqual(request.codeChallengeMethod, 'S256');
+  assert.strictEqual(request.codeChallenge, challenge);
+  assert.deepStrictEqual(result.data, { apiKeyName: 'cli' });
+});
+
+test('accepts a state only once', async () => {
+  const store = newStore();
+  const { state } = await store.create('browser-a');
+  await store.consume(state, 'browser-a');
+
+  await assert.rejects(store.consume(state, 'browser-a'), { code: 'invalid_state' });
+});
+
+test('rejects a state presented by a different client and burns it', async () => {
+  const store = newStore();
+  const { state } = await store.create('browser-a');
+
+  await assert.rejects(store.consume(state, 'browser-b'), { code: 'state_mismatch' });
+  await assert.rejects(store.consume(state, 'browser-a'), { code: 'invalid_state' });
+});
+
+test('rejects a state without a binding cookie', async () => {
+  const store = newStore();
+  const { state } = await store.create('browser-a');
+
+  await assert.rejects(store.consume(state, undefined), { code: 'state_mismatch' });
+});
+
+test('rejects an expired state', async (t) => {
+  const store = newStore({ ttlMs: 1000 });
+  const { state } = await store.create('browser-a');
+
+  const later = Date.now() + 2000;
+  t.mock.method(Date, 'now', () => later);
+  await assert.rejects(store.consume(state, 'browser-a'), { code: 'expired_state' });
+});
+
+test('prunes requests that were never completed', async (t) => {
+  const store = newStore({ ttlMs: 1000 });
+  await store.create('browser-a');
+  await store.create('browser-b');
+  assert.strictEqual((await store.backend.entries()).length, 2);
+
+  const later = Date.now() + 2000;
+  t.mock.method(Date, 'now', () => later);
+  await store.prune();
+  assert.strictEqual((await store.backend.entries()).length, 0);
+});
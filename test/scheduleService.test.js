@@ -0,0 +1,127 @@
+// test/scheduleService.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GmailService = require('../services/gmailService');
+const { ScheduleService, parseSendAt } = require('../services/scheduleService');
+const { MemoryBackend } = require('../utils/storage');
+const { Cipher, generateKey } = require('../utils/encryption');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const message = { to: 'friend@example.com', subject: 'Later', body: 'A private note' };
+
+function scheduler(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduled-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new ScheduleService({ backend: new MemoryBackend(), dir, cipher: new Cipher(generateKey()) });
+}
+
+// A Gmail account that records what is sent and finds it again by Message-ID
+function fakeGmail(t) {
+  const gmail = {
+    sent: [],
+    queries: [],
+    sendEmail: async (to, subject, body, options) => {
+      gmail.sent.push({ to, subject, body, headers: options.headers });
+      return { id: `m${gmail.sent.length}`, threadId: 't1' };
+    },
+    listMessageIds: async ({ q }) => {
+      gmail.queries.push(q);
+      const index = gmail.sent.findIndex(sent => q === `rfc822msgid:${sent.headers['Message-ID'].slice(1, -1)}`);
+      return { ids: index === -1 ? [] : [`m${index + 1}`] };
+    },
+    fetcher: {
+      getMessages: async (ids) => ids.map(id => ({
+        data: {
+          id,
+          threadId: 't1',
+          payload: { headers: [{ name: 'X-Scheduled-Send-Id', value: gmail.sent[Number(id.slice(1)) - 1].headers['X-Scheduled-Send-Id'] }] }
+        }
+      }))
+    }
+  };
+  t.mock.method(GmailService, 'forUser', async () => gmail);
+  return gmail;
+}
+
+// Move a job's clock: make it due now, or finished long ago
+const makeDue = (service, jobId, changes = {}) => service.backend.update(jobId, job => ({
+  ...job,
+  sendAt: new Date(Date.now() - 1000).toISOString(),
+  ...changes
+}));
+
+test('reads wall-clock times in the given time zone', () => {
+  assert.strictEqual(new Date(parseSendAt('2026-01-15T09:00', 'America/New_York')).toISOString(), '2026-01-15T14:00:00.000Z');
+  assert.strictEqual(new Date(parseSendAt('2026-07-15T09:00', 'America/New_York')).toISOString(), '2026-07-15T13:00:00.000Z');
+  assert.throws(() => parseSendAt('2026-07-15T09:00'), /UTC offset/);
+});
+
+test('keeps scheduled content encrypted on disk', async (t) => {
+  const service = scheduler(t);
+  const job = await service.create('u1', message, { sendAt: new Date(Date.now() + DAY_MS).toISOString() });
+
+  const stored = fs.readFileSync(path.join(service.dir, `${job.id}.json`), 'utf8');
+  assert.doesNotMatch(stored, /private note|friend@example\.com/);
+  assert.deepStrictEqual(await service.readContent(job.id), { ...message, options: {} });
+});
+
+test('sends a due job once, under a Message-ID of its own', async (t) => {
+  const service = scheduler(t);
+  const gmail = fakeGmail(t);
+  const job = await service.create('u1', message, { sendAt: new Date(Date.now() + DAY_MS).toISOString() });
+  await makeDue(service, job.id);
+
+  assert.strictEqual(await service.sendDue(), 1);
+  assert.strictEqual(await service.sendDue(), 0);
+
+  assert.strictEqual(gmail.sent.length, 1);
+  assert.match(gmail.sent[0].headers['Message-ID'], new RegExp(`^<${job.id}\\.[0-9a-f]+@`));
+  const sent = await service.get(job.id, 'u1');
+  assert.strictEqual(sent.status, 'sent');
+  assert.strictEqual(sent.messageId, 'm1');
+  assert.strictEqual(await service.readContent(job.id), null);
+});
+
+test('records an interrupted send that went out instead of sending it again', async (t) => {
+  const service = scheduler(t);
+  const gmail = fakeGmail(t);
+  const job = await service.create('u1', message, { sendAt: new Date(Date.now() + DAY_MS).toISOString() });
+  const { rfc822MessageId } = await service.backend.get(job.id);
+  await gmail.sendEmail(message.to, message.subject, message.body, {
+    headers: { 'Message-ID': rfc822MessageId, 'X-Scheduled-Send-Id': job.id }
+  });
+
+  // Claimed long ago by a worker that died before recording the send
+  const longAgo = new Date(Date.now() - DAY_MS).toISOString();
+  await makeDue(service, job.id, { status: 'sending', attempts: 1, firstAttemptAt: longAgo, lastAttemptAt: longAgo });
+
+  assert.strictEqual(await service.sendDue(), 1);
+  assert.strictEqual(gmail.sent.length, 1);
+  assert.deepStrictEqual(gmail.queries, [`rfc822msgid:${rfc822MessageId.slice(1, -1)}`]);
+  assert.strictEqual((await service.get(job.id, 'u1')).messageId, 'm1');
+});
+
+test('prunes finished jobs and their content after the retention window', async (t) => {
+  const service = scheduler(t);
+  fakeGmail(t);
+  const later = { sendAt: new Date(Date.now() + DAY_MS).toISOString() };
+  const failed = await service.create('u1', message, later);
+  const recent = await service.create('u1', message, later);
+  const pending = await service.create('u1', message, later);
+
+  const longAgo = new Date(Date.now() - 365 * DAY_MS).toISOString();
+  await service.backend.update(failed.id, job => ({ ...job, status: 'failed', updatedAt: longAgo }));
+  await service.backend.update(recent.id, job => ({ ...job, status: 'failed' }));
+  await service.backend.update(pending.id, job => ({ ...job, updatedAt: longAgo }));
+
+  await service.sendDue();
+
+  assert.strictEqual(await service.get(failed.id, 'u1'), null);
+  assert.strictEqual(await service.readContent(failed.id), null);
+  assert.strictEqual((await service.get(recent.id, 'u1')).status, 'failed');
+  assert.ok(await service.readContent(recent.id));
+  assert.strictEqual((await service.get(pending.id, 'u1')).status, 'scheduled');
+});
@@ -0,0 +1,93 @@
+// test/sessionStore.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const { MemoryBackend } = require('../utils/storage');
+const PersistentSessionStore = require('../utils/sessionStore');
+
+const HOUR = 60 * 60 * 1000;
+
+function newStore(t, options = {}) {
+  const store = new PersistentSessionStore({ backend: new MemoryBackend(), ...options });
+  t.after(() => store.close());
+  return {
+    store,
+    get: promisify(store.get.bind(store)),
+    set: promisify(store.set.bind(store)),
+    touch: promisify(store.touch.bind(store)),
+    destroy: promisify(store.destroy.bind(store)),
+    length: promisify(store.length.bind(store))
+  };
+}
+
+function sessionExpiringIn(ms, data = {}) {
+  return { ...data, cookie: { expires: new Date(Date.now() + ms).toISOString(), originalMaxAge: HOUR } };
+}
+
+test('keeps sessions across restarts with the json backend', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'sessions.json');
+
+  const first = new PersistentSessionStore({ type: 'json', filePath });
+  await promisify(first.set.bind(first))('sid-1', sessionExpiringIn(HOUR, { userId: 'u1' }));
+  first.close();
+
+  const second = new PersistentSessionStore({ type: 'json', filePath });
+  t.after(() => second.close());
+  const sess = await promisify(second.get.bind(second))('sid-1');
+  assert.strictEqual(sess.userId, 'u1');
+});
+
+test('ignores expired sessions on read', async (t) => {
+  const { get, set, length } = newStore(t);
+  await set('live', sessionExpiringIn(HOUR, { userId: 'u1' }));
+  await set('stale', sessionExpiringIn(-1000, { userId: 'u2' }));
+
+  assert.strictEqual((await get('live')).userId, 'u1');
+  assert.strictEqual(await get('stale'), null);
+  assert.strictEqual(await length(), 1);
+});
+
+test('destroys a session', async (t) => {
+  const { get, set, destroy } = newStore(t);
+  await set('sid-1', sessionExpiringIn(HOUR));
+  await destroy('sid-1');
+
+  assert.strictEqual(await get('sid-1'), null);
+});
+
+test('skips touches that barely move the expiry', async (t) => {
+  const { store, set, touch } = newStore(t);
+  await set('sid-1', sessionExpiringIn(HOUR));
+  const update = t.mock.method(store.backend, 'update');
+
+  await touch('sid-1', sessionExpiringIn(HOUR + 60 * 1000));
+  assert.strictEqual(update.mock.callCount(), 0);
+
+  await touch('sid-1', sessionExpiringIn(2 * HOUR));
+  assert.strictEqual(update.mock.callCount(), 1);
+  const record = await store.backend.get('sid-1');
+  assert.ok(record.expiresAt > Date.now() + 1.5 * HOUR);
+});
+
+test('does not recreate a destroyed session on touch', async (t) => {
+  const { store, set, destroy, touch } = newStore(t);
+  await set('sid-1', sessionExpiringIn(HOUR));
+  await destroy('sid-1');
+  await touch('sid-1', sessionExpiringIn(2 * HOUR));
+
+  assert.strictEqual(await store.backend.get('sid-1'), null);
+});
+
+test('prunes expired sessions', async (t) => {
+  const { store, set } = newStore(t);
+  await set('live', sessionExpiringIn(HOUR));
+  await set('stale', sessionExpiringIn(-1000));
+
+  assert.strictEqual(await store.prune(), 1);
+  assert.deepStrictEqual((await store.backend.entries()).map(([sid]) => sid), ['live']);
+});
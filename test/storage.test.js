@@ -0,0 +1,64 @@
+// test/storage.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBackend } = require('../utils/storage');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+let sqliteAvailable = true;
+try {
+  require('better-sqlite3');
+} catch (error) {
+  sqliteAvailable = false;
+}
+
+for (const type of ['memory', 'json', 'sqlite']) {
+  test(`${type} backend: get, set, update, delete and prefixed keys`, { skip: type === 'sqlite' && !sqliteAvailable }, async (t) => {
+    const dir = tempDir(t);
+    const backend = createBackend(type, 'records', { filePath: path.join(dir, type === 'json' ? 'records.json' : 'app.sqlite') });
+
+    await backend.set('u1:a', { n: 1 });
+    await backend.set('u1:b', { n: 2 });
+    await backend.set('u10:a', { n: 3 });
+    assert.deepStrictEqual(await backend.get('u1:a'), { n: 1 });
+    assert.strictEqual(await backend.get('missing'), null);
+
+    assert.deepStrictEqual(await backend.update('u1:a', value => ({ n: value.n + 1 })), { n: 2 });
+    assert.strictEqual(await backend.update('u1:b', () => undefined), null);
+    assert.strictEqual(await backend.get('u1:b'), null);
+
+    const keys = await backend.transaction(view => view.keys('u1:'));
+    assert.deepStrictEqual(keys, ['u1:a']);
+    assert.deepStrictEqual((await backend.entries()).map(([key]) => key).sort(), ['u10:a', 'u1:a']);
+  });
+}
+
+test('json backend: a failed transaction writes nothing', async (t) => {
+  const filePath = path.join(tempDir(t), 'records.json');
+  const backend = createBackend('json', 'records', { filePath });
+  await backend.set('a', 1);
+
+  await assert.rejects(backend.transaction(view => {
+    view.set('a', 2);
+    throw new Error('boom');
+  }), /boom/);
+  assert.strictEqual(await backend.get('a'), 1);
+  assert.strictEqual((fs.statSync(filePath).mode & 0o777).toString(8), '600');
+});
+
+test('json backend: concurrent updates are not lost', async (t) => {
+  const filePath = path.join(tempDir(t), 'records.json');
+  const first = createBackend('json', 'records', { filePath });
+  const second = createBackend('json', 'records', { filePath });
+
+  await Promise.all(Array.from({ length: 10 }, (_, i) =>
+    (i % 2 ? first : second).update('count', count => (count || 0) + 1)));
+  assert.strictEqual(await first.get('count'), 10);
+});
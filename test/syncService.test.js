@@ -0,0 +1,121 @@
+// test/syncService.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const mailCache = require('../utils/mailCache');
+const searchIndex = require('../utils/searchIndex');
+const { MemoryBackend } = require('../utils/storage');
+const { SyncService } = require('../services/syncService');
+
+const summary = (id, labelIds) => ({ id, threadId: id, labelIds, internalDate: id.charCodeAt(0).toString() });
+
+// Point the cache and search index singletons at fresh in-memory stores
+function memoryStores(t) {
+  const cache = new MemoryBackend();
+  const index = new MemoryBackend();
+  t.mock.method(mailCache, 'backendFor', () => cache);
+  t.mock.method(searchIndex, 'backendFor', () => index);
+}
+
+// Fake GmailService over a mailbox of summaries, answering listHistory from
+// the given pages (or with the given error)
+function fakeMailbox(messages, { historyId = '100', history = [], historyError } = {}) {
+  const calls = { fetched: [], historyStarts: [] };
+  const service = {
+    getProfile: async () => ({ historyId }),
+    listMessageIds: async () => ({ ids: Object.keys(messages), nextPageToken: null }),
+    getMessageSummaries: async ids => {
+      calls.fetched.push(...ids);
+      return ids.map(id => messages[id] || { id, error: 'Not Found' });
+    },
+    listHistory: async ({ startHistoryId }) => {
+      calls.historyStarts.push(startHistoryId);
+      if (historyError) throw historyError;
+      return { history, historyId, nextPageToken: null };
+    }
+  };
+  return { service, calls };
+}
+
+test('runs a full sync the first time', async (t) => {
+  memoryStores(t);
+  const { service } = fakeMailbox({ a: summary('a', ['INBOX']), b: summary('b', ['SENT']) });
+
+  const state = await new SyncService().sync('u1', { gmailService: service });
+
+  assert.strictEqual(state.historyId, '100');
+  assert.strictEqual(state.complete, true);
+  assert.strictEqual(state.messageCount, 2);
+  assert.strictEqual(await mailCache.isFresh('u1'), true);
+});
+
+test('applies history deltas to the cache', async (t) => {
+  memoryStores(t);
+  const syncService = new SyncService();
+  const initial = fakeMailbox({ a: summary('a', ['INBOX', 'UNREAD']), b: summary('b', ['INBOX']) });
+  await syncService.sync('u1', { gmailService: initial.service });
+
+  const { service, calls } = fakeMailbox({ c: summary('c', ['INBOX']) }, {
+    historyId: '120',
+    history: [
+      { messagesAdded: [{ message: { id: 'c', labelIds: ['INBOX'] } }] },
+      { labelsRemoved: [{ message: { id: 'a', labelIds: ['INBOX'] } }] },
+      { messagesDeleted: [{ message: { id: 'b' } }] }
+    ]
+  });
+  const state = await syncService.sync('u1', { gmailService: service });
+
+  assert.deepStrictEqual(calls.historyStarts, ['100']);
+  assert.deepStrictEqual(calls.fetched, ['c']);
+  assert.strictEqual(state.historyId, '120');
+  const [a, b, c] = await mailCache.getMessages('u1', ['a', 'b', 'c']);
+  assert.deepStrictEqual(a.labelIds, ['INBOX']);
+  assert.strictEqual(b, null);
+  assert.strictEqual(c.id, 'c');
+});
+
+test('falls back to a full sync when the history has expired', async (t) => {
+  memoryStores(t);
+  const syncService = new SyncService();
+  await syncService.sync('u1', { gmailService: fakeMailbox({ a: summary('a', ['INBOX']) }).service });
+
+  const historyError = Object.assign(new Error('Requested entity was not found.'), { status: 404 });
+  const { service, calls } = fakeMailbox({ b: summary('b', ['INBOX']) }, { historyId: '200', historyError });
+  const state = await syncService.sync('u1', { gmailService: service });
+
+  assert.deepStrictEqual(calls.historyStarts, ['100']);
+  assert.strictEqual(state.historyId, '200');
+  assert.deepStrictEqual(await mailCache.messageIds('u1'), ['b']);
+});
+
+test('shares one run between concurrent syncs', async (t) => {
+  memoryStores(t);
+  const syncService = new SyncService();
+  const { service, calls } = fakeMailbox({ a: summary('a', ['INBOX']) });
+
+  await Promise.all([
+    syncService.sync('u1', { gmailService: service }),
+    syncService.sync('u1', { gmailService: service })
+  ]);
+  assert.deepStrictEqual(calls.fetched, ['a']);
+});
+
+test('waits for a sync only when the cache holds the whole mailbox', async (t) => {
+  memoryStores(t);
+  const syncService = new SyncService();
+  const stale = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  let finishSync;
+  t.mock.method(syncService, 'sync', () => new Promise(resolve => { finishSync = resolve; }));
+
+  await mailCache.replaceAll('partial', [], { historyId: '1', syncedAt: stale, complete: false });
+  const partial = await syncService.refresh('partial');
+  assert.strictEqual(partial.complete, false);
+
+  await mailCache.replaceAll('whole', [], { historyId: '1', syncedAt: stale, complete: true });
+  let settled = false;
+  const refreshing = syncService.refresh('whole').then(state => { settled = true; return state; });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(settled, false);
+
+  finishSync({ historyId: '2' });
+  assert.deepStrictEqual(await refreshing, { historyId: '2' });
+});
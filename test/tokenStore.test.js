@@ -0,0 +1,70 @@
+// test/tokenStore.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { TokenStore, createTokenStore } = require('../utils/tokenStore');
+const { Cipher, generateKey } = require('../utils/encryption');
+const { MemoryBackend } = require('../utils/storage');
+
+const tokens = { access_token: 'ya29.access', refresh_token: '1//refresh', email: 'me@example.com' };
+
+function tokenStore(key = generateKey()) {
+  const backend = new MemoryBackend();
+  return { backend, store: new TokenStore({ backend, cipher: new Cipher(key) }) };
+}
+
+test('stores tokens encrypted and reads them back', async () => {
+  const { backend, store } = tokenStore();
+  await store.save('u1', tokens);
+
+  const stored = await backend.get('u1');
+  assert.ok(Cipher.isEnvelope(stored));
+  assert.doesNotMatch(JSON.stringify(stored), /ya29|refresh|example\.com/);
+  assert.strictEqual((await store.load('u1')).access_token, 'ya29.access');
+});
+
+test('keeps the refresh token Google leaves out of a refresh', async () => {
+  const { store } = tokenStore();
+  await store.save('u1', tokens);
+  await store.update('u1', { access_token: 'ya29.new' });
+
+  const loaded = await store.load('u1');
+  assert.strictEqual(loaded.access_token, 'ya29.new');
+  assert.strictEqual(loaded.refresh_token, '1//refresh');
+});
+
+test('still reads records sealed with a previous key after rotation', async () => {
+  const oldKey = generateKey();
+  const newKey = generateKey();
+  const { backend, store } = tokenStore(oldKey);
+  await store.save('u1', tokens);
+  await store.save('u2', tokens);
+
+  assert.strictEqual(await store.rotateKey(newKey), 2);
+  const reopened = new TokenStore({ backend, cipher: new Cipher(newKey) });
+  assert.strictEqual((await reopened.load('u2')).email, 'me@example.com');
+
+  const wrongKey = new TokenStore({ backend, cipher: new Cipher(oldKey) });
+  await assert.rejects(wrongKey.load('u1'), /No encryption key available/);
+});
+
+test('reads plaintext records left from the old tokens.json', async () => {
+  const { backend, store } = tokenStore();
+  await backend.set('legacy', tokens);
+  assert.strictEqual((await store.load('legacy')).refresh_token, '1//refresh');
+});
+
+test('requires an encryption key for persistent stores', () => {
+  assert.throws(() => createTokenStore({ TOKEN_STORE: 'json' }), /TOKEN_ENCRYPTION_KEY is required/);
+  assert.ok(createTokenStore({ TOKEN_STORE: 'memory' }) instanceof TokenStore);
+});
+
+test('lists users without their tokens', async () => {
+  const { store } = tokenStore();
+  await store.save('u1', tokens);
+  const [summary] = await store.list();
+
+  assert.strictEqual(summary.userId, 'u1');
+  assert.strictEqual(summary.hasRefreshToken, true);
+  assert.strictEqual(summary.access_token, undefined);
+  assert.strictEqual(summary.refresh_token, undefined);
+});
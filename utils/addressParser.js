@@ -0,0 +1,204 @@
+// utils/addressParser.js
+const { domainToASCII } = require('url');
+
+// RFC 5322 atext, the characters of an unquoted local part or display-name word
+const ATOM = /^[A-Za-z0-9!#$%&'*+\/=?^_`{|}~-]+$/;
+const DOMAIN_LABEL = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/i;
+
+// Split an address-list header (From, To, Cc, ...) into { name, address }
+// entries. Handles quoted display names containing commas, angle-bracket
+// addresses, (comments) and group syntax ("Team: a@x.com, b@x.com;").
+function parseAddressList(value) {
+  return splitAddressList(value).entries
+    .map(parseMailbox)
+    .filter(Boolean);
+}
+
+// The raw text of each mailbox in an address list, with group names dropped.
+// unterminated is set when a quote, comment or angle bracket is left open.
+function splitAddressList(value) {
+  const entries = [];
+  if (!value) return { entries, unterminated: false };
+
+  let current = '';
+  let inQuotes = false;
+  let inAngle = false;
+  let commentDepth = 0;
+
+  const flush = () => {
+    if (current.trim()) entries.push(current);
+    current = '';
+  };
+
+  for (let i = 0; i < value.length; i++) {
+    const c = value[i];
+
+    if (inQuotes) {
+      current += c;
+      if (c === '\\' && i + 1 < value.length) {
+        current += value[++i];
+      } else if (c === '"') {
+        inQuotes = false;
+      }
+      continue;
+    }
+
+    if (commentDepth > 0) {
+      current += c;
+      if (c === '\\' && i + 1 < value.length) current += value[++i];
+      else if (c === '(') commentDepth++;
+      else if (c === ')') commentDepth--;
+      continue;
+    }
+
+    if (c === '"') inQuotes = true;
+    else if (c === '(') commentDepth++;
+    else if (c === '<') inAngle = true;
+    else if (c === '>') inAngle = false;
+    else if (!inAngle && c === ':') {
+      // Group name: drop it and parse the members
+      current = '';
+      continue;
+    } else if (!inAngle && (c === ',' || c === ';')) {
+      flush();
+      continue;
+    }
+    current += c;
+  }
+  flush();
+
+  return { entries, unterminated: inQuotes || inAngle || commentDepth > 0 };
+}
+
+// One mailbox: 'Name <addr>', '"Name" <addr>', 'addr (Name)' or 'addr'
+function parseMailbox(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return null;
+
+  const angle = /<([^>]*)>/.exec(trimmed);
+  let address;
+  let name;
+
+  if (angle) {
+    address = angle[1].trim();
+    name = trimmed.slice(0, angle.index) + trimmed.slice(angle.index + angle[0].length);
+  } else {
+    const comment = /\(((?:\\.|[^()])*)\)/.exec(trimmed);
+    address = trimmed.replace(/\((?:\\.|[^()])*\)/g, '').trim();
+    name = comment ? comment[1] : '';
+  }
+
+  name = name.replace(/\((?:\\.|[^()])*\)/g, '').trim();
+  if (/^".*"$/.test(name)) {
+    name = name.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+
+  if (!address && !name) return null;
+  return {
+    name: name.replace(/\s+/g, ' ').trim(),
+    address: address
+  };
+}
+
+// Strict RFC 5322 parsing for addresses we send to. Every mailbox must be a
+// valid addr-spec (dot-atom or quoted local part, a domain name or [IPv4]
+// literal) with an optional display name of words and quoted strings.
+// Internationalized domains are converted to their ASCII (punycode) form.
+// Returns { addresses: [{ name, address }], errors: [message] }.
+function parseAddressListStrict(value) {
+  const result = { addresses: [], errors: [] };
+  if (value === undefined || value === null || value === '') return result;
+
+  if (typeof value !== 'string') {
+    result.errors.push('must be a string');
+    return result;
+  }
+  if (/[\r\n\0]/.test(value)) {
+    result.errors.push('must not contain line breaks');
+    return result;
+  }
+
+  const { entries, unterminated } = splitAddressList(value);
+  if (unterminated) {
+    result.errors.push('has an unterminated quote, comment or angle bracket');
+    return result;
+  }
+
+  for (const entry of entries) {
+    const mailbox = parseMailbox(entry);
+    const error = mailbox && checkMailbox(entry, mailbox);
+    if (!mailbox || error) {
+      result.errors.push(`"${entry.trim()}" ${error || 'is not an address'}`);
+      continue;
+    }
+    result.addresses.push(mailbox);
+  }
+
+  return result;
+}
+
+// Validate one parsed mailbox against its source text, normalizing its
+// domain in place. Returns an error message or null.
+function checkMailbox(text, mailbox) {
+  const source = text.replace(/\((?:\\.|[^()])*\)/g, ' ').trim();
+  const angle = /<([^>]*)>/.exec(source);
+
+  if (angle) {
+    if (source.indexOf('<', angle.index + 1) !== -1 || source.slice(angle.index + angle[0].length).trim()) {
+      return 'has text after the address';
+    }
+    const phrase = source.slice(0, angle.index).trim();
+    // Display name: words and quoted strings; "." is tolerated as in obs-phrase
+    const words = phrase.match(/"(?:\\.|[^"\\])*"|[^\s"]+/g) || [];
+    if (words.some(word => !word.startsWith('"') && !/^[^()<>\[\]:;@\\,"]+$/.test(word))) {
+      return 'has a display name with unquoted special characters';
+    }
+  }
+
+  const at = mailbox.address.lastIndexOf('@');
+  if (at <= 0) return 'is missing the @domain part';
+
+  const local = mailbox.address.slice(0, at);
+  const domain = mailbox.address.slice(at + 1);
+
+  const quotedLocal = /^"(?:\\[\x20-\x7e]|[\x20\x21\x23-\x5b\x5d-\x7e])*"$/.test(local);
+  if (!quotedLocal && !local.split('.').every(part => ATOM.test(part))) {
+    return 'has an invalid local part';
+  }
+  if (local.length > 64) return 'has a local part longer than 64 characters';
+
+  let asciiDomain;
+  if (/^\[[\d.]+\]$/.test(domain)) {
+    const octets = domain.slice(1, -1).split('.');
+    if (octets.length !== 4 || octets.some(octet => !/^\d{1,3}$/.test(octet) || Number(octet) > 255)) {
+      return 'has an invalid address literal';
+    }
+    asciiDomain = domain;
+  } else {
+    asciiDomain = domainToASCII(domain);
+    const labels = asciiDomain.split('.');
+    if (!asciiDomain || labels.length < 2 || !labels.every(label => DOMAIN_LABEL.test(label)) ||
+      /^\d+$/.test(labels[labels.length - 1])) {
+      return 'has an invalid domain';
+    }
+  }
+  if (local.length + 1 + asciiDomain.length > 254) return 'is longer than 254 characters';
+
+  mailbox.address = `${local}@${asciiDomain.startsWith('[') ? asciiDomain : asciiDomain.toLowerCase()}`;
+  return null;
+}
+
+// 'Name <addr>' for display, quoting names with specials
+function formatAddress({ name, address }) {
+  if (!name) return address;
+  const display = /[()<>\[\]:;@\\,."]/.test(name)
+    ? `"${name.replace(/(["\\])/g, '\\$1')}"`
+    : name;
+  return `${display} <${address}>`;
+}
+
+module.exports = {
+  formatAddress,
+  parseAddressList,
+  parseAddressListStrict
+};
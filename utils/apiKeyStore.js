@@ -0,0 +1,118 @@
+// utils/apiKeyStore.js
+const crypto = require('crypto');
+const { createBackend } = require('./storage');
+
+const KEY_PREFIX = 'gmk';
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Public view of a key record: never includes the hash
+function describe(record) {
+  return {
+    id: record.id,
+    userId: record.userId,
+    name: record.name,
+    preview: `${KEY_PREFIX}_${record.id}_…`,
+    createdAt: record.createdAt,
+    lastUsedAt: record.lastUsedAt || null,
+    revokedAt: record.revokedAt || null
+  };
+}
+
+// API keys for server-to-server callers of the REST routes. A key looks like
+// gmk_<id>_<secret>; only a SHA-256 hash of the secret is stored, keyed by id,
+// and the full key is returned once when it is issued.
+class ApiKeyStore {
+  constructor(options = {}) {
+    this.backend = options.backend ||
+      createBackend(process.env.API_KEY_STORE || 'json', 'api_keys', {
+        filePath: process.env.API_KEY_STORE_PATH
+      });
+  }
+
+  async issue(userId, name) {
+    if (!userId) throw new Error('userId is required');
+    if (!name || typeof name !== 'string') throw new Error('API key name is required');
+
+    const id = crypto.randomBytes(8).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const record = {
+      id,
+      userId,
+      name: name.trim(),
+      hash: hashSecret(secret),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null
+    };
+
+    await this.backend.set(id, record);
+    console.log(`🔑 API key ${id} issued for user ${userId}`);
+    return { ...describe(record), key: `${KEY_PREFIX}_${id}_${secret}` };
+  }
+
+  // Look up the active key record for a presented key, or null
+  async resolve(key) {
+    const match = /^gmk_([0-9a-f]{16})_([A-Za-z0-9_-]+)$/.exec(key || '');
+    if (!match) return null;
+
+    const [, id, secret] = match;
+    const record = await this.backend.get(id);
+    if (!record || record.revokedAt) return null;
+
+    const expected = Buffer.from(record.hash, 'hex');
+    const actual = Buffer.from(hashSecret(secret), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+    // Record usage, but don't rewrite the store on every request
+    const now = Date.now();
+    if (!record.lastUsedAt || now - Date.parse(record.lastUsedAt) > LAST_USED_RESOLUTION_MS) {
+      record.lastUsedAt = new Date(now).toISOString();
+      await this.backend.update(id, stored => (stored ? { ...stored, lastUsedAt: record.lastUsedAt } : undefined));
+    }
+
+    return describe(record);
+  }
+
+  async list(userId) {
+    const entries = await this.backend.entries();
+    return entries
+      .map(([, record]) => record)
+      .filter(record => !userId || record.userId === userId)
+      .map(describe);
+  }
+
+  // Revoke a key; with userId given, only that user's key can be revoked
+  async revoke(id, userId) {
+    let revoked = null;
+    await this.backend.update(id, record => {
+      if (!record || (userId && record.userId !== userId)) return record || undefined;
+      revoked = { ...record, revokedAt: record.revokedAt || new Date().toISOString() };
+      return revoked;
+    });
+    if (revoked) console.log(`🔒 API key ${id} revoked`);
+    return revoked ? describe(revoked) : null;
+  }
+
+  // Revoke every key belonging to a user (e.g. when they disconnect)
+  async revokeAllForUser(userId) {
+    const now = new Date().toISOString();
+    return this.backend.transaction(view => {
+      let count = 0;
+      view.keys().forEach(id => {
+        const record = view.get(id);
+        if (record.userId === userId && !record.revokedAt) {
+          view.set(id, { ...record, revokedAt: now });
+          count++;
+        }
+      });
+      return count;
+    });
+  }
+}
+
+module.exports = new ApiKeyStore();
+module.exports.ApiKeyStore = ApiKeyStore;
@@ -0,0 +1,143 @@
+// utils/attachments.js
+const archiver = require('archiver');
+const { parseMessagePayload } = require('./mimeParser');
+
+// Types a browser may render in place; everything else is always downloaded
+const INLINE_TYPES = /^image\/(png|jpeg|gif|webp|bmp)$/i;
+
+// Content-Disposition with an ASCII fallback and an RFC 5987 UTF-8 filename
+function contentDisposition(type, filename) {
+  const name = filename || 'attachment';
+  const fallback = name.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  const encoded = encodeURIComponent(name).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+// Send a fetched attachment (GmailService.getAttachment) as the response body.
+// Attachment content comes from arbitrary senders, so it is sandboxed and never
+// sniffed into a renderable type.
+function sendAttachment(res, attachment, { inline = false } = {}) {
+  const mimeType = attachment.mimeType || 'application/octet-stream';
+  const disposition = inline && INLINE_TYPES.test(mimeType) ? 'inline' : 'attachment';
+
+  res.set({
+    'Content-Type': mimeType,
+    'Content-Length': attachment.content.length,
+    'Content-Disposition': contentDisposition(disposition, attachment.filename || `part-${attachment.partId}`),
+    'X-Content-Type-Options': 'nosniff',
+    'Content-Security-Policy': 'sandbox',
+    'Cache-Control': 'private, no-store'
+  });
+  res.end(attachment.content);
+}
+
+// Send a raw message (GmailService.getRawMessage) as an .eml download
+function sendEml(res, message) {
+  res.set({
+    'Content-Type': 'message/rfc822',
+    'Content-Length': message.raw.length,
+    'Content-Disposition': contentDisposition('attachment', `${message.id}.eml`),
+    'X-Content-Type-Options': 'nosniff',
+    'Content-Security-Policy': 'sandbox',
+    'Cache-Control': 'private, no-store'
+  });
+  res.end(message.raw);
+}
+
+// Stream every attachment of a message as one zip archive. The message is
+// fetched once and its parts read from it (see GmailService.readPart). Each
+// attachment is still decoded whole into a Buffer, but the next one is only
+// read once the archive has taken the last, so one attachment's content is
+// held at a time.
+async function streamZip(res, gmailService, messageId) {
+  let message;
+  try {
+    message = await gmailService.getFullMessage(messageId);
+  } catch (error) {
+    throw new Error(`Failed to list attachments: ${error.message}`);
+  }
+  const parts = parseMessagePayload(message.payload).attachments;
+
+  if (parts.length === 0) {
+    return false;
+  }
+
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const usedNames = new Set();
+
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': contentDisposition('attachment', `${messageId}-attachments.zip`),
+    'X-Content-Type-Options': 'nosniff',
+    'Cache-Control': 'private, no-store'
+  });
+
+  archive.on('warning', error => console.warn('Zip warning:', error.message));
+  archive.on('error', error => {
+    console.error('Zip error:', error.message);
+    res.destroy(error);
+  });
+  archive.pipe(res);
+
+  // A client that disconnects stalls the pipe, after which the archive emits
+  // neither 'entry' nor 'error'; stop as soon as the response closes instead
+  const closed = new Promise((resolve, reject) => {
+    res.once('close', () => {
+      if (res.writableFinished) return resolve();
+      archive.abort();
+      reject(new Error('Client closed the connection'));
+    });
+  });
+  closed.catch(() => {});
+
+  for (const part of parts) {
+    let attachment;
+    try {
+      attachment = await gmailService.readPart(messageId, message.payload, part.partId);
+    } catch (error) {
+      throw new Error(`Failed to get attachment: ${error.message}`);
+    }
+    if (!attachment) continue;
+    const name = uniqueName(attachment.filename || `part-${part.partId}`, usedNames);
+    await Promise.race([closed, appendEntry(archive, attachment.content, name)]);
+  }
+
+  await Promise.race([closed, archive.finalize()]);
+  return true;
+}
+
+// Resolves once the archive has written the entry (archiver queues appends)
+function appendEntry(archive, content, name) {
+  return new Promise((resolve, reject) => {
+    const onEntry = () => {
+      archive.off('error', onError);
+      resolve();
+    };
+    const onError = (error) => {
+      archive.off('entry', onEntry);
+      reject(error);
+    };
+    archive.once('entry', onEntry);
+    archive.once('error', onError);
+    archive.append(content, { name });
+  });
+}
+
+// Zip entry names: no directories, and "name (2).ext" for duplicates
+function uniqueName(filename, usedNames) {
+  const base = filename.replace(/[\\/]/g, '_').replace(/^\.+/, '_');
+  let name = base;
+  for (let i = 2; usedNames.has(name.toLowerCase()); i++) {
+    const dot = base.lastIndexOf('.');
+    name = dot > 0 ? `${base.slice(0, dot)} (${i})${base.slice(dot)}` : `${base} (${i})`;
+  }
+  usedNames.add(name.toLowerCase());
+  return name;
+}
+
+module.exports = {
+  contentDisposition,
+  sendAttachment,
+  sendEml,
+  streamZip
+};
@@ -0,0 +1,97 @@
+// utils/encryption.js
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_SALT = 'gmail-oauth-app:token-store';
+
+// Accepts a 32-byte key as 64 hex characters or base64; anything else is
+// treated as a passphrase and stretched with scrypt.
+function parseKey(value) {
+  if (Buffer.isBuffer(value)) {
+    if (value.length !== 32) throw new Error('Encryption key must be 32 bytes');
+    return value;
+  }
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error('Encryption key must be a non-empty string');
+  }
+
+  const trimmed = value.trim();
+  if (/^[0-9a-fA-F]{64}$/.test(trimmed)) {
+    return Buffer.from(trimmed, 'hex');
+  }
+  const decoded = Buffer.from(trimmed, 'base64');
+  if (decoded.length === 32 && decoded.toString('base64').replace(/=+$/, '') === trimmed.replace(/=+$/, '')) {
+    return decoded;
+  }
+  return crypto.scryptSync(trimmed, KEY_SALT, 32);
+}
+
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+// AES-256-GCM envelope encryption for JSON values. Envelopes record the id
+// of the key that sealed them, so values written under a previous key stay
+// readable while a rotation is rolled out.
+class Cipher {
+  constructor(currentKey, previousKeys = []) {
+    this.key = parseKey(currentKey);
+    this.keyId = keyId(this.key);
+    this.keys = new Map([[this.keyId, this.key]]);
+    previousKeys.filter(Boolean).forEach(previous => {
+      const parsed = parseKey(previous);
+      this.keys.set(keyId(parsed), parsed);
+    });
+  }
+
+  static isEnvelope(value) {
+    return !!value && typeof value === 'object' && value.alg === ALGORITHM &&
+      typeof value.data === 'string';
+  }
+
+  encrypt(value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+    return {
+      alg: ALGORITHM,
+      kid: this.keyId,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  decrypt(envelope) {
+    const key = this.keys.get(envelope.kid);
+    if (!key) {
+      throw new Error(`No encryption key available for key id ${envelope.kid}`);
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const plain = Buffer.concat([
+      decipher.update(Buffer.from(envelope.data, 'base64')),
+      decipher.final()
+    ]);
+    return JSON.parse(plain.toString('utf8'));
+  }
+
+  // A cipher that writes with newKey and can still read everything this one can
+  withKey(newKey) {
+    const rotated = new Cipher(newKey);
+    this.keys.forEach((key, id) => rotated.keys.set(id, key));
+    return rotated;
+  }
+}
+
+function generateKey() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+module.exports = {
+  Cipher,
+  generateKey,
+  parseKey
+};
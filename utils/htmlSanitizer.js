@@ -0,0 +1,229 @@
+// utils/htmlSanitizer.js
+const sanitizeHtml = require('sanitize-html');
+const postcss = require('postcss');
+
+// Class of the element the dashboard renders sanitized email HTML into.
+// Every CSS rule from the email is rewritten to only match inside it.
+const SCOPE_CLASS = 'email-html';
+// Class names from the email get this prefix, in its markup and its
+// stylesheet alike, so they never pick up the dashboard's own classes
+const CLASS_PREFIX = `${SCOPE_CLASS}__`;
+
+const ALLOWED_TAGS = [
+  'a', 'abbr', 'address', 'b', 'bdi', 'bdo', 'big', 'blockquote', 'br', 'caption',
+  'center', 'cite', 'code', 'col', 'colgroup', 'dd', 'del', 'dfn', 'div', 'dl', 'dt',
+  'em', 'font', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd',
+  'li', 'mark', 'ol', 'p', 'pre', 'q', 's', 'samp', 'small', 'span', 'strike',
+  'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'tt',
+  'u', 'ul', 'var', 'wbr'
+];
+
+const LAYOUT_ATTRIBUTES = ['align', 'valign', 'width', 'height', 'bgcolor', 'colspan', 'rowspan'];
+
+const ALLOWED_ATTRIBUTES = {
+  '*': ['style', 'class', 'dir', 'lang', 'title', ...LAYOUT_ATTRIBUTES],
+  a: ['href', 'name', 'target', 'rel'],
+  img: ['src', 'alt', 'referrerpolicy'],
+  table: ['border', 'cellpadding', 'cellspacing', 'summary'],
+  font: ['color', 'face', 'size'],
+  ol: ['start', 'type'],
+  li: ['value']
+};
+
+// Declarations that can escape the message's box or run code in old browsers
+const BLOCKED_PROPERTIES = /^(position|behavior|-moz-binding|z-index)$/i;
+const BLOCKED_VALUES = /expression\s*\(|javascript:|vbscript:/i;
+const URL_PATTERN = /url\(\s*(['"]?)(.*?)\1\s*\)/gi;
+// A quoted remote URL, which image-set() and -webkit-image-set() load as an
+// image without url() around it
+const REMOTE_STRING = /(['"])\s*(https?:)?\/\//i;
+
+// A class selector, skipping attribute selectors and strings
+const SELECTOR_CLASS = /(\[[^\]]*\]|"[^"]*"|'[^']*')|\.(-?[_a-zA-Z\u00a0-\uffff][\w\u00a0-\uffff-]*)/g;
+
+// A sibling combinator after the first compound selector, i.e. the scope
+// itself once html/body have been mapped to it
+const SCOPE_SIBLING = /^(?:\[[^\]]*\]|\([^)]*\)|[^\s>+~[(])*\s*[+~]/;
+
+const isRemote = (url) => /^(https?:)?\/\//i.test(url.trim());
+
+const prefixClasses = (value) => value.split(/\s+/).filter(Boolean).map(name => CLASS_PREFIX + name).join(' ');
+
+// Sanitize the HTML body of an email for display inside the dashboard.
+//
+// options.inlineParts: the message's inline parts (GmailService.getEmail)
+// options.inlineUrl: builds the download URL for an inline part, used for cid: references
+// options.loadImages: allow remote images; tracking pixels are dropped either way
+//
+// Returns { html, remoteImagesBlocked, trackersRemoved }.
+function sanitizeEmailHtml(html, { inlineParts = [], inlineUrl, loadImages = false } = {}) {
+  const stats = { remoteImagesBlocked: 0, trackersRemoved: 0 };
+
+  if (!html) {
+    return { html: '', ...stats };
+  }
+
+  const cidMap = new Map(inlineParts
+    .filter(part => part.contentId)
+    .map(part => [part.contentId.toLowerCase(), part]));
+
+  // Resolve an image URL: cid: to our attachment endpoint, remote to itself
+  // (or null when remote images are blocked), anything else to null
+  const resolveImage = (url) => {
+    const value = (url || '').trim();
+    if (/^cid:/i.test(value)) {
+      const part = cidMap.get(decodeURIComponent(value.slice(4)).replace(/^<|>$/g, '').toLowerCase());
+      return part && inlineUrl ? inlineUrl(part) : null;
+    }
+    if (/^data:image\//i.test(value)) {
+      return value;
+    }
+    if (isRemote(value)) {
+      if (loadImages) return value;
+      stats.remoteImagesBlocked++;
+      return null;
+    }
+    return null;
+  };
+
+  const cleanDeclaration = (prop, value) => {
+    if (BLOCKED_PROPERTIES.test(prop) || BLOCKED_VALUES.test(value)) {
+      return null;
+    }
+    let blocked = false;
+    const rewritten = value.replace(URL_PATTERN, (match, quote, url) => {
+      const resolved = resolveImage(url);
+      if (!resolved) blocked = true;
+      return resolved ? `url("${resolved.replace(/["\\]/g, '\\$&')}")` : match;
+    });
+    if (blocked) return null;
+    // Remote URLs anywhere but url() are never loaded
+    if (REMOTE_STRING.test(rewritten.replace(URL_PATTERN, ''))) {
+      stats.remoteImagesBlocked++;
+      return null;
+    }
+    return rewritten;
+  };
+
+  const cleanStyleAttribute = (style) => {
+    return style.split(';')
+      .map(declaration => {
+        const colon = declaration.indexOf(':');
+        if (colon === -1) return null;
+        const prop = declaration.slice(0, colon).trim();
+        const value = cleanDeclaration(prop, declaration.slice(colon + 1).trim());
+        return value === null ? null : `${prop}: ${value}`;
+      })
+      .filter(Boolean)
+      .join('; ');
+  };
+
+  // <style> blocks are lifted out, scoped and cleaned, then put back in front
+  const styles = [];
+  const withoutStyles = html.replace(/<style\b[^>]*>([\s\S]*?)<\/style\s*>/gi, (match, css) => {
+    styles.push(css);
+    return '';
+  });
+
+  const body = sanitizeHtml(withoutStyles, {
+    allowedTags: ALLOWED_TAGS,
+    allowedAttributes: ALLOWED_ATTRIBUTES,
+    allowedSchemes: ['http', 'https', 'mailto'],
+    allowedSchemesByTag: { img: ['http', 'https', 'data'] },
+    allowProtocolRelative: false,
+    disallowedTagsMode: 'discard',
+    transformTags: {
+      a: (tagName, attribs) => ({
+        tagName,
+        attribs: { ...attribs, target: '_blank', rel: 'noopener noreferrer nofollow' }
+      }),
+      img: (tagName, attribs) => {
+        const src = resolveImage(attribs.src);
+        if (!src) {
+          return { tagName: 'blocked-img', attribs: {} };
+        }
+        // 1x1 remote images are almost always open-tracking pixels
+        if (isRemote(src) && parseInt(attribs.width) <= 1 && parseInt(attribs.height) <= 1) {
+          stats.trackersRemoved++;
+          return { tagName: 'blocked-img', attribs: {} };
+        }
+        return {
+          tagName,
+          attribs: { ...attribs, src: src, referrerpolicy: 'no-referrer' }
+        };
+      },
+      '*': (tagName, attribs) => {
+        const cleaned = { ...attribs };
+        if (attribs.style) cleaned.style = cleanStyleAttribute(attribs.style);
+        if (attribs.class) cleaned.class = prefixClasses(attribs.class);
+        return { tagName, attribs: cleaned };
+      }
+    }
+  });
+
+  const css = styles.map(block => scopeCss(block, cleanDeclaration)).filter(Boolean).join('\n');
+
+  return {
+    html: css ? `<style>${css}</style>${body}` : body,
+    ...stats
+  };
+}
+
+// Rewrite an email's stylesheet so its rules only apply inside the scope
+// element: selectors are prefixed, class names get CLASS_PREFIX as in the
+// markup, html/body map to the scope itself, and imports, web fonts and
+// dangerous declarations are dropped. Selectors that
+// start with a combinator, or put a sibling combinator right after the scope
+// (body ~ div), would reach the page around the email and are dropped.
+function scopeCss(css, cleanDeclaration) {
+  const scope = `.${SCOPE_CLASS}`;
+  let root;
+  try {
+    root = postcss.parse(css);
+  } catch (error) {
+    return '';
+  }
+
+  root.walkAtRules(rule => {
+    if (!['media', 'supports'].includes(rule.name.toLowerCase())) {
+      rule.remove();
+    }
+  });
+
+  root.walkRules(rule => {
+    const selectors = rule.selectors
+      .map(selector => selector.trim())
+      .filter(selector => selector && !/^[>+~]/.test(selector))
+      .map(selector => selector.replace(SELECTOR_CLASS, (match, skipped, name) => skipped || `.${CLASS_PREFIX}${name}`))
+      .map(selector => {
+        if (/^(html|body|:root)\b/i.test(selector)) {
+          return selector.replace(/^(html\s*(>\s*)?body|html|body|:root)/i, scope);
+        }
+        return `${scope} ${selector}`;
+      })
+      .filter(selector => !SCOPE_SIBLING.test(selector));
+
+    if (selectors.length === 0) {
+      rule.remove();
+    } else {
+      rule.selectors = selectors;
+    }
+  });
+
+  root.walkDecls(decl => {
+    const value = cleanDeclaration(decl.prop, decl.value);
+    if (value === null) {
+      decl.remove();
+    } else {
+      decl.value = value;
+    }
+  });
+
+  // The result is placed inside <style>; never let it close that element
+  return root.toString().replace(/</g, '\\3c ');
+}
+
+module.exports = {
+  SCOPE_CLASS,
+  sanitizeEmailHtml
+};
@@ -0,0 +1,124 @@
+// utils/mailCache.js
+const { createUserBackends } = require('./storage');
+
+const MAX_AGE_MS = parseInt(process.env.SYNC_MAX_AGE_MS) || 60 * 1000;
+const CACHE_TOKEN_PREFIX = 'cache:';
+// The full sync lists mail the way Gmail does by default, without these
+const UNSYNCED_LABELS = ['SPAM', 'TRASH'];
+
+const stateKey = (userId) => `${userId}:state`;
+const messageKey = (userId, messageId) => `${userId}:msg:${messageId}`;
+
+// Local copy of each user's message summaries (the list-view fields from
+// GmailService), kept up to date by the sync service. Records are keyed
+// "<userId>:msg:<messageId>", next to one "<userId>:state" record holding the
+// historyId the copy is current as of. Each user's records live in their own
+// store (see createUserBackends), so one mailbox's sync never rewrites another's.
+class MailCache {
+  constructor(options = {}) {
+    this.backendFor = options.backend
+      ? () => options.backend
+      : createUserBackends(process.env.MAIL_CACHE_STORE, 'mail_cache', {
+        filePath: process.env.MAIL_CACHE_STORE_PATH,
+        dir: process.env.MAIL_CACHE_DIR
+      });
+  }
+
+  async getState(userId) {
+    return (await this.backendFor(userId).get(stateKey(userId))) || null;
+  }
+
+  // Whether a listing is one the cache can answer: no search, and nothing
+  // from the Spam or Trash the full sync leaves out
+  canAnswer({ labelIds = [], q, includeSpamTrash = false } = {}) {
+    return !q && !includeSpamTrash && !(labelIds || []).some(label => UNSYNCED_LABELS.includes(label));
+  }
+
+  // A cache is fresh when it holds the whole mailbox and was synced recently
+  async isFresh(userId, maxAgeMs = MAX_AGE_MS) {
+    const state = await this.getState(userId);
+    return !!(state && state.complete && Date.now() - Date.parse(state.syncedAt) < maxAgeMs);
+  }
+
+  // Replace the user's cache with the result of a full sync
+  async replaceAll(userId, messages, state) {
+    return this.backendFor(userId).transaction(view => {
+      view.keys(`${userId}:msg:`).forEach(key => view.delete(key));
+      messages.forEach(message => view.set(messageKey(userId, message.id), message));
+      view.set(stateKey(userId), { ...state, messageCount: messages.length });
+      return messages.length;
+    });
+  }
+
+  // Apply a sync delta in one transaction: upserts are full summaries,
+  // labelChanges map ids of cached messages to their current labelIds
+  async applyChanges(userId, { upserts = [], deletes = [], labelChanges = new Map(), state }) {
+    return this.backendFor(userId).transaction(view => {
+      upserts.forEach(message => view.set(messageKey(userId, message.id), message));
+      deletes.forEach(id => view.delete(messageKey(userId, id)));
+      for (const [id, labelIds] of labelChanges) {
+        const cached = view.get(messageKey(userId, id));
+        if (cached) view.set(messageKey(userId, id), { ...cached, labelIds });
+      }
+      if (state) {
+        const messageCount = view.keys(`${userId}:msg:`).length;
+        view.set(stateKey(userId), { ...state, messageCount });
+      }
+    });
+  }
+
+  // Ids of the user's cached messages
+  async messageIds(userId) {
+    const prefix = `${userId}:msg:`;
+    return this.backendFor(userId).transaction(view => view.keys(prefix)
+      .map(key => key.slice(prefix.length)));
+  }
+
+  async getMessages(userId, ids) {
+    return this.backendFor(userId).transaction(view => ids.map(id => view.get(messageKey(userId, id)) || null));
+  }
+
+  // One page of cached messages, newest first, shaped like GmailService.listEmailPage.
+  // Like Gmail, a message must carry every one of labelIds to match, and spam
+  // and trash are left out unless one of them is asked for.
+  async listPage(userId, { maxResults = 20, labelIds = [], pageToken } = {}) {
+    const offset = pageToken && pageToken.startsWith(CACHE_TOKEN_PREFIX)
+      ? parseInt(pageToken.slice(CACHE_TOKEN_PREFIX.length), 10) || 0
+      : 0;
+    const wanted = labelIds || [];
+
+    // Messages moved to Spam or Trash after the full sync are still cached
+    const matches = await this.backendFor(userId).transaction(view => {
+      return view.keys(`${userId}:msg:`)
+        .map(key => view.get(key))
+        .filter(message => wanted.every(label => message.labelIds.includes(label)) &&
+          !UNSYNCED_LABELS.some(label => message.labelIds.includes(label)));
+    });
+
+    matches.sort((a, b) => (parseInt(b.internalDate, 10) || 0) - (parseInt(a.internalDate, 10) || 0));
+    const emails = matches.slice(offset, offset + maxResults);
+    const next = offset + emails.length;
+
+    return {
+      emails: emails,
+      nextPageToken: next < matches.length ? `${CACHE_TOKEN_PREFIX}${next}` : null,
+      resultSizeEstimate: matches.length
+    };
+  }
+
+  isCacheToken(pageToken) {
+    return !!pageToken && pageToken.startsWith(CACHE_TOKEN_PREFIX);
+  }
+
+  // Forget everything cached for a user
+  async clear(userId) {
+    return this.backendFor(userId).transaction(view => {
+      const keys = view.keys(`${userId}:`);
+      keys.forEach(key => view.delete(key));
+      return keys.length;
+    });
+  }
+}
+
+module.exports = new MailCache();
+module.exports.MailCache = MailCache;
@@ -0,0 +1,50 @@
+// utils/mbox.js
+const { getHeader } = require('./mimeParser');
+const { parseAddressList } = require('./addressParser');
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// asctime()-style UTC date used on From_ lines: "Mon Jan  1 10:00:00 2024"
+function asctime(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${DAYS[date.getUTCDay()]} ${MONTHS[date.getUTCMonth()]} ${String(date.getUTCDate()).padStart(2, ' ')} ` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} ${date.getUTCFullYear()}`;
+}
+
+// Envelope sender for the From_ line: Return-Path, else the From address
+function envelopeSender(raw) {
+  const headerEnd = raw.search(/\r?\n\r?\n/);
+  const headerBlock = (headerEnd === -1 ? raw : raw.slice(0, headerEnd)).replace(/\r?\n[ \t]+/g, ' ');
+  const headers = headerBlock.split(/\r?\n/).map(line => {
+    const colon = line.indexOf(':');
+    return { name: line.slice(0, colon), value: line.slice(colon + 1).trim() };
+  });
+
+  const returnPath = getHeader(headers, 'Return-Path').replace(/[<>\s]/g, '');
+  const from = parseAddressList(getHeader(headers, 'From'))[0];
+  const sender = returnPath || (from && from.address) || '';
+  return /^[^\s@]+@[^\s@]+$/.test(sender) ? sender : 'MAILER-DAEMON';
+}
+
+// One mboxrd entry for an RFC 822 message: a From_ separator line, the
+// message with LF line endings and every line matching /^>*From / quoted with
+// one more '>', then a blank line. mboxrd quoting is reversible, so readers
+// get the original message back.
+function formatMboxEntry(rawMessage, receivedAt) {
+  const raw = Buffer.isBuffer(rawMessage) ? rawMessage.toString('latin1') : rawMessage;
+  const date = receivedAt instanceof Date && !isNaN(receivedAt) ? receivedAt : new Date();
+
+  const body = raw
+    .replace(/\r\n/g, '\n')
+    .replace(/^(>*From )/gm, '>$1')
+    .replace(/\n*$/, '\n');
+
+  // latin1 round-trips every byte, so 8-bit message content is kept as-is
+  return Buffer.from(`From ${envelopeSender(raw)} ${asctime(date)}\n${body}\n`, 'latin1');
+}
+
+module.exports = {
+  asctime,
+  formatMboxEntry
+};
@@ -0,0 +1,247 @@
+// utils/messageFetcher.js
+const crypto = require('crypto');
+
+// GMAIL_FETCH_MODE=batch sends metadata requests through Gmail's multipart
+// batch endpoint; the default issues individual requests in parallel
+const FETCH_MODE = process.env.GMAIL_FETCH_MODE === 'batch' ? 'batch' : 'concurrent';
+const CONCURRENCY = parseInt(process.env.GMAIL_FETCH_CONCURRENCY) || 10;
+// Gmail counts batched calls individually and recommends at most 50 per batch
+const BATCH_SIZE = Math.min(parseInt(process.env.GMAIL_BATCH_SIZE) || 50, 100);
+// Gmail's per-user rate limit is 250 quota units per second
+const QUOTA_UNITS_PER_SECOND = parseInt(process.env.GMAIL_QUOTA_UNITS_PER_SECOND) || 250;
+const MAX_LIMITERS = 1000;
+const MAX_ATTEMPTS = 3;
+
+const BATCH_URL = 'https://gmail.googleapis.com/batch/gmail/v1';
+
+// Quota cost of one call, from Gmail's usage limits table
+const QUOTA_UNITS = {
+  messages: 5,
+  threads: 10
+};
+
+// Token bucket shared by every fetcher working on the same mailbox
+class QuotaLimiter {
+  constructor(unitsPerSecond) {
+    this.rate = unitsPerSecond;
+    this.tokens = unitsPerSecond;
+    this.updatedAt = Date.now();
+    this.queue = Promise.resolve();
+  }
+
+  // Resolves once units may be spent. Callers are served in order; a request
+  // larger than the bucket waits for a full bucket and leaves it in debt.
+  consume(units) {
+    const turn = this.queue.then(() => this.take(units));
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  async take(units) {
+    this.refill();
+    const needed = Math.min(units, this.rate);
+    if (this.tokens < needed) {
+      await sleep(Math.ceil((needed - this.tokens) / this.rate * 1000));
+      this.refill();
+    }
+    this.tokens -= units;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.rate, this.tokens + (now - this.updatedAt) / 1000 * this.rate);
+    this.updatedAt = now;
+  }
+}
+
+const limiters = new Map();
+
+function limiterFor(quotaKey) {
+  let limiter = limiters.get(quotaKey);
+  if (!limiter) {
+    limiter = new QuotaLimiter(QUOTA_UNITS_PER_SECOND);
+    limiters.set(quotaKey, limiter);
+    if (limiters.size > MAX_LIMITERS) {
+      limiters.delete(limiters.keys().next().value);
+    }
+  }
+  return limiter;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Run fn over items with at most limit calls in flight; results keep item order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// 429s, Gmail's 403 rate-limit reasons and 5xx are worth retrying. body is
+// the error response's JSON ({ error: { errors: [{ reason }] } }).
+function isRetryable(status, body) {
+  if (status === 429 || status >= 500) return true;
+  const reason = body?.error?.errors?.[0]?.reason;
+  return status === 403 && /rateLimitExceeded|userRateLimitExceeded/.test(reason || '');
+}
+
+// Fetches many messages or threads for one mailbox: in parallel (bounded by
+// GMAIL_FETCH_CONCURRENCY) or through the batch endpoint, always within the
+// mailbox's quota. Results come back in the order of the ids, each either
+// { id, data } or { id, error }.
+class MessageFetcher {
+  constructor(gmail, auth, { quotaKey = 'default', mode = FETCH_MODE, concurrency = CONCURRENCY } = {}) {
+    this.gmail = gmail;
+    this.auth = auth;
+    this.limiter = limiterFor(quotaKey);
+    this.mode = mode;
+    this.concurrency = concurrency;
+  }
+
+  // params: format, metadataHeaders, ... as for users.messages.get
+  async getMessages(ids, params = {}) {
+    return this.fetchAll('messages', ids, params);
+  }
+
+  // params: format, metadataHeaders, ... as for users.threads.get
+  async getThreads(ids, params = {}) {
+    return this.fetchAll('threads', ids, params);
+  }
+
+  async fetchAll(resource, ids, params) {
+    if (ids.length === 0) return [];
+
+    if (this.mode !== 'batch') {
+      return mapWithConcurrency(ids, this.concurrency, id => this.fetchOne(resource, id, params));
+    }
+
+    const results = [];
+    for (let start = 0; start < ids.length; start += BATCH_SIZE) {
+      results.push(...await this.fetchBatch(resource, ids.slice(start, start + BATCH_SIZE), params));
+    }
+    return results;
+  }
+
+  async fetchOne(resource, id, params) {
+    for (let attempt = 1; ; attempt++) {
+      await this.limiter.consume(QUOTA_UNITS[resource]);
+      try {
+        const response = await this.gmail.users[resource].get({ userId: 'me', id: id, ...params });
+        return { id, data: response.data };
+      } catch (error) {
+        const status = error.response?.status || error.code;
+        if (attempt < MAX_ATTEMPTS && isRetryable(status, error.response?.data)) {
+          await sleep(backoff(attempt));
+          continue;
+        }
+        console.error(`Error fetching ${resource} ${id}:`, error.message);
+        return { id, error: error.message };
+      }
+    }
+  }
+
+  // One multipart/mixed request carrying a GET per id. Items the batch
+  // answers with a retryable status are fetched again individually.
+  async fetchBatch(resource, ids, params) {
+    await this.limiter.consume(QUOTA_UNITS[resource] * ids.length);
+
+    let parts;
+    try {
+      parts = await this.sendBatch(resource, ids, params);
+    } catch (error) {
+      console.error(`Batch ${resource} request failed, fetching individually:`, error.message);
+      return mapWithConcurrency(ids, this.concurrency, id => this.fetchOne(resource, id, params));
+    }
+
+    return mapWithConcurrency(ids, this.concurrency, async (id, index) => {
+      const part = parts.get(index);
+      if (part && part.status >= 200 && part.status < 300) {
+        return { id, data: part.body };
+      }
+      if (!part || isRetryable(part.status, part.body)) {
+        return this.fetchOne(resource, id, params);
+      }
+      const message = part.body?.error?.message || `HTTP ${part.status}`;
+      console.error(`Error fetching ${resource} ${id}:`, message);
+      return { id, error: message };
+    });
+  }
+
+  async sendBatch(resource, ids, params) {
+    const boundary = `batch_${crypto.randomBytes(12).toString('hex')}`;
+    const query = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+      [].concat(value).forEach(item => query.append(key, item));
+    }
+
+    const body = ids.map((id, index) => [
+      `--${boundary}`,
+      'Content-Type: application/http',
+      `Content-ID: <item-${index}>`,
+      '',
+      `GET /gmail/v1/users/me/${resource}/${encodeURIComponent(id)}?${query.toString()}`,
+      '',
+      ''
+    ].join('\r\n')).join('') + `--${boundary}--\r\n`;
+
+    const response = await this.auth.request({
+      url: BATCH_URL,
+      method: 'POST',
+      headers: { 'Content-Type': `multipart/mixed; boundary=${boundary}` },
+      data: body,
+      responseType: 'text'
+    });
+
+    const contentType = response.headers['content-type'] || '';
+    const match = /boundary=("?)([^";]+)\1/i.exec(contentType);
+    if (!match) {
+      throw new Error('Batch response is not multipart');
+    }
+    return parseBatchResponse(response.data, match[2]);
+  }
+}
+
+function backoff(attempt) {
+  return 500 * 2 ** (attempt - 1) + Math.floor(Math.random() * 250);
+}
+
+// Map of item index -> { status, body } from a multipart/mixed batch response
+function parseBatchResponse(text, boundary) {
+  const parts = new Map();
+
+  for (const chunk of text.split(`--${boundary}`)) {
+    const idMatch = /Content-ID:\s*<?response-item-(\d+)>?/i.exec(chunk);
+    const statusMatch = /HTTP\/[\d.]+\s+(\d{3})/.exec(chunk);
+    if (!idMatch || !statusMatch) continue;
+
+    // The inner response's body follows the first blank line after its status line
+    const afterStatus = chunk.slice(statusMatch.index);
+    const bodyStart = afterStatus.search(/\r?\n\r?\n/);
+    const rawBody = bodyStart === -1 ? '' : afterStatus.slice(bodyStart).trim();
+
+    let body = null;
+    try {
+      body = rawBody ? JSON.parse(rawBody) : null;
+    } catch (error) {
+      body = { error: { message: rawBody.slice(0, 200) } };
+    }
+    parts.set(parseInt(idMatch[1], 10), { status: parseInt(statusMatch[1], 10), body });
+  }
+
+  return parts;
+}
+
+module.exports = MessageFetcher;
+module.exports.mapWithConcurrency = mapWithConcurrency;
+module.exports.parseBatchResponse = parseBatchResponse;
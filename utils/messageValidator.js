@@ -0,0 +1,106 @@
+// utils/messageValidator.js
+const { formatAddress, parseAddressListStrict } = require('./addressParser');
+
+// Gmail accepts up to 500 recipients per message; we stop well short of that
+const MAX_RECIPIENTS = parseInt(process.env.MAX_RECIPIENTS) || 100;
+const MAX_SUBJECT_LENGTH = 998;
+
+const hasLineBreak = (value) => /[\r\n\0]/.test(value);
+
+// Check the fields of an outgoing message before anything is composed.
+// Address fields take a header-style string, or an array of strings and
+// { name, address } entries; header values must not contain CR, LF or NUL,
+// which would let them inject headers.
+// Drafts (requireRecipients false) may be saved before anyone is addressed.
+// Returns { errors: { field: message }, addresses: { from, to, cc, bcc,
+// replyTo } } with each address list parsed into { name, address } entries.
+function validateOutgoingMessage({ from, to, cc, bcc, replyTo, subject, headers = {}, attachments, requireRecipients = true }) {
+  const errors = {};
+  const addresses = {};
+
+  const addressFields = { from, to, cc, bcc, replyTo };
+  for (const [field, value] of Object.entries(addressFields)) {
+    const values = Array.isArray(value) ? value : [value];
+    const parsed = values.map(entry => parseAddressListStrict(entry && typeof entry === 'object' ? formatAddress(entry) : entry));
+    const fieldErrors = parsed.flatMap(result => result.errors);
+
+    if (fieldErrors.length > 0) {
+      errors[field] = fieldErrors.join('; ');
+    }
+    addresses[field] = parsed.flatMap(result => result.addresses);
+  }
+
+  if (addresses.from.length > 1) {
+    errors.from = errors.from || 'must be a single address';
+  }
+
+  const recipients = addresses.to.length + addresses.cc.length + addresses.bcc.length;
+  if (recipients === 0 && requireRecipients && !errors.to) {
+    errors.to = 'at least one recipient is required';
+  } else if (recipients > MAX_RECIPIENTS) {
+    errors.to = `too many recipients (${recipients}); the limit is ${MAX_RECIPIENTS} across to, cc and bcc`;
+  }
+
+  if (subject !== undefined && subject !== null) {
+    if (typeof subject !== 'string') {
+      errors.subject = 'must be a string';
+    } else if (hasLineBreak(subject)) {
+      errors.subject = 'must not contain line breaks';
+    } else if (subject.length > MAX_SUBJECT_LENGTH) {
+      errors.subject = `must be at most ${MAX_SUBJECT_LENGTH} characters`;
+    }
+  }
+
+  for (const [name, value] of Object.entries(headers)) {
+    if (!/^[\x21-\x39\x3b-\x7e]+$/.test(name)) {
+      errors.headers = `"${name}" is not a valid header name`;
+    } else if (value && hasLineBreak(String(value))) {
+      errors.headers = `${name} must not contain line breaks`;
+    }
+  }
+
+  if (attachments !== undefined && attachments !== null) {
+    if (!Array.isArray(attachments)) {
+      errors.attachments = 'must be an array';
+    } else {
+      const problems = attachments.map((attachment, index) => {
+        if (!attachment || !attachment.filename || !attachment.content) {
+          return `attachment ${index + 1} needs a filename and content`;
+        }
+        const values = [attachment.filename, attachment.mimeType, attachment.contentId].filter(Boolean).map(String);
+        if (values.some(hasLineBreak)) {
+          return `attachment ${index + 1} has a line break in its filename, mimeType or contentId`;
+        }
+        if (attachment.mimeType && !/^[\w.+-]+\/[\w.+-]+$/.test(attachment.mimeType)) {
+          return `attachment ${index + 1} has an invalid mimeType`;
+        }
+        return null;
+      }).filter(Boolean);
+
+      if (problems.length > 0) errors.attachments = problems.join('; ');
+    }
+  }
+
+  return { errors, addresses };
+}
+
+// validateOutgoingMessage, throwing an error with status 400 and the
+// per-field messages in error.fields when anything is invalid
+function assertValidMessage(fields) {
+  const { errors, addresses } = validateOutgoingMessage(fields);
+  const invalid = Object.entries(errors);
+
+  if (invalid.length > 0) {
+    const error = new Error(`Invalid message: ${invalid.map(([field, message]) => `${field} ${message}`).join('; ')}`);
+    error.status = 400;
+    error.fields = errors;
+    throw error;
+  }
+  return addresses;
+}
+
+module.exports = {
+  MAX_RECIPIENTS,
+  assertValidMessage,
+  validateOutgoingMessage
+};
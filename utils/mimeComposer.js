@@ -0,0 +1,248 @@
+// utils/mimeComposer.js
+const crypto = require('crypto');
+const path = require('path');
+const { formatAddress, parseAddressList } = require('./addressParser');
+
+const MAX_LINE = 76;
+
+// Types for attachments that arrive without one
+const MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.json': 'application/json',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.ics': 'text/calendar',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+const isAscii = (text) => /^[\x00-\x7f]*$/.test(text);
+
+// Header values are never allowed to end the header line early
+function assertHeaderSafe(value, what) {
+  if (/[\r\n\0]/.test(String(value))) {
+    throw new Error(`${what} must not contain line breaks`);
+  }
+}
+
+// RFC 2047 encoded words for header text that isn't plain ASCII. Each word
+// stays under 75 characters and never splits a UTF-8 sequence; words are
+// joined with folding whitespace, which decoders drop between encoded words.
+function encodeHeaderValue(text) {
+  const value = String(text);
+  if (isAscii(value)) return value;
+
+  const words = [];
+  let chunk = '';
+  for (const char of value) {
+    if (Buffer.byteLength(chunk + char) > 45) {
+      words.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  if (chunk) words.push(chunk);
+
+  return words.map(word => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`).join('\r\n ');
+}
+
+// Address header value from a header string, or an array of strings and
+// { name, address } objects. Non-ASCII display names are encoded; long lists
+// are folded between addresses.
+function formatAddressHeader(value) {
+  const list = Array.isArray(value)
+    ? value.flatMap(entry => (typeof entry === 'string' ? parseAddressList(entry) : [entry]))
+    : parseAddressList(value);
+
+  const formatted = list.map(({ name, address }) => {
+    assertHeaderSafe(`${name || ''}${address}`, 'An address');
+    return name && !isAscii(name)
+      ? `${encodeHeaderValue(name)} <${address}>`
+      : formatAddress({ name, address });
+  });
+
+  let line = '';
+  return formatted.reduce((header, entry, index) => {
+    const separator = index === 0 ? '' : (line.length + entry.length + 2 > MAX_LINE ? ',\r\n ' : ', ');
+    line = separator.includes('\n') ? entry : line + separator + entry;
+    return header + separator + entry;
+  }, '');
+}
+
+// Quoted-printable (RFC 2045) for text bodies, with CRLF line endings
+function encodeQuotedPrintable(text) {
+  return text.split(/\r?\n/).map(line => {
+    const bytes = Buffer.from(line);
+    let encoded = '';
+    let current = '';
+
+    bytes.forEach((byte, i) => {
+      const last = i === bytes.length - 1;
+      const literal = (byte >= 33 && byte <= 126 && byte !== 61) || ((byte === 32 || byte === 9) && !last);
+      const token = literal ? String.fromCharCode(byte) : `=${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+
+      // Soft line break, leaving room for the trailing "="
+      if (current.length + token.length > MAX_LINE - 1) {
+        encoded += `${current}=\r\n`;
+        current = '';
+      }
+      current += token;
+    });
+
+    return encoded + current;
+  }).join('\r\n');
+}
+
+function wrapBase64(buffer) {
+  return buffer.toString('base64').replace(new RegExp(`.{${MAX_LINE}}`, 'g'), '$&\r\n').replace(/\r\n$/, '');
+}
+
+// A parameter value, RFC 2231-encoded when it isn't plain ASCII. The legacy
+// name= parameter carries an encoded word for clients that ignore RFC 2231.
+function parameter(key, value) {
+  if (isAscii(value)) {
+    return `${key}="${value.replace(/(["\\])/g, '\\$1')}"`;
+  }
+  const encoded = encodeURIComponent(value).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${key}*=UTF-8''${encoded}`;
+}
+
+function textPart(text, subtype) {
+  const body = text.replace(/\r?\n/g, '\r\n');
+  const plain = isAscii(body) && body.split('\r\n').every(line => line.length <= 998);
+
+  return {
+    headers: [
+      ['Content-Type', `text/${subtype}; charset="UTF-8"`],
+      ['Content-Transfer-Encoding', plain ? '7bit' : 'quoted-printable']
+    ],
+    body: plain ? body : encodeQuotedPrintable(body)
+  };
+}
+
+function attachmentPart(attachment) {
+  const filename = attachment.filename;
+  // A forwarded message is embedded as is; RFC 2046 doesn't allow base64 for
+  // message/rfc822, so only a message that isn't plain ASCII falls back to it
+  const embedded = attachment.mimeType === 'message/rfc822' && isAscii(attachment.content.toString('latin1'));
+  const legacyName = isAscii(filename) ? parameter('name', filename) : `name="${encodeHeaderValue(filename).replace(/\r\n /g, ' ')}"`;
+  const headers = [
+    ['Content-Type', `${attachment.mimeType}; ${legacyName}`],
+    ['Content-Transfer-Encoding', embedded ? '7bit' : 'base64'],
+    ['Content-Disposition', `${attachment.inline ? 'inline' : 'attachment'}; ${parameter('filename', filename)}`]
+  ];
+  if (attachment.contentId) {
+    headers.push(['Content-ID', `<${attachment.contentId}>`]);
+  }
+
+  const body = embedded
+    ? attachment.content.toString('latin1').replace(/\r?\n/g, '\r\n').replace(/\r\n$/, '')
+    : wrapBase64(attachment.content);
+  return { headers, body };
+}
+
+function multipart(subtype, parts) {
+  return parts.length === 1 ? parts[0] : { subtype, parts };
+}
+
+// Attachments from an API request: { filename, content (base64 or Buffer),
+// mimeType?, contentId?, inline? }. A contentId makes the part an inline
+// image the HTML body can reference as cid:<contentId>.
+function normalizeAttachments(attachments) {
+  return (attachments || []).map((attachment, index) => {
+    if (!attachment || !attachment.filename || !attachment.content) {
+      throw new Error(`Attachment ${index + 1} needs a filename and content`);
+    }
+    [attachment.filename, attachment.mimeType, attachment.contentId]
+      .filter(Boolean)
+      .forEach(value => assertHeaderSafe(value, `Attachment ${index + 1}`));
+
+    const content = Buffer.isBuffer(attachment.content)
+      ? attachment.content
+      : Buffer.from(String(attachment.content).replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+    const contentId = attachment.contentId ? String(attachment.contentId).replace(/^<|>$/g, '') : null;
+
+    return {
+      filename: String(attachment.filename),
+      mimeType: attachment.mimeType ||
+        MIME_TYPES[path.extname(String(attachment.filename)).toLowerCase()] ||
+        'application/octet-stream',
+      content,
+      contentId,
+      inline: !!contentId && attachment.inline !== false
+    };
+  });
+}
+
+function render(part, lines) {
+  if (part.parts) {
+    const boundary = `=_Part_${crypto.randomBytes(12).toString('hex')}`;
+    lines.push(`Content-Type: multipart/${part.subtype}; boundary="${boundary}"`, '');
+    for (const child of part.parts) {
+      lines.push(`--${boundary}`);
+      render(child, lines);
+    }
+    lines.push(`--${boundary}--`);
+    return;
+  }
+
+  part.headers.forEach(([name, value]) => lines.push(`${name}: ${value}`));
+  lines.push('', part.body);
+}
+
+// Build an RFC 5322 message. The body is text, html or both
+// (multipart/alternative); inline images join the HTML in multipart/related
+// and attachments wrap everything in multipart/mixed.
+//   { from, to, cc, bcc, replyTo, subject, text, html, attachments, headers }
+// headers holds extra header lines, e.g. { 'In-Reply-To': '<id@host>' }.
+function composeMessage({ from, to, cc, bcc, replyTo, subject, text, html, attachments, headers = {} }) {
+  const files = normalizeAttachments(attachments);
+  const inline = html ? files.filter(file => file.inline) : [];
+  const attached = files.filter(file => !inline.includes(file)).map(file => ({ ...file, inline: false }));
+
+  const bodies = [];
+  if (text || !html) bodies.push(textPart(text || '', 'plain'));
+  if (html) bodies.push(textPart(html, 'html'));
+
+  let root = multipart('alternative', bodies);
+  if (inline.length > 0) root = { subtype: 'related', parts: [root, ...inline.map(attachmentPart)] };
+  if (attached.length > 0) root = { subtype: 'mixed', parts: [root, ...attached.map(attachmentPart)] };
+
+  const lines = [];
+  const addressHeaders = [['From', from], ['To', to], ['Cc', cc], ['Bcc', bcc], ['Reply-To', replyTo]];
+  for (const [name, value] of addressHeaders) {
+    const formatted = value && formatAddressHeader(value);
+    if (formatted) lines.push(`${name}: ${formatted}`);
+  }
+  assertHeaderSafe(subject || '', 'Subject');
+  lines.push(`Subject: ${encodeHeaderValue(subject || '')}`);
+  for (const [name, value] of Object.entries(headers)) {
+    if (!value) continue;
+    assertHeaderSafe(`${name}${value}`, name);
+    lines.push(`${name}: ${encodeHeaderValue(value)}`);
+  }
+  lines.push('MIME-Version: 1.0');
+  render(root, lines);
+
+  return Buffer.from(lines.join('\r\n') + '\r\n');
+}
+
+module.exports = {
+  composeMessage,
+  encodeHeaderValue,
+  encodeQuotedPrintable,
+  formatAddressHeader,
+  normalizeAttachments
+};
@@ -0,0 +1,140 @@
+// utils/mimeParser.js
+
+// Gmail returns message bodies as base64url (RFC 4648 §5), often unpadded
+function decodeBase64Url(data) {
+  return Buffer.from(data.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function getHeader(headers, name) {
+  const lower = name.toLowerCase();
+  const header = (headers || []).find(h => h.name.toLowerCase() === lower);
+  return header ? header.value : '';
+}
+
+// Read a parameter such as charset or filename from a structured header value
+function getHeaderParam(value, param) {
+  const pattern = new RegExp(`(?:^|;)\\s*${param}\\*?\\s*=\\s*(?:"([^"]*)"|([^;\\s]*))`, 'i');
+  const match = pattern.exec(value || '');
+  return match ? (match[1] !== undefined ? match[1] : match[2]) : '';
+}
+
+// Decode bytes using the part's declared charset, falling back to UTF-8 for
+// charsets Node doesn't know (TextDecoder covers the WHATWG encoding list)
+function decodeText(buffer, charset) {
+  const label = (charset || 'utf-8').trim().toLowerCase();
+  try {
+    return new TextDecoder(label).decode(buffer);
+  } catch (error) {
+    return buffer.toString('utf8');
+  }
+}
+
+// Plain-text rendering of an HTML body, for clients that only show text
+function htmlToText(html) {
+  return html
+    .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|tr|li|h[1-6]|blockquote)>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;|&apos;/gi, '\'')
+    .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (m, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/gi, '&')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Attachment/inline metadata for a leaf part
+function describePart(part, disposition) {
+  const contentId = getHeader(part.headers, 'Content-ID').replace(/^<|>$/g, '');
+  return {
+    partId: part.partId,
+    filename: part.filename || '',
+    mimeType: part.mimeType,
+    size: part.body?.size || 0,
+    attachmentId: part.body?.attachmentId || null,
+    contentId: contentId || null,
+    disposition: disposition,
+    inline: disposition === 'inline'
+  };
+}
+
+// Walk a Gmail message payload (users.messages.get format=full) and collect
+// its text and HTML bodies plus attachment and inline part metadata.
+//
+// Nested multiparts are walked depth-first. Text parts that aren't marked as
+// attachments are concatenated in order, so a multipart/mixed holding several
+// text segments keeps all of them. Bodies stored out of line (attachmentId
+// without data) are listed but not fetched here.
+function parseMessagePayload(payload) {
+  const result = {
+    text: '',
+    html: '',
+    attachments: [],
+    inline: []
+  };
+  const textParts = [];
+  const htmlParts = [];
+
+  const walk = (part, parentType) => {
+    if (!part) return;
+    const mimeType = (part.mimeType || '').toLowerCase();
+
+    if (part.parts && part.parts.length > 0) {
+      part.parts.forEach(child => walk(child, mimeType));
+      return;
+    }
+
+    const contentType = getHeader(part.headers, 'Content-Type');
+    const dispositionHeader = getHeader(part.headers, 'Content-Disposition');
+    const dispositionType = dispositionHeader.split(';')[0].trim().toLowerCase();
+    const hasContentId = !!getHeader(part.headers, 'Content-ID');
+    const isText = mimeType === 'text/plain' || mimeType === 'text/html';
+    const isAttachment = dispositionType === 'attachment' || (!!part.filename && dispositionType !== 'inline');
+
+    if (isText && !isAttachment && part.body?.data) {
+      const content = decodeText(decodeBase64Url(part.body.data), getHeaderParam(contentType, 'charset'));
+      (mimeType === 'text/html' ? htmlParts : textParts).push(content);
+      return;
+    }
+
+    if (dispositionType === 'inline' || (hasContentId && parentType === 'multipart/related')) {
+      result.inline.push(describePart(part, 'inline'));
+    } else if (isAttachment || part.body?.attachmentId) {
+      result.attachments.push(describePart(part, 'attachment'));
+    }
+  };
+
+  walk(payload, null);
+
+  result.text = textParts.join('\n');
+  result.html = htmlParts.join('\n');
+  return result;
+}
+
+// Find a part by its Gmail partId ('0', '1.2', ...)
+function findPart(payload, partId) {
+  if (!payload) return null;
+  if (payload.partId === partId) return payload;
+  for (const child of payload.parts || []) {
+    const found = findPart(child, partId);
+    if (found) return found;
+  }
+  return null;
+}
+
+module.exports = {
+  decodeBase64Url,
+  decodeText,
+  describePart,
+  findPart,
+  getHeader,
+  getHeaderParam,
+  htmlToText,
+  parseMessagePayload
+};
@@ -0,0 +1,83 @@
+// utils/oauthStateStore.js
+const crypto = require('crypto');
+const { createBackend } = require('./storage');
+
+const DEFAULT_TTL_MS = 10 * 60 * 1000;
+
+function hash(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function base64url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function stateError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Pending OAuth authorization requests. Each one pairs a random state nonce
+// with the client that started it (a hash of its binding cookie) and the
+// PKCE code verifier, and can be consumed exactly once before it expires.
+class OAuthStateStore {
+  constructor(options = {}) {
+    this.backend = options.backend ||
+      createBackend(process.env.OAUTH_STATE_STORE || 'memory', 'oauth_states');
+    this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+  }
+
+  // Start an authorization request for the client identified by binding;
+  // data is handed back by consume() once the callback is validated
+  async create(binding, data = {}) {
+    const state = base64url(crypto.randomBytes(32));
+    const codeVerifier = base64url(crypto.randomBytes(48));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    await this.prune();
+    await this.backend.set(hash(state), {
+      binding: hash(binding),
+      codeVerifier: codeVerifier,
+      data: data,
+      expiresAt: Date.now() + this.ttlMs
+    });
+
+    return { state, codeChallenge, codeChallengeMethod: 'S256' };
+  }
+
+  // Validate a callback's state against the client presenting it. The record
+  // is removed whether or not validation succeeds, so a state is single-use.
+  async consume(state, binding) {
+    let record = null;
+    await this.backend.update(hash(state), stored => {
+      record = stored;
+      return undefined;
+    });
+
+    if (!record) {
+      throw stateError('invalid_state', 'Unknown or already used state parameter');
+    }
+    if (Date.now() > record.expiresAt) {
+      throw stateError('expired_state', 'Authorization request expired, please start again');
+    }
+    if (!binding || !crypto.timingSafeEqual(Buffer.from(hash(binding)), Buffer.from(record.binding))) {
+      throw stateError('state_mismatch', 'Authorization request was started by a different client');
+    }
+
+    return { codeVerifier: record.codeVerifier, data: record.data || {} };
+  }
+
+  // Drop requests that were never completed
+  async prune() {
+    const now = Date.now();
+    await this.backend.transaction(view => {
+      view.keys().forEach(key => {
+        if (view.get(key).expiresAt < now) view.delete(key);
+      });
+    });
+  }
+}
+
+module.exports = new OAuthStateStore();
+module.exports.OAuthStateStore = OAuthStateStore;
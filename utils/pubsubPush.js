@@ -0,0 +1,109 @@
+// utils/pubsubPush.js
+const crypto = require('crypto');
+const { google } = require('googleapis');
+
+// Pub/Sub push requests are authenticated one (or both) of two ways:
+//  - PUBSUB_VERIFICATION_TOKEN: a shared secret in the push endpoint URL
+//    (https://host/webhooks/gmail?token=...)
+//  - PUBSUB_AUDIENCE: the subscription's OIDC token. Pub/Sub signs a Google ID
+//    token for the subscription's service account with this audience and sends
+//    it as "Authorization: Bearer <jwt>". PUBSUB_SERVICE_ACCOUNT, when set, must
+//    match the token's email.
+// With neither configured every push is rejected.
+function pushAuthConfig() {
+  return {
+    token: process.env.PUBSUB_VERIFICATION_TOKEN || null,
+    audience: process.env.PUBSUB_AUDIENCE || null,
+    serviceAccount: process.env.PUBSUB_SERVICE_ACCOUNT || null
+  };
+}
+
+function authError(message) {
+  const error = new Error(message);
+  error.status = 401;
+  return error;
+}
+
+let oidcClient = null;
+
+// Throws an error with status 401 unless the request is a genuine push
+async function verifyPushRequest(req, config = pushAuthConfig()) {
+  if (!config.token && !config.audience) {
+    throw authError('Push verification is not configured');
+  }
+
+  if (config.token) {
+    const expected = Buffer.from(config.token);
+    const actual = Buffer.from(String(req.query.token || ''));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw authError('Invalid push token');
+    }
+  }
+
+  if (config.audience) {
+    const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+    if (!match) {
+      throw authError('Missing push authorization token');
+    }
+
+    oidcClient = oidcClient || new google.auth.OAuth2();
+    let payload;
+    try {
+      const ticket = await oidcClient.verifyIdToken({ idToken: match[1], audience: config.audience });
+      payload = ticket.getPayload();
+    } catch (error) {
+      throw authError(`Invalid push authorization token: ${error.message}`);
+    }
+
+    if (config.serviceAccount && (payload.email !== config.serviceAccount || !payload.email_verified)) {
+      throw authError('Push token was not issued for the expected service account');
+    }
+  }
+}
+
+// Pub/Sub push body: { message: { data, messageId, publishTime }, subscription }.
+// Gmail's data is base64 JSON: { emailAddress, historyId }.
+function decodePushMessage(body) {
+  const message = body && body.message;
+  if (!message || typeof message.data !== 'string') {
+    throw new Error('Not a Pub/Sub push message');
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(message.data, 'base64').toString('utf8'));
+  } catch (error) {
+    throw new Error(`Undecodable push data: ${error.message}`);
+  }
+
+  if (!data || typeof data.emailAddress !== 'string' || !/^\d+$/.test(String(data.historyId))) {
+    throw new Error('Push data is missing emailAddress or historyId');
+  }
+
+  return {
+    emailAddress: data.emailAddress.toLowerCase(),
+    historyId: String(data.historyId),
+    messageId: message.messageId || message.message_id || null,
+    publishTime: message.publishTime || message.publish_time || null,
+    subscription: body.subscription || null
+  };
+}
+
+// Push body for a Gmail notification, as Pub/Sub would send it (for local testing)
+function encodePushMessage({ emailAddress, historyId, subscription = 'projects/local/subscriptions/gmail-push' }) {
+  return {
+    message: {
+      data: Buffer.from(JSON.stringify({ emailAddress, historyId: Number(historyId) })).toString('base64'),
+      messageId: String(Date.now()),
+      publishTime: new Date().toISOString()
+    },
+    subscription: subscription
+  };
+}
+
+module.exports = {
+  decodePushMessage,
+  encodePushMessage,
+  pushAuthConfig,
+  verifyPushRequest
+};
@@ -0,0 +1,65 @@
+// utils/quotedText.js
+
+// "On Mon, 1 Jan 2024 at 10:00, Alice <a@x.com> wrote:" and its localized
+// variants often wrap, so the attribution may span two lines
+const ATTRIBUTION = /^(On|Le|Am|El|Il|Op)\s.+(wrote|a écrit|schrieb|escribió|ha scritto|schreef)\s*:\s*$/i;
+// Outlook and older clients put a header block above the quoted message
+const ORIGINAL_MESSAGE = /^\s*(-{2,}\s*Original Message\s*-{2,}|_{10,})\s*$/i;
+const OUTLOOK_HEADER = /^\s*From:\s.+/i;
+
+// Split a plain-text body into what the sender wrote and the quoted history
+// below it. Only a trailing quote is collapsed: replies written inline between
+// quoted lines are left intact. Forwarded messages are never treated as quotes.
+function splitQuotedText(text) {
+  if (!text) {
+    return { visible: '', quoted: '' };
+  }
+
+  const lines = text.split(/\r?\n/);
+  let start = lines.length;
+
+  // Trailing run of '>' lines (blank lines allowed between them)
+  let i = lines.length - 1;
+  while (i >= 0 && lines[i].trim() === '') i--;
+  let quoteStart = -1;
+  while (i >= 0 && (lines[i].startsWith('>') || lines[i].trim() === '')) {
+    if (lines[i].startsWith('>')) quoteStart = i;
+    i--;
+  }
+  if (quoteStart !== -1) {
+    start = quoteStart;
+    // Pull the attribution line(s) above the quote in with it
+    let j = quoteStart - 1;
+    while (j >= 0 && lines[j].trim() === '') j--;
+    if (j >= 0 && ATTRIBUTION.test(lines[j].trim())) {
+      start = j;
+    } else if (j >= 1 && ATTRIBUTION.test(`${lines[j - 1].trim()} ${lines[j].trim()}`)) {
+      start = j - 1;
+    }
+  }
+
+  // Outlook style: a header block followed by the unquoted original
+  for (let k = 0; k < start; k++) {
+    const isHeaderBlock = OUTLOOK_HEADER.test(lines[k]) &&
+      lines.slice(k + 1, k + 4).some(line => /^\s*(Sent|Date):\s/i.test(line));
+    if (ORIGINAL_MESSAGE.test(lines[k]) || (isHeaderBlock && (k === 0 || lines[k - 1].trim() === ''))) {
+      start = k;
+      break;
+    }
+    // "On ... wrote:" above an unprefixed copy of the original (as left by
+    // HTML-to-text conversion); with '>' lines below it the reply is inline
+    if (k > 0 && ATTRIBUTION.test(lines[k].trim()) && !lines.slice(k + 1).some(line => line.startsWith('>'))) {
+      start = k;
+      break;
+    }
+  }
+
+  return {
+    visible: lines.slice(0, start).join('\n').trimEnd(),
+    quoted: lines.slice(start).join('\n').trim()
+  };
+}
+
+module.exports = {
+  splitQuotedText
+};
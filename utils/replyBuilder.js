@@ -0,0 +1,176 @@
+// utils/replyBuilder.js
+const { formatAddress } = require('./addressParser');
+
+// Prefixes clients already put on replies and forwards, localized ones included
+const REPLY_PREFIX = /^\s*(re|aw|sv|antw|vs|r)\s*:/i;
+const FORWARD_PREFIX = /^\s*(fwd?|wg|tr|rv|enc)\s*:/i;
+// Long threads would grow References without bound; keep the newest ids
+const MAX_REFERENCES = 20;
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+const sameAddress = (a, b) => a.address.toLowerCase() === b.address.toLowerCase();
+
+function replySubject(subject) {
+  return REPLY_PREFIX.test(subject || '') ? subject : `Re: ${subject || ''}`.trim();
+}
+
+function forwardSubject(subject) {
+  return FORWARD_PREFIX.test(subject || '') ? subject : `Fwd: ${subject || ''}`.trim();
+}
+
+// Addresses in list that aren't in exclude, without duplicates
+function without(list, exclude) {
+  return list.reduce((kept, person) => {
+    if (!exclude.some(other => sameAddress(person, other)) && !kept.some(other => sameAddress(person, other))) {
+      kept.push(person);
+    }
+    return kept;
+  }, []);
+}
+
+// Who a reply goes to. Like Gmail: answer Reply-To (or From); when we wrote
+// the original ourselves, answer its recipients instead. Reply-all copies
+// everyone else on To and Cc. self lists our own addresses, which are left out.
+function replyRecipients(original, { replyAll = false, self = [] } = {}) {
+  const me = self.filter(Boolean).map(address => ({ address }));
+  const fromSelf = original.from && me.some(person => sameAddress(person, original.from));
+
+  let to = fromSelf
+    ? original.to
+    : (original.replyTo.length > 0 ? original.replyTo : [original.from].filter(Boolean));
+  to = without(to, fromSelf ? [] : me);
+  // A note to ourselves is answered to ourselves
+  if (to.length === 0 && original.from) to = [original.from];
+
+  const cc = replyAll
+    ? without([...(fromSelf ? [] : original.to), ...original.cc], [...me, ...to])
+    : [];
+
+  return { to, cc };
+}
+
+// In-Reply-To and References that thread a reply under original
+function threadingHeaders(original) {
+  if (!original.messageId) return {};
+
+  const references = (original.references || '').split(/\s+/).filter(Boolean);
+  if (references.length === 0 && original.inReplyTo) references.push(original.inReplyTo);
+  references.push(original.messageId);
+
+  return {
+    'In-Reply-To': original.messageId,
+    References: references.slice(-MAX_REFERENCES).join(' ')
+  };
+}
+
+function sentLine(original) {
+  const date = original.internalDate ? new Date(original.internalDate).toUTCString() : original.date;
+  const from = original.from ? formatAddress(original.from) : 'Unknown Sender';
+  return `On ${date}, ${from} wrote:`;
+}
+
+// Plain-text body of the original, whether it came as text or only as HTML
+function originalText(original) {
+  return original.body ? [original.body.visible, original.body.quoted].filter(Boolean).join('\n') : '';
+}
+
+function quoteText(original) {
+  const quoted = originalText(original).split(/\r?\n/).map(line => (line.startsWith('>') ? `>${line}` : `> ${line}`));
+  return `${sentLine(original)}\n${quoted.join('\n')}`;
+}
+
+function quoteHtml(original) {
+  const content = original.htmlBody || `<pre>${escapeHtml(originalText(original))}</pre>`;
+  return `<div class="gmail_quote"><div>${escapeHtml(sentLine(original))}</div>` +
+    `<blockquote style="margin:0 0 0 .8ex;border-left:1px solid #ccc;padding-left:1ex">${content}</blockquote></div>`;
+}
+
+function forwardHeaderLines(original) {
+  const list = (people) => people.map(formatAddress).join(', ');
+  return [
+    '---------- Forwarded message ---------',
+    `From: ${original.from ? formatAddress(original.from) : 'Unknown Sender'}`,
+    `Date: ${original.internalDate ? new Date(original.internalDate).toUTCString() : original.date}`,
+    `Subject: ${original.subject}`,
+    `To: ${list(original.to)}`,
+    ...(original.cc.length > 0 ? [`Cc: ${list(original.cc)}`] : [])
+  ];
+}
+
+// Send arguments for a reply: { to, subject, body, options } where options
+// are GmailService.sendEmail options. original is a parseThreadMessage result
+// (plus references/inReplyTo); options: body, html, replyAll, cc, bcc,
+// attachments, quote (default true), from, self.
+function buildReply(original, options = {}) {
+  const { to, cc } = replyRecipients(original, options);
+  const quote = options.quote !== false;
+  const body = options.body || '';
+
+  return {
+    to: to,
+    subject: replySubject(original.subject),
+    body: quote ? `${body}\n\n${quoteText(original)}` : body,
+    options: {
+      from: options.from,
+      cc: [...cc, ...[].concat(options.cc || [])],
+      bcc: options.bcc,
+      html: options.html && quote ? `${options.html}<br><br>${quoteHtml(original)}` : options.html,
+      attachments: options.attachments,
+      headers: threadingHeaders(original),
+      threadId: original.threadId
+    }
+  };
+}
+
+// Send arguments for a forward. The original goes inline below the body
+// with its attachments (originalAttachments, already fetched), or as a
+// message/rfc822 attachment when options.original is given instead.
+// options: to, cc, bcc, body, html, attachments, from, original.
+function buildForward(original, options = {}, originalAttachments = []) {
+  const body = options.body || '';
+  const attachments = [...(options.attachments || [])];
+  let text = body;
+  let html = options.html;
+
+  if (options.original) {
+    attachments.push({
+      filename: `${(original.subject || 'message').replace(/[\\/:*?"<>|]/g, '_').slice(0, 100)}.eml`,
+      mimeType: 'message/rfc822',
+      content: options.original
+    });
+  } else {
+    const headerLines = forwardHeaderLines(original);
+    text = `${body}\n\n${headerLines.join('\n')}\n\n${originalText(original)}`;
+    if (html || original.htmlBody) {
+      const forwarded = `<div class="gmail_quote">${headerLines.map(escapeHtml).join('<br>')}<br><br>` +
+        `${original.htmlBody || `<pre>${escapeHtml(originalText(original))}</pre>`}</div>`;
+      html = `${html || escapeHtml(body).replace(/\n/g, '<br>')}<br><br>${forwarded}`;
+    }
+    // Inline images only make sense next to the HTML that references them
+    attachments.push(...originalAttachments.filter(part => html || !part.contentId));
+  }
+
+  return {
+    to: options.to,
+    subject: forwardSubject(original.subject),
+    body: text,
+    options: {
+      from: options.from,
+      cc: options.cc,
+      bcc: options.bcc,
+      html: html,
+      attachments: attachments,
+      headers: threadingHeaders(original),
+      threadId: original.threadId
+    }
+  };
+}
+
+module.exports = {
+  buildForward,
+  buildReply,
+  forwardSubject,
+  replyRecipients,
+  replySubject,
+  threadingHeaders
+};
@@ -0,0 +1,66 @@
+// utils/restAuth.js
+const apiKeyStore = require('./apiKeyStore');
+const tokenManager = require('./tokenManager');
+const GmailService = require('../services/gmailService');
+const { hasFeature, consentRequired } = require('../config/scopes');
+
+// Where authRoutes is mounted, for building step-up consent URLs
+const AUTH_BASE_PATH = process.env.AUTH_BASE_PATH || '/api/auth';
+
+// Authenticate REST callers with `Authorization: Bearer <api key>` and load the
+// Google credentials of the user the key belongs to. Sets req.apiKey,
+// req.userId, req.userTokens, req.userEmail and req.gmailService.
+const requireApiKey = async (req, res, next) => {
+  try {
+    const [scheme, key] = (req.headers.authorization || '').split(' ');
+
+    if (scheme !== 'Bearer' || !key) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ 
+        error: 'Authentication required. Send an API key as: Authorization: Bearer <key>' 
+      });
+    }
+
+    const apiKey = await apiKeyStore.resolve(key);
+
+    if (!apiKey) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({ error: 'Invalid or revoked API key' });
+    }
+
+    const tokens = await tokenManager.loadTokens(apiKey.userId);
+
+    if (!tokens) {
+      return res.status(403).json({ 
+        error: 'No Google credentials stored for this API key. Please authenticate again.' 
+      });
+    }
+
+    req.apiKey = apiKey;
+    req.userId = apiKey.userId;
+    req.userTokens = tokens;
+    req.userEmail = tokens.email;
+    req.gmailService = new GmailService({
+      accessToken: tokens.access_token,
+      refreshToken: tokens.refresh_token,
+      expiryDate: tokens.expiry_date
+    }, { userId: apiKey.userId });
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Require a Gmail permission the user may not have granted yet
+const requireFeature = (feature) => (req, res, next) => {
+  if (hasFeature(req.userTokens.scopes || req.userTokens.scope, feature)) {
+    return next();
+  }
+
+  res.status(403).json(consentRequired(feature, `${AUTH_BASE_PATH}/url?feature=${feature}`));
+};
+
+module.exports = {
+  requireApiKey,
+  requireFeature
+};
@@ -0,0 +1,370 @@
+// utils/searchIndex.js
+const { createUserBackends } = require('./storage');
+
+// Bodies are indexed up to this many characters
+const BODY_LIMIT = parseInt(process.env.SEARCH_BODY_LIMIT) || 20000;
+const SNIPPET_RADIUS = 80;
+
+// Relative weight of a term found in each field
+const FIELD_WEIGHTS = {
+  subject: 3,
+  from: 2,
+  to: 1.5,
+  attachments: 2,
+  body: 1
+};
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const docKey = (userId, id) => `${userId}:doc:${id}`;
+
+// Lowercase, strip accents and split on anything that isn't a letter or digit
+function tokenize(text) {
+  return (text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+// Parse a query into free-text terms, quoted phrases and field filters.
+//   budget "quarterly report" from:alice to:bob subject:plan filename:pdf
+//   label:INBOX tag:legal has:attachment after:2024-01-01 before:2024-07-01 -draft
+function parseQuery(query) {
+  const parsed = { terms: [], phrases: [], exclude: [], filters: [] };
+  const pattern = /(-)?(?:(\w+):)?(?:"([^"]*)"|(\S+))/g;
+  let match;
+
+  while ((match = pattern.exec(query || '')) !== null) {
+    const [, negate, field, quoted, word] = match;
+    const value = quoted !== undefined ? quoted : word;
+    if (!value) continue;
+
+    if (field) {
+      parsed.filters.push({ field: field.toLowerCase(), value, negate: !!negate });
+    } else if (negate) {
+      parsed.exclude.push(...tokenize(value));
+    } else if (quoted !== undefined) {
+      const tokens = tokenize(value);
+      if (tokens.length > 1) parsed.phrases.push(tokens);
+      parsed.terms.push(...tokens);
+    } else {
+      parsed.terms.push(...tokenize(value));
+    }
+  }
+
+  return parsed;
+}
+
+// Whether tokens contains phrase as a contiguous run
+function containsPhrase(tokens, phrase) {
+  for (let i = 0; i <= tokens.length - phrase.length; i++) {
+    if (phrase.every((token, j) => tokens[i + j] === token)) return true;
+  }
+  return false;
+}
+
+// Excerpt of text around the first matched term, HTML-escaped with matches in <mark>
+function highlight(text, terms, radius = SNIPPET_RADIUS) {
+  if (!text) return '';
+  const wanted = new Set(terms);
+  const words = [...text.matchAll(/[\p{L}\p{N}]+/gu)];
+  const first = words.find(word => wanted.has(tokenize(word[0])[0]));
+
+  const start = first && radius ? Math.max(0, first.index - radius) : 0;
+  const end = radius ? Math.min(text.length, (first ? first.index : 0) + radius * 2) : text.length;
+
+  let result = '';
+  let cursor = start;
+  for (const word of words) {
+    if (word.index < start || word.index + word[0].length > end) continue;
+    if (!wanted.has(tokenize(word[0])[0])) continue;
+    result += escapeHtml(text.slice(cursor, word.index)) + `<mark>${escapeHtml(word[0])}</mark>`;
+    cursor = word.index + word[0].length;
+  }
+  result += escapeHtml(text.slice(cursor, end));
+
+  return (start > 0 ? '…' : '') + result.replace(/\s+/g, ' ').trim() + (end < text.length ? '…' : '');
+}
+
+// A local full-text index over each user's mail. Documents are persisted in
+// each user's own store (see createUserBackends); the inverted index over them
+// is built in memory the first time a user searches and then kept up to date
+// as documents change.
+class SearchIndex {
+  constructor(options = {}) {
+    this.backendFor = options.backend
+      ? () => options.backend
+      : createUserBackends(process.env.SEARCH_INDEX_STORE, 'search_index', {
+        filePath: process.env.SEARCH_INDEX_STORE_PATH,
+        dir: process.env.SEARCH_INDEX_DIR
+      });
+    this.indexes = new Map();
+  }
+
+  // Add or update documents. Fields that are missing from an update keep their
+  // indexed value, so a metadata-only fetch doesn't drop an indexed body.
+  // doc: { id, threadId, subject, from, to, snippet, body, attachments: [filenames],
+  //        labelIds, date (ms) }. Until a message's body has been fetched its
+  //        snippet is searched instead.
+  // Documents that come out unchanged aren't written again; returns how many were.
+  async upsert(userId, docs) {
+    const changed = await this.backendFor(userId).transaction(view => docs.map(doc => {
+      const stored = view.get(docKey(userId, doc.id));
+      const merged = { ...(stored || { tags: [] }) };
+      for (const [field, value] of Object.entries(doc)) {
+        if (value !== undefined && value !== null) merged[field] = value;
+      }
+      if (typeof merged.body === 'string') merged.body = merged.body.slice(0, BODY_LIMIT);
+      if (stored && JSON.stringify(merged) === JSON.stringify(stored)) return null;
+      view.set(docKey(userId, doc.id), merged);
+      return merged;
+    }).filter(Boolean));
+
+    const index = this.indexes.get(userId);
+    if (index) changed.forEach(doc => this.addToIndex(index, doc));
+    return changed.length;
+  }
+
+  async remove(userId, ids) {
+    await this.backendFor(userId).transaction(view => ids.forEach(id => view.delete(docKey(userId, id))));
+    const index = this.indexes.get(userId);
+    if (index) ids.forEach(id => this.removeFromIndex(index, id));
+  }
+
+  // Record new labelIds for messages that are already indexed
+  async updateLabels(userId, labelChanges) {
+    const stored = await this.backendFor(userId).transaction(view => [...labelChanges].map(([id, labelIds]) => {
+      const doc = view.get(docKey(userId, id));
+      if (!doc || JSON.stringify(doc.labelIds) === JSON.stringify(labelIds)) return null;
+      view.set(docKey(userId, id), { ...doc, labelIds });
+      return { ...doc, labelIds };
+    }).filter(Boolean));
+
+    const index = this.indexes.get(userId);
+    if (index) stored.forEach(doc => this.addToIndex(index, doc));
+  }
+
+  // Drop documents for messages that are no longer in the mailbox
+  async prune(userId, keepIds) {
+    const keep = new Set(keepIds);
+    const prefix = `${userId}:doc:`;
+    const removed = await this.backendFor(userId).transaction(view => view.keys(prefix)
+      .filter(key => !keep.has(key.slice(prefix.length)))
+      .map(key => {
+        view.delete(key);
+        return key.slice(prefix.length);
+      }));
+
+    const index = this.indexes.get(userId);
+    if (index) removed.forEach(id => this.removeFromIndex(index, id));
+    return removed.length;
+  }
+
+  // Local tags, searchable with tag:<name>
+  async setTags(userId, id, tags) {
+    const clean = [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+    const doc = await this.backendFor(userId).update(docKey(userId, id), existing => (existing ? { ...existing, tags: clean } : undefined));
+    if (!doc) return null;
+
+    const index = this.indexes.get(userId);
+    if (index) this.addToIndex(index, doc);
+    return clean;
+  }
+
+  async clear(userId) {
+    this.indexes.delete(userId);
+    return this.backendFor(userId).transaction(view => {
+      const keys = view.keys(`${userId}:doc:`);
+      keys.forEach(key => view.delete(key));
+      return keys.length;
+    });
+  }
+
+  // options: limit, offset, after/before (dates), labelIds
+  async search(userId, query, { limit = 20, offset = 0, after, before, labelIds = [] } = {}) {
+    const index = await this.load(userId);
+    const parsed = parseQuery(query);
+    const terms = [...new Set(parsed.terms)];
+
+    if (after) parsed.filters.push({ field: 'after', value: after, negate: false });
+    if (before) parsed.filters.push({ field: 'before', value: before, negate: false });
+    labelIds.forEach(label => parsed.filters.push({ field: 'label', value: label, negate: false }));
+
+    // Candidates: documents containing every term, or all documents for a filter-only query
+    let candidates;
+    if (terms.length > 0) {
+      candidates = null;
+      for (const term of terms) {
+        const docs = new Set((index.postings.get(term) || new Map()).keys());
+        candidates = candidates ? new Set([...candidates].filter(id => docs.has(id))) : docs;
+      }
+    } else {
+      candidates = new Set(index.docs.keys());
+    }
+
+    const results = [];
+    for (const id of candidates) {
+      const entry = index.docs.get(id);
+      if (!this.matches(entry, parsed)) continue;
+      results.push({ entry, score: this.score(index, entry, terms) });
+    }
+
+    // Best match first; newest first among equals and for filter-only queries
+    results.sort((a, b) => (b.score - a.score) || ((b.entry.doc.date || 0) - (a.entry.doc.date || 0)));
+
+    return {
+      total: results.length,
+      results: results.slice(offset, offset + limit).map(({ entry, score }) => {
+        const { doc } = entry;
+        return {
+          id: doc.id,
+          threadId: doc.threadId,
+          subject: doc.subject,
+          from: doc.from,
+          to: doc.to,
+          date: doc.date ? new Date(doc.date).toISOString() : null,
+          labelIds: doc.labelIds || [],
+          tags: doc.tags || [],
+          attachments: doc.attachments || [],
+          score: Math.round(score * 1000) / 1000,
+          highlights: {
+            subject: highlight(doc.subject, terms, 0),
+            snippet: highlight(doc.body || doc.snippet, terms)
+          }
+        };
+      })
+    };
+  }
+
+  matches(entry, { phrases, exclude, filters }) {
+    const { doc, tokens } = entry;
+    const allTokens = Object.values(tokens).flat();
+
+    if (exclude.some(term => allTokens.includes(term))) return false;
+    if (!phrases.every(phrase => Object.values(tokens).some(fieldTokens => containsPhrase(fieldTokens, phrase)))) {
+      return false;
+    }
+
+    return filters.every(({ field, value, negate }) => {
+      const result = this.matchFilter(doc, tokens, field, value);
+      return negate ? !result : result;
+    });
+  }
+
+  matchFilter(doc, tokens, field, value) {
+    const lower = value.toLowerCase();
+    const phraseIn = (fieldTokens) => containsPhrase(fieldTokens, tokenize(value));
+
+    switch (field) {
+      case 'from':
+        return (doc.from || '').toLowerCase().includes(lower);
+      case 'to':
+        return (doc.to || '').toLowerCase().includes(lower);
+      case 'subject':
+        return phraseIn(tokens.subject);
+      case 'filename':
+        return (doc.attachments || []).some(name => name.toLowerCase().includes(lower));
+      case 'body':
+        return phraseIn(tokens.body);
+      case 'label':
+        return (doc.labelIds || []).some(label => label.toLowerCase() === lower);
+      case 'tag':
+        return (doc.tags || []).includes(lower);
+      case 'has':
+        return lower === 'attachment' ? (doc.attachments || []).length > 0 : false;
+      case 'after':
+        return !!doc.date && doc.date >= Date.parse(value);
+      case 'before':
+        return !!doc.date && doc.date < Date.parse(value);
+      default:
+        // Not a field we know (e.g. a "re:" in a subject): match the text as a phrase
+        return Object.values(tokens).some(fieldTokens => containsPhrase(fieldTokens, tokenize(`${field} ${value}`)));
+    }
+  }
+
+  score(index, entry, terms) {
+    const total = index.docs.size;
+    let score = 0;
+    for (const term of terms) {
+      const postings = index.postings.get(term);
+      if (!postings) continue;
+      const tf = postings.get(entry.doc.id) || 0;
+      const idf = Math.log(1 + (total - postings.size + 0.5) / (postings.size + 0.5));
+      score += idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * entry.length / (index.averageLength() || 1)));
+    }
+    return score;
+  }
+
+  async load(userId) {
+    if (this.indexes.has(userId)) return this.indexes.get(userId);
+
+    const index = {
+      docs: new Map(),
+      postings: new Map(),
+      totalLength: 0,
+      averageLength() {
+        return this.docs.size ? this.totalLength / this.docs.size : 0;
+      }
+    };
+    const prefix = `${userId}:doc:`;
+    const docs = await this.backendFor(userId).transaction(view => view.keys(prefix).map(key => view.get(key)));
+    docs.forEach(doc => this.addToIndex(index, doc));
+
+    this.indexes.set(userId, index);
+    return index;
+  }
+
+  addToIndex(index, doc) {
+    this.removeFromIndex(index, doc.id);
+
+    const tokens = {
+      subject: tokenize(doc.subject),
+      from: tokenize(doc.from),
+      to: tokenize(doc.to),
+      attachments: tokenize((doc.attachments || []).join(' ')),
+      body: tokenize(doc.body || doc.snippet)
+    };
+
+    // Weighted term frequencies across fields
+    const frequencies = new Map();
+    let length = 0;
+    for (const [field, fieldTokens] of Object.entries(tokens)) {
+      for (const token of fieldTokens) {
+        frequencies.set(token, (frequencies.get(token) || 0) + FIELD_WEIGHTS[field]);
+      }
+      length += fieldTokens.length * FIELD_WEIGHTS[field];
+    }
+
+    for (const [term, tf] of frequencies) {
+      if (!index.postings.has(term)) index.postings.set(term, new Map());
+      index.postings.get(term).set(doc.id, tf);
+    }
+
+    index.docs.set(doc.id, { doc, tokens, length, terms: [...frequencies.keys()] });
+    index.totalLength += length;
+  }
+
+  removeFromIndex(index, id) {
+    const entry = index.docs.get(id);
+    if (!entry) return;
+
+    for (const term of entry.terms) {
+      const postings = index.postings.get(term);
+      postings.delete(id);
+      if (postings.size === 0) index.postings.delete(term);
+    }
+    index.totalLength -= entry.length;
+    index.docs.delete(id);
+  }
+}
+
+module.exports = new SearchIndex();
+module.exports.SearchIndex = SearchIndex;
+module.exports.parseQuery = parseQuery;
+module.exports.tokenize = tokenize;
@@ -0,0 +1,130 @@
+// utils/sessionStore.js
+const session = require('express-session');
+const { createBackend } = require('./storage');
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_CLEANUP_INTERVAL_MS = 10 * 60 * 1000;
+// touch only writes once the stored expiry is this fraction of the session's
+// lifetime behind, so a rolling session may end up to that much early
+const DEFAULT_TOUCH_AFTER = 0.1;
+
+// express-session store on top of the shared storage backends, so sessions
+// survive restarts. Each record keeps its own expiry; expired records are
+// ignored on read and swept out periodically. Touches that would only move
+// an expiry a little are skipped rather than rewriting the store per request.
+class PersistentSessionStore extends session.Store {
+  constructor(options = {}) {
+    super();
+    this.backend = options.backend || createBackend(options.type || 'json', 'sessions', {
+      filePath: options.filePath
+    });
+    this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+    this.touchAfter = options.touchAfter !== undefined ? options.touchAfter : DEFAULT_TOUCH_AFTER;
+    // sid -> the expiresAt last read or written by this process
+    this.expiries = new Map();
+
+    const interval = options.cleanupIntervalMs || DEFAULT_CLEANUP_INTERVAL_MS;
+    this.cleanupTimer = setInterval(() => {
+      this.prune().catch(error => console.error('Session cleanup error:', error.message));
+    }, interval);
+    this.cleanupTimer.unref();
+  }
+
+  expiryFor(sess) {
+    const expires = sess && sess.cookie && sess.cookie.expires;
+    return expires ? new Date(expires).getTime() : Date.now() + this.ttlMs;
+  }
+
+  lifetimeOf(sess) {
+    return (sess && sess.cookie && sess.cookie.originalMaxAge) || this.ttlMs;
+  }
+
+  get(sid, callback) {
+    this.backend.get(sid)
+      .then(record => {
+        if (!record || record.expiresAt <= Date.now()) {
+          this.expiries.delete(sid);
+          return callback(null, null);
+        }
+        this.expiries.set(sid, record.expiresAt);
+        callback(null, record.session);
+      })
+      .catch(callback);
+  }
+
+  set(sid, sess, callback = () => {}) {
+    const expiresAt = this.expiryFor(sess);
+    this.backend.set(sid, { session: sess, expiresAt })
+      .then(() => {
+        this.expiries.set(sid, expiresAt);
+        callback(null);
+      })
+      .catch(callback);
+  }
+
+  touch(sid, sess, callback = () => {}) {
+    const expiresAt = this.expiryFor(sess);
+    const stored = this.expiries.get(sid);
+    if (stored && expiresAt - stored < this.lifetimeOf(sess) * this.touchAfter) {
+      return callback(null);
+    }
+
+    this.backend.update(sid, record => (record ? { ...record, expiresAt } : undefined))
+      .then(() => {
+        this.expiries.set(sid, expiresAt);
+        callback(null);
+      })
+      .catch(callback);
+  }
+
+  destroy(sid, callback = () => {}) {
+    this.expiries.delete(sid);
+    this.backend.delete(sid)
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  all(callback) {
+    const now = Date.now();
+    this.backend.entries()
+      .then(entries => callback(null, entries
+        .filter(([, record]) => record.expiresAt > now)
+        .map(([sid, record]) => ({ ...record.session, id: sid }))))
+      .catch(callback);
+  }
+
+  length(callback) {
+    this.all((error, sessions) => callback(error, sessions ? sessions.length : 0));
+  }
+
+  clear(callback = () => {}) {
+    this.expiries.clear();
+    this.backend.transaction(view => view.keys().forEach(sid => view.delete(sid)))
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  // Remove expired sessions; returns how many were removed
+  async prune() {
+    const now = Date.now();
+    const removed = await this.backend.transaction(view => {
+      let count = 0;
+      view.keys().forEach(sid => {
+        if (view.get(sid).expiresAt <= now) {
+          view.delete(sid);
+          this.expiries.delete(sid);
+          count++;
+        }
+      });
+      return count;
+    });
+    if (removed > 0) console.log(`🧹 Removed ${removed} expired sessions`);
+    return removed;
+  }
+
+  close() {
+    clearInterval(this.cleanupTimer);
+  }
+}
+
+module.exports = PersistentSessionStore;
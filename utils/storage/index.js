@@ -0,0 +1,62 @@
+// utils/storage/index.js
+const path = require('path');
+const MemoryBackend = require('./memoryBackend');
+const JsonFileBackend = require('./jsonFileBackend');
+const SqliteBackend = require('./sqliteBackend');
+
+const DATA_DIR = path.join(__dirname, '../../data');
+
+// Pick a backend by name: 'json' (default), 'sqlite' or 'memory'.
+// name is the JSON file / SQLite table a store keeps its records under.
+function createBackend(type, name, options = {}) {
+  switch (type || 'json') {
+    case 'memory':
+      return new MemoryBackend();
+    case 'json':
+      return new JsonFileBackend(options.filePath || path.join(DATA_DIR, `${name}.json`), options);
+    case 'sqlite':
+      return new SqliteBackend(options.filePath || path.join(DATA_DIR, 'app.sqlite'), { ...options, table: name });
+    default:
+      throw new Error(`Unknown storage backend: ${type}`);
+  }
+}
+
+// better-sqlite3 is optional; it may be missing or built for another Node
+function sqliteAvailable() {
+  try {
+    require('better-sqlite3');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Storage for records that grow with each user's mailbox (cached summaries,
+// search documents). Returns backendFor(userId). The default is SQLite when
+// it is available, where each record is its own row; otherwise every user
+// gets their own JSON file, so a write only rewrites that user's records.
+// options.filePath is the SQLite database, options.dir the JSON directory.
+function createUserBackends(type, name, options = {}) {
+  const resolved = type || (sqliteAvailable() ? 'sqlite' : 'json');
+  if (resolved !== 'json') {
+    const backend = createBackend(resolved, name, options);
+    return () => backend;
+  }
+
+  const dir = options.dir || path.join(DATA_DIR, name);
+  const backends = new Map();
+  return (userId) => {
+    if (!backends.has(userId)) {
+      backends.set(userId, new JsonFileBackend(path.join(dir, `${encodeURIComponent(userId)}.json`), options));
+    }
+    return backends.get(userId);
+  };
+}
+
+module.exports = {
+  createBackend,
+  createUserBackends,
+  MemoryBackend,
+  JsonFileBackend,
+  SqliteBackend
+};
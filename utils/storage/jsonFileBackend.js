@@ -0,0 +1,118 @@
+// utils/storage/jsonFileBackend.js
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const KeyValueBackend = require('./keyValueBackend');
+
+const LOCK_RETRY_MS = 50;
+
+// Stores a single JSON object on disk. Every transaction holds an exclusive
+// lock file for the read-modify-write and replaces the file atomically
+// (write to a temp file, fsync, rename), so concurrent writers in this or
+// another process never interleave or leave a half-written file behind.
+class JsonFileBackend extends KeyValueBackend {
+  constructor(filePath, options = {}) {
+    super();
+    this.filePath = filePath;
+    this.lockPath = `${filePath}.lock`;
+    this.lockTimeoutMs = options.lockTimeoutMs || 5000;
+    this.staleLockMs = options.staleLockMs || 30000;
+    this.fileMode = options.fileMode || 0o600;
+    this.queue = Promise.resolve();
+  }
+
+  async transaction(fn) {
+    // Serialize in-process callers before competing for the file lock
+    const run = this.queue.then(() => this.withLock(async () => {
+      const data = await this.readFile();
+      let dirty = false;
+      const result = fn({
+        get: key => (Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null),
+        set: (key, value) => {
+          data[key] = value;
+          dirty = true;
+        },
+        delete: key => {
+          if (!Object.prototype.hasOwnProperty.call(data, key)) return false;
+          delete data[key];
+          dirty = true;
+          return true;
+        },
+        keys: (prefix = '') => Object.keys(data).filter(key => key.startsWith(prefix))
+      });
+      if (dirty) {
+        await this.writeFile(data);
+      }
+      return result;
+    }));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async readFile() {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw new Error(`Failed to read ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  async writeFile(data) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    const handle = await fs.open(tempPath, 'w', this.fileMode);
+    try {
+      await handle.writeFile(JSON.stringify(data, null, 2));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    try {
+      await fs.rename(tempPath, this.filePath);
+    } catch (error) {
+      await fs.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  async withLock(fn) {
+    await this.acquireLock();
+    try {
+      return await fn();
+    } finally {
+      await fs.unlink(this.lockPath).catch(() => {});
+    }
+  }
+
+  async acquireLock() {
+    const deadline = Date.now() + this.lockTimeoutMs;
+    await fs.mkdir(path.dirname(this.lockPath), { recursive: true });
+
+    while (true) {
+      try {
+        const handle = await fs.open(this.lockPath, 'wx');
+        await handle.writeFile(String(process.pid));
+        await handle.close();
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      // A crashed process can leave its lock behind; reclaim it once stale
+      const stat = await fs.stat(this.lockPath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > this.staleLockMs) {
+        console.warn(`Removing stale lock file: ${this.lockPath}`);
+        await fs.unlink(this.lockPath).catch(() => {});
+        continue;
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for lock on ${this.filePath}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  }
+}
+
+module.exports = JsonFileBackend;
@@ -0,0 +1,45 @@
+// utils/storage/keyValueBackend.js
+
+// Base class for the storage backends. Subclasses implement transaction(fn),
+// which runs fn against a synchronous view ({ get, set, delete, keys }) with
+// exclusive access to the data, and persists the changes when fn returns.
+// keys(prefix) lists only the keys starting with prefix.
+class KeyValueBackend {
+  async transaction() {
+    throw new Error(`${this.constructor.name} must implement transaction()`);
+  }
+
+  async get(key) {
+    return this.transaction(view => view.get(key));
+  }
+
+  async set(key, value) {
+    return this.transaction(view => {
+      view.set(key, value);
+      return value;
+    });
+  }
+
+  // Atomically replace a value; returning undefined from fn deletes the key
+  async update(key, fn) {
+    return this.transaction(view => {
+      const next = fn(view.get(key));
+      if (next === undefined) {
+        view.delete(key);
+        return null;
+      }
+      view.set(key, next);
+      return next;
+    });
+  }
+
+  async delete(key) {
+    return this.transaction(view => view.delete(key));
+  }
+
+  async entries() {
+    return this.transaction(view => view.keys().map(key => [key, view.get(key)]));
+  }
+}
+
+module.exports = KeyValueBackend;
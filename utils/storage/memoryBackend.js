@@ -0,0 +1,34 @@
+// utils/storage/memoryBackend.js
+const KeyValueBackend = require('./keyValueBackend');
+
+// In-process backend, used by tests and when nothing should touch the disk
+class MemoryBackend extends KeyValueBackend {
+  constructor() {
+    super();
+    this.data = new Map();
+    this.queue = Promise.resolve();
+  }
+
+  async transaction(fn) {
+    const run = this.queue.then(() => {
+      // Work on a copy so a throwing fn leaves the data untouched
+      const draft = new Map(this.data);
+      const result = fn({
+        get: key => (draft.has(key) ? clone(draft.get(key)) : null),
+        set: (key, value) => { draft.set(key, clone(value)); },
+        delete: key => draft.delete(key),
+        keys: (prefix = '') => [...draft.keys()].filter(key => key.startsWith(prefix))
+      });
+      this.data = draft;
+      return result;
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = MemoryBackend;
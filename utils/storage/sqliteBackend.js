@@ -0,0 +1,69 @@
+// utils/storage/sqliteBackend.js
+const fs = require('fs');
+const path = require('path');
+const KeyValueBackend = require('./keyValueBackend');
+
+// Key/value table in a SQLite database. better-sqlite3 is an optional
+// dependency, so it is only loaded when this backend is actually used.
+class SqliteBackend extends KeyValueBackend {
+  constructor(filePath, options = {}) {
+    super();
+    const tableName = options.table || 'kv';
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(tableName)) {
+      throw new Error(`Invalid SQLite table name: ${tableName}`);
+    }
+
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('The SQLite backend requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec(`CREATE TABLE IF NOT EXISTS ${tableName} (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    )`);
+
+    this.statements = {
+      get: this.db.prepare(`SELECT value FROM ${tableName} WHERE key = ?`),
+      set: this.db.prepare(`INSERT INTO ${tableName} (key, value, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`),
+      delete: this.db.prepare(`DELETE FROM ${tableName} WHERE key = ?`),
+      keys: this.db.prepare(`SELECT key FROM ${tableName} ORDER BY key`).pluck(),
+      // Keys are ASCII ids, so everything starting with the prefix sorts
+      // below prefix + U+FFFF
+      keysWithPrefix: this.db.prepare(`SELECT key FROM ${tableName} WHERE key >= ? AND key < ? ORDER BY key`).pluck()
+    };
+  }
+
+  async transaction(fn) {
+    const { statements } = this;
+    // IMMEDIATE takes the write lock up front, so other processes wait
+    // instead of failing half-way through a read-modify-write
+    return this.db.transaction(() => fn({
+      get: key => {
+        const row = statements.get.get(key);
+        return row ? JSON.parse(row.value) : null;
+      },
+      set: (key, value) => {
+        statements.set.run(key, JSON.stringify(value), Date.now());
+      },
+      delete: key => statements.delete.run(key).changes > 0,
+      keys: (prefix = '') => (prefix
+        ? statements.keysWithPrefix.all(prefix, `${prefix}\uffff`)
+        : statements.keys.all())
+    })).immediate();
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteBackend;
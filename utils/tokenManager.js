@@ -1,33 +1,29 @@
 // utils/tokenManager.js
-const fs = require('fs').promises;
-const path = require('path');
+const { createTokenStore } = require('./tokenStore');
 
 class TokenManager {
   constructor() {
-    this.tokensFile = path.join(__dirname, '../tokens.json');
+    this.tokenStore = null;
   }
 
-  // Save tokens to file
+  // The store is created on first use so the app can start (and report a
+  // missing TOKEN_ENCRYPTION_KEY) before any token is read or written
+  get store() {
+    if (!this.tokenStore) {
+      this.tokenStore = createTokenStore();
+    }
+    return this.tokenStore;
+  }
+
+  // Swap in a different store, e.g. an in-memory one for tests
+  useStore(store) {
+    this.tokenStore = store;
+  }
+
+  // Save tokens for user
   async saveTokens(userId, tokens) {
     try {
-      let tokenData = {};
-      
-      // Read existing tokens
-      try {
-        const data = await fs.readFile(this.tokensFile, 'utf8');
-        tokenData = JSON.parse(data);
-      } catch (error) {
-        // File doesn't exist, create new
-        console.log('Creating new tokens file...');
-      }
-
-      // Add/update user tokens
-      tokenData[userId] = {
-        ...tokens,
-        createdAt: new Date().toISOString()
-      };
-
-      await fs.writeFile(this.tokensFile, JSON.stringify(tokenData, null, 2));
+      await this.store.save(userId, tokens);
       console.log(`Tokens saved for user: ${userId}`);
       return true;
     } catch (error) {
@@ -35,17 +31,56 @@ class TokenManager {
     }
   }
 
+  // Merge refreshed tokens into a user's existing record
+  async updateTokens(userId, tokens) {
+    try {
+      await this.store.update(userId, tokens);
+      console.log(`Tokens updated for user: ${userId}`);
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to update tokens: ${error.message}`);
+    }
+  }
+
   // Load tokens for user
   async loadTokens(userId) {
     try {
-      const data = await fs.readFile(this.tokensFile, 'utf8');
-      const tokenData = JSON.parse(data);
-      return tokenData[userId] || null;
+      return await this.store.load(userId);
     } catch (error) {
+      console.error(`Failed to load tokens for user ${userId}:`, error.message);
       return null;
     }
   }
 
+  // List stored users (no token values)
+  async listUsers() {
+    try {
+      return await this.store.list();
+    } catch (error) {
+      throw new Error(`Failed to list tokens: ${error.message}`);
+    }
+  }
+
+  // Remove a user's tokens
+  async deleteTokens(userId) {
+    try {
+      const deleted = await this.store.delete(userId);
+      if (deleted) console.log(`Tokens deleted for user: ${userId}`);
+      return deleted;
+    } catch (error) {
+      throw new Error(`Failed to delete tokens: ${error.message}`);
+    }
+  }
+
+  // Re-encrypt all stored tokens with a new key
+  async rotateKey(newKey) {
+    try {
+      return await this.store.rotateKey(newKey);
+    } catch (error) {
+      throw new Error(`Failed to rotate encryption key: ${error.message}`);
+    }
+  }
+
   // Check if token is expired
   isTokenExpired(tokens) {
     if (!tokens.expiry_date) return true;
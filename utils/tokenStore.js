@@ -0,0 +1,129 @@
+// utils/tokenStore.js
+const path = require('path');
+const { Cipher, generateKey } = require('./encryption');
+const { createBackend } = require('./storage');
+
+// Encrypted OAuth token records keyed by userId. Each record is sealed with
+// the store's cipher before it reaches the backend, so nothing sensitive is
+// written to disk in clear text. Records left over from the old plaintext
+// tokens.json are still read and get encrypted the next time they are written.
+class TokenStore {
+  constructor({ backend, cipher }) {
+    this.backend = backend;
+    this.cipher = cipher;
+  }
+
+  seal(record) {
+    return this.cipher.encrypt(record);
+  }
+
+  open(stored) {
+    if (!stored) return null;
+    return Cipher.isEnvelope(stored) ? this.cipher.decrypt(stored) : stored;
+  }
+
+  // Replace a user's tokens
+  async save(userId, tokens) {
+    const record = {
+      ...tokens,
+      createdAt: new Date().toISOString()
+    };
+    await this.backend.set(userId, this.seal(record));
+    return record;
+  }
+
+  // Merge tokens into a user's record, keeping the refresh token Google
+  // leaves out of refresh responses
+  async update(userId, tokens) {
+    let record = null;
+    await this.backend.update(userId, stored => {
+      const existing = this.open(stored) || {};
+      record = {
+        ...existing,
+        ...tokens,
+        refresh_token: tokens.refresh_token || existing.refresh_token,
+        createdAt: existing.createdAt || new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+      return this.seal(record);
+    });
+    return record;
+  }
+
+  async load(userId) {
+    return this.open(await this.backend.get(userId));
+  }
+
+  // Summaries of every stored user, without the tokens themselves
+  async list() {
+    const entries = await this.backend.entries();
+    return entries.map(([userId, stored]) => {
+      const record = this.open(stored);
+      return {
+        userId,
+        email: record.email || null,
+        hasRefreshToken: !!record.refresh_token,
+        expiryDate: record.expiry_date ? new Date(record.expiry_date).toISOString() : null,
+        createdAt: record.createdAt || null,
+        updatedAt: record.updatedAt || null
+      };
+    });
+  }
+
+  async delete(userId) {
+    return this.backend.delete(userId);
+  }
+
+  // Re-encrypt every record under newKey in a single transaction. Returns the
+  // number of records rewritten; the caller is responsible for switching
+  // TOKEN_ENCRYPTION_KEY to newKey afterwards.
+  async rotateKey(newKey) {
+    const rotated = this.cipher.withKey(newKey);
+    const count = await this.backend.transaction(view => {
+      const keys = view.keys();
+      keys.forEach(userId => {
+        view.set(userId, rotated.encrypt(this.open(view.get(userId))));
+      });
+      return keys.length;
+    });
+    this.cipher = rotated;
+    console.log(`🔑 Re-encrypted ${count} token records with key ${rotated.keyId}`);
+    return count;
+  }
+}
+
+// Build the store described by the environment:
+//   TOKEN_STORE                      json (default), sqlite or memory
+//   TOKEN_STORE_PATH                 file for the json/sqlite backends
+//   TOKEN_ENCRYPTION_KEY             32-byte hex/base64 key or a passphrase
+//   TOKEN_ENCRYPTION_PREVIOUS_KEYS   comma-separated keys still accepted for reading
+function createTokenStore(env = process.env) {
+  const type = env.TOKEN_STORE || 'json';
+  let key = env.TOKEN_ENCRYPTION_KEY;
+
+  if (!key) {
+    if (type !== 'memory') {
+      throw new Error('TOKEN_ENCRYPTION_KEY is required to store OAuth tokens');
+    }
+    key = generateKey();
+  }
+
+  const previousKeys = (env.TOKEN_ENCRYPTION_PREVIOUS_KEYS || '')
+    .split(',')
+    .map(value => value.trim())
+    .filter(Boolean);
+
+  const defaultPath = type === 'sqlite'
+    ? path.join(__dirname, '../data/app.sqlite')
+    : path.join(__dirname, '../tokens.json');
+
+  return new TokenStore({
+    backend: createBackend(type, 'tokens', { filePath: env.TOKEN_STORE_PATH || defaultPath }),
+    cipher: new Cipher(key, previousKeys)
+  });
+}
+
+module.exports = {
+  TokenStore,
+  createTokenStore
+};